@@ -2,6 +2,7 @@ require('dotenv').config();
 
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const { Server } = require('socket.io');
 const cors = require('cors');
 
@@ -22,15 +23,51 @@ app.use(express.json());
 
 const server = http.createServer(app);
 
-// Socket.IO with same CORS settings
+// Socket.IO with same CORS settings. Inbound messages are capped well below
+// Socket.IO's 1MB default (MAX_MESSAGE_BYTES); game messages are tiny.
 const io = new Server(server, {
-  cors: corsOptions
+  cors: corsOptions,
+  maxHttpBufferSize: Number(process.env.MAX_MESSAGE_BYTES) || 64 * 1024,
 });
 
 const PORT = process.env.PORT || 3000;
 
 const RoomManager = require('./lib/roomManager');
-const roomManager = new RoomManager();
+const operations = require('./lib/operations');
+const scoring = require('./lib/scoring');
+const { replayEvents } = require('./lib/replay');
+const { createStore } = require('./lib/storage');
+const { MatchQueue } = require('./lib/matchmaking');
+const { Bot } = require('./lib/bot');
+const { TournamentManager } = require('./lib/tournament');
+const { HostAuth, tokenMatches } = require('./lib/auth');
+const { AdminFeed } = require('./lib/adminFeed');
+const { validateEvent, validateBody } = require('./lib/validation');
+const { RateLimiter, parseLimits } = require('./lib/rateLimit');
+const { ActionLog } = require('./lib/actionLog');
+const { Registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const protocol = require('./lib/protocol');
+const { ErrorCodes, actionError } = require('./lib/errors');
+
+// STORAGE=file keeps room snapshots and finished games in STORAGE_DIR (default ./data)
+// so a restart during a lesson does not wipe every game. Default is memory only.
+const store = createStore({ type: process.env.STORAGE || 'memory', dir: process.env.STORAGE_DIR });
+
+// Teacher/host accounts (HOST_ACCOUNTS) guard the dashboard, the debug
+// endpoints and admin socket actions. SESSION_SECRET signs their session tokens.
+const hostAuth = new HostAuth({
+  accounts: process.env.HOST_ACCOUNTS,
+  secret: process.env.SESSION_SECRET,
+  ttlMs: Number(process.env.SESSION_TTL_MS) || undefined,
+});
+if (!hostAuth.enabled) console.warn('HOST_ACCOUNTS is not set: admin and debug endpoints are locked');
+if (hostAuth.ephemeralSecret) console.warn('SESSION_SECRET is not set: host sessions end when the server restarts');
+if (!process.env.METRICS_TOKEN) console.warn('METRICS_TOKEN is not set: /metrics needs a host session');
+const requireHost = hostAuth.middleware();
+
+// RNG_SEED makes room ids, names and per-room seeds reproducible (debugging classroom reports)
+// SESSION_SECRET also signs profile ids, so players keep their stats across restarts
+const roomManager = new RoomManager({ seed: process.env.RNG_SEED, store, profileSecret: hostAuth.secret });
 
 // roomId -> { selections: { '1': card|null, '2': card|null }, currentProblem: null }
 const roomStates = new Map();
@@ -41,9 +78,151 @@ const rematchRequests = new Map();
 // Timers for auto-advancing rounds: Map<roomId, Timeout>
 const nextRoundTimers = new Map();
 
+// Per-round answer time limit timers (room option roundTimeLimitMs): Map<roomId, Timeout>
+const roundTimers = new Map();
+
 // Presence broadcast timers to debounce rapid presence events per-room
 const presenceTimers = new Map();
 
+// Grace timers for disconnected seats awaiting resumeSession: Map<resumeToken, Timeout>
+const reconnectTimers = new Map();
+
+// findMatch queue, keyed by difficulty and operation
+const matchQueue = new MatchQueue();
+
+// In-process bot opponents (addBot): Map<bot socketId, Bot>
+const bots = new Map();
+
+// Classroom tournaments, one room per match
+const tournaments = new TournamentManager({ seed: process.env.RNG_SEED });
+
+// Delayed starts of a tournament's next matches: Map<tournamentId, Timeout>
+const tournamentTimers = new Map();
+
+// Time for players to see a match result before their next match room opens
+const TOURNAMENT_NEXT_MATCH_DELAY_MS = 5000;
+
+// Abuse protection: per-socket and per-IP token buckets for every event
+// (RATE_LIMITS overrides lib/rateLimit.js DEFAULT_LIMITS), a cap on the rooms
+// one socket can sit in, and a size limit for relayed gameSync messages
+const rateLimiter = new RateLimiter({ limits: parseLimits(process.env.RATE_LIMITS) });
+const MAX_ROOMS_PER_SOCKET = Number(process.env.MAX_ROOMS_PER_SOCKET) || 3;
+const RELAY_MAX_BYTES = Number(process.env.RELAY_MAX_BYTES) || 4096;
+// gameSync types the server handles itself; anything else is relayed
+const ORCHESTRATED_SYNC_TYPES = ['cardSelected', 'answerSubmitted', 'nextRound', 'resetGame'];
+// actions that move the whole room on; clients must say which round they are leaving
+const ROUND_BOUND_SYNC_TYPES = ['nextRound', 'resetGame'];
+
+// requestIds of applied game actions, so client retries are not applied twice
+const actionLog = new ActionLog();
+
+// GET /metrics in the Prometheus text format (lib/metrics.js). Counters are
+// bumped where things happen; rooms, players and map sizes are read per scrape.
+const metrics = new Registry();
+const roomsCreated = metrics.counter('cardmath_rooms_created_total', 'Rooms created (createRoom, matchmaking and tournament matches)');
+const roomJoins = metrics.counter('cardmath_room_joins_total', 'Players who joined an existing room (joinRoom and matchmaking)');
+const roomsRemoved = metrics.counter('cardmath_rooms_removed_total', 'Rooms removed: collected when idle, closed by a host', { labelNames: ['reason'] });
+const gamesStarted = metrics.counter('cardmath_games_started_total', 'Games dealt (start, rematch and reset)');
+const gamesFinished = metrics.counter('cardmath_games_finished_total', 'Games played to the end');
+const roundsResolved = metrics.counter('cardmath_rounds_resolved_total', 'Resolved rounds: solved, both_wrong or timed_out', { labelNames: ['outcome'] });
+const answerLatency = metrics.histogram('cardmath_answer_latency_seconds', 'Time from the problem reveal to an answer, bots excluded', { labelNames: ['correct'] });
+const socketConnects = metrics.counter('cardmath_socket_connects_total', 'Socket.IO connections (game namespace)');
+const socketDisconnects = metrics.counter('cardmath_socket_disconnects_total', 'Socket.IO disconnections (game namespace)');
+const handlerErrors = metrics.counter('cardmath_handler_errors_total', 'Socket event handlers that threw, by event', { labelNames: ['event'] });
+metrics.gauge('cardmath_rooms', 'Rooms in memory', { collect: () => roomManager.listRooms().length });
+metrics.gauge('cardmath_players', 'Seated players by status', {
+  collect: () => {
+    const byStatus = new Map();
+    for (const room of roomManager.listRooms()) {
+      for (const p of room.playersStatus) byStatus.set(p.status, (byStatus.get(p.status) || 0) + 1);
+    }
+    return Array.from(byStatus.entries()).map(([status, n]) => [{ status }, n]);
+  },
+});
+metrics.gauge('cardmath_spectators', 'Spectators following a room', {
+  collect: () => roomManager.listRooms().reduce((sum, room) => sum + room.spectators, 0),
+});
+metrics.gauge('cardmath_sockets', 'Connected sockets (game namespace)', { collect: () => io.of('/').sockets.size });
+metrics.gauge('cardmath_pending_entries', 'Entries in the per-room timer and request maps', {
+  collect: () => [
+    [{ map: 'nextRoundTimers' }, nextRoundTimers.size],
+    [{ map: 'presenceTimers' }, presenceTimers.size],
+    [{ map: 'rematchRequests' }, rematchRequests.size],
+    [{ map: 'roundTimers' }, roundTimers.size],
+    [{ map: 'reconnectTimers' }, reconnectTimers.size],
+  ],
+});
+metrics.counter('cardmath_rejections_total', 'Events turned away by abuse protection, by event and reason', {
+  collect: () => {
+    const samples = [];
+    for (const [event, counts] of Object.entries(rateLimiter.stats().rejections)) {
+      for (const [reason, n] of Object.entries(counts)) samples.push([{ event, reason }, n]);
+    }
+    return samples;
+  },
+});
+
+// Log a socket handler that threw and count it by event
+function handlerError(event, err) {
+  console.error(`${event} error`, err);
+  handlerErrors.inc({ event });
+}
+
+// Live dashboard: room summaries and lifecycle events pushed to the /admin namespace
+const adminFeed = new AdminFeed({ roomManager });
+const adminNsp = io.of('/admin');
+
+// Rooms whose summary changed since the last push. Changes are batched so a
+// burst (answer, solve, transitioning flag) goes out as one roomUpdate.
+const adminDirtyRooms = new Set();
+let adminFlushTimer = null;
+const ADMIN_FLUSH_DELAY_MS = 100;
+
+// Outbound messages (lib/protocol.js). Sockets that negotiated protocol v2 get
+// one `envelope` per message; legacy sockets get the original events.
+function protocolVersionOf(socketId) {
+  const s = io.sockets.sockets.get(socketId);
+  return s && s.data.protocolVersion ? s.data.protocolVersion : protocol.LEGACY_VERSION;
+}
+
+// Next message number of a room, or null once the room is gone. The counter
+// lives on the room and is not persisted.
+function nextMessageSeq(roomId) {
+  const room = roomId && roomManager.getRoom(roomId);
+  if (!room) return null;
+  room.messageSeq = (room.messageSeq || 0) + 1;
+  return room.messageSeq;
+}
+
+// Send one message to one or more sockets. options.roomId numbers it in that
+// room's sequence (options.seq when the caller already took a number);
+// options.legacy: { events, payload } overrides what legacy sockets get
+// (default: the `type` event with `data`). Returns the seq used.
+function sendMessage(socketIds, type, data, options = {}) {
+  const roomId = options.roomId || null;
+  const seq = options.seq || nextMessageSeq(roomId);
+  const serverTime = Date.now();
+  const legacy = options.legacy || {};
+  const legacyEvents = legacy.events || [type];
+  const legacyPayload = 'payload' in legacy ? legacy.payload : data;
+  for (const sId of [].concat(socketIds)) {
+    if (protocolVersionOf(sId) >= protocol.PROTOCOL_VERSION) {
+      io.to(sId).emit(protocol.ENVELOPE_EVENT, protocol.envelope(type, data, { roomId, seq, serverTime }));
+      continue;
+    }
+    for (const event of legacyEvents) {
+      if (legacyPayload === undefined) io.to(sId).emit(event);
+      else io.to(sId).emit(event, legacyPayload);
+    }
+  }
+  return seq;
+}
+
+// Seated players other than socketId
+function otherPlayerSockets(room, socketId) {
+  return Array.from(room.players.keys()).filter(sId => sId !== socketId);
+}
+
 function broadcastPresenceNow(roomId) {
   try {
     const room = roomManager.getRoom(roomId);
@@ -51,10 +230,10 @@ function broadcastPresenceNow(roomId) {
     // Build an authoritative presence payload for the room
     const playersStatus = (room.playersStatus || []).map(p => ({ playerNumber: p.playerNumber, status: p.status }));
     const playersPresent = Array.from(room.players.values()).map(p => p.playerNumber);
-    const payload = { roomId, playersStatus, playersPresent, ts: Date.now() };
-    for (const [sId] of room.players.entries()) {
-      io.to(sId).emit('presenceUpdate', payload);
-    }
+    const spectators = roomManager.getSpectators(room);
+    const payload = { roomId, playersStatus, playersPresent, spectators: spectators.size, ts: Date.now() };
+    sendMessage(Array.from(room.players.keys()).concat(Array.from(spectators.keys())), 'presenceUpdate', payload, { roomId });
+    markAdminRoom(roomId);
   } catch (err) {
     console.error('broadcastPresenceNow error', err);
   }
@@ -75,6 +254,51 @@ function schedulePresenceBroadcast(roomId, delay = 200) {
   }
 }
 
+// Send a stateUpdate to every seat in the room, each with its own redacted
+// view of payload.data (see RoomManager.projectState), and the neutral view
+// to spectators. Raw gameStates must never be emitted directly.
+// Bots have no socket; they are told to look at the new state instead.
+function broadcastStateUpdate(room, payload) {
+  const seq = nextMessageSeq(payload.roomId);
+  for (const [sId, player] of room.players.entries()) {
+    if (player.bot) continue;
+    sendStateUpdate(sId, player.playerNumber, payload, true, seq);
+  }
+  for (const [sId] of roomManager.getSpectators(room).entries()) {
+    sendStateUpdate(sId, null, payload, false, seq);
+  }
+  notifyBots(room);
+}
+
+// Tell the room's players they are in the game (start, rematch, match found)
+function announceInGame(room, roomId) {
+  const seq = nextMessageSeq(roomId);
+  for (const [sId] of room.players.entries()) {
+    sendMessage(sId, 'presenceUpdate', { roomId, playerSocket: sId, status: 'in-game' }, { roomId, seq });
+  }
+}
+
+// Let the room's bots schedule their next move (or stand down)
+function notifyBots(room) {
+  for (const [sId, player] of room.players.entries()) {
+    const bot = player.bot && bots.get(sId);
+    if (bot) bot.notify();
+  }
+}
+
+// v2 sockets get the projected state with every navigation flag in one place
+// (protocol.stateUpdateData); legacy sockets get the payload as before.
+function sendStateUpdate(socketId, playerNumber, payload, withOtherPlayerAction = false, seq = null) {
+  const state = roomManager.projectState(payload.data, playerNumber);
+  const view = Object.assign({}, payload, { data: state });
+  const room = roomManager.getRoom(payload.roomId);
+  sendMessage(socketId, 'stateUpdate', protocol.stateUpdateData(payload, state, room && room.transitioning), {
+    roomId: payload.roomId,
+    seq,
+    legacy: { events: withOtherPlayerAction ? ['gameSync', 'otherPlayerAction'] : ['gameSync'], payload: view },
+  });
+}
+
 function scheduleAutoNextRound(roomId, delay = 800) {
   if (nextRoundTimers.has(roomId)) return;
   console.log(`scheduleAutoNextRound: scheduling auto-next for room ${roomId} in ${delay}ms`);
@@ -99,10 +323,7 @@ function scheduleAutoNextRound(roomId, delay = 800) {
         try { payload.data.advanceClients = true; } catch (e) {}
         try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : true; } catch (e) {}
         console.log(`scheduleAutoNextRound: emitting auto nextRound stateUpdate for room ${roomId}`);
-        for (const [sId] of room.players.entries()) {
-          io.to(sId).emit('gameSync', payload);
-          io.to(sId).emit('otherPlayerAction', payload);
-        }
+        broadcastStateUpdate(room, payload);
       }
     } catch (err) {
       console.error('auto nextRound error', err);
@@ -115,6 +336,57 @@ function scheduleAutoNextRound(roomId, delay = 800) {
   nextRoundTimers.set(roomId, t);
 }
 
+// Broadcast a resolved round (solved, both wrong or timed out) and schedule the auto-advance
+function broadcastRoundResolved(room, roomId, state, reason) {
+  clearRoundTimeout(roomId);
+  const autoDelay = 800;
+  const payload = { type: 'stateUpdate', roomId, data: state, nextRoundInMs: autoDelay };
+  // mark that server is transitioning to next round so clients can
+  // disable UI interactions during the short window to avoid races
+  payload.transitioning = true;
+  // do not allow clients to auto-advance yet; server will flip advanceClients when auto-next runs
+  try { payload.data.advanceClients = false; } catch (e) {}
+  // include an absolute next-round timestamp so clients that fetch
+  // state later (or missed this message) can schedule the same deadline
+  try { payload.nextRoundAt = Date.now() + autoDelay; } catch (e) {}
+  console.log(`${reason}: problemSolved in room ${roomId}, scheduling auto-next ${autoDelay}ms, solvedBy=${state.solvedBy}`);
+  try {
+    logStateUpdateSummary(`${reason}: stateUpdate payload`, payload);
+  } catch (err) {
+    console.log(`${reason}: stateUpdate payload (summarize failed)`);
+  }
+  broadcastStateUpdate(room, payload);
+  // Schedule server-side auto-advance shortly after the round resolved
+  scheduleAutoNextRound(roomId, autoDelay);
+}
+
+// Arm the answer timer for the current round when it has a deadline
+function scheduleRoundTimeout(roomId) {
+  clearRoundTimeout(roomId);
+  const state = roomManager.getGameState(roomId);
+  if (!state || !state.roundDeadline || !state.roundInProgress || state.problemSolved) return;
+  const delay = Math.max(0, state.roundDeadline - Date.now());
+  const t = setTimeout(() => {
+    roundTimers.delete(roomId);
+    try {
+      const room = roomManager.getRoom(roomId);
+      const expired = roomManager.expireRound(roomId);
+      if (room && expired) broadcastRoundResolved(room, roomId, expired, 'roundTimeout');
+    } catch (err) {
+      console.error('round timeout error', err);
+    }
+  }, delay);
+  roundTimers.set(roomId, t);
+}
+
+function clearRoundTimeout(roomId) {
+  const t = roundTimers.get(roomId);
+  if (t) {
+    clearTimeout(t);
+    roundTimers.delete(roomId);
+  }
+}
+
 function clearAutoNextRound(roomId) {
   const t = nextRoundTimers.get(roomId);
   if (t) {
@@ -126,6 +398,227 @@ function clearAutoNextRound(roomId) {
   }
 }
 
+// Advance to the next round now (a client's nextRound or a host forcing it),
+// cancelling any pending auto-advance. Returns the new state or null.
+function advanceRound(room, roomId, reason) {
+  // If an auto-next timer exists, cancel it and run immediately
+  clearAutoNextRound(roomId);
+  clearRoundTimeout(roomId);
+  const state = roomManager.nextRound(roomId);
+  if (state) {
+    const payload = { type: 'stateUpdate', roomId, data: state };
+    // Manual nextRound: treat as an explicit advance
+    try { payload.data.advanceClients = true; } catch (e) {}
+    try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : true; } catch (e) {}
+    try {
+      logStateUpdateSummary(`${reason}: stateUpdate payload`, payload);
+    } catch (err) {
+      console.log(`${reason}: stateUpdate payload (summarize failed)`);
+    }
+    broadcastStateUpdate(room, payload);
+  }
+  return state;
+}
+
+// Apply one orchestrated gameSync action from a seated player and broadcast
+// its result. Returns the ack: { ok: true } or an actionError.
+function applyGameAction(room, roomId, playerNumber, message, socketId) {
+  if (message.type === 'cardSelected') {
+    console.log(`gameSync: cardSelected from socket=${socketId} room=${roomId} player=${playerNumber}`);
+    // Let authoritative RoomManager handle selection and compute problem when both selected
+    // Expect only cardId from clients to avoid object identity mismatches
+    const cardId = message.data.cardId || (message.data.card && message.data.card.id);
+    const result = roomManager.selectCard(roomId, playerNumber, { id: cardId });
+    if (result.error) return result;
+    broadcastCardSelected(room, roomId, result.state);
+    return { ok: true };
+  }
+
+  if (message.type === 'answerSubmitted') {
+    console.log(`answerSubmitted recv: room=${roomId} player=${playerNumber} answer=${message.data.answer}`);
+    const result = roomManager.submitAnswer(roomId, playerNumber, message.data.answer);
+    if (result.error) return result;
+    broadcastAnswerSubmitted(room, roomId, result);
+    // the deadline passed before the answer arrived: the round ended without it
+    if (result.timedOut) return actionError(ErrorCodes.INVALID_STATE, 'The round time ran out');
+    return { ok: true };
+  }
+
+  if (message.type === 'nextRound') {
+    console.log(`gameSync: nextRound from socket=${socketId} room=${roomId}`);
+    if (!advanceRound(room, roomId, 'nextRound')) return actionError(ErrorCodes.INVALID_STATE, 'No game in progress');
+    return { ok: true };
+  }
+
+  console.log(`gameSync: resetGame from socket=${socketId} room=${roomId}`);
+  if (!resetRoomGame(room, roomId, 'resetGame')) return actionError(ErrorCodes.INVALID_STATE, 'No game to reset');
+  return { ok: true };
+}
+
+// Deal a fresh game in the room. Returns the new state or null.
+function resetRoomGame(room, roomId, reason) {
+  clearRoundTimeout(roomId);
+  const state = roomManager.resetGameState(roomId);
+  if (state) {
+    const payload = { type: 'stateUpdate', roomId, data: state };
+    try {
+      logStateUpdateSummary(`${reason}: stateUpdate payload`, payload);
+    } catch (err) {
+      console.log(`${reason}: stateUpdate payload (summarize failed)`);
+    }
+    broadcastStateUpdate(room, payload);
+    // Clear any pending rematch requests when game is reset
+    rematchRequests.delete(roomId);
+  }
+  return state;
+}
+
+// Drop every timer and pending request kept for a room
+function clearRoomTimers(roomId) {
+  clearAutoNextRound(roomId);
+  clearRoundTimeout(roomId);
+  const presence = presenceTimers.get(roomId);
+  if (presence) {
+    clearTimeout(presence);
+    presenceTimers.delete(roomId);
+  }
+  rematchRequests.delete(roomId);
+  clearRoomState(roomId);
+}
+
+// A departure that took a seat out of a running game (see RoomManager.dropSeat)
+// may have revealed or resolved the round the others were waiting on
+function broadcastSeatDropped(roomId, outcome) {
+  const room = roomManager.getRoom(roomId);
+  const state = roomManager.getGameState(roomId);
+  if (!outcome || !room || !state) return;
+  console.log(`seatDropped: room ${roomId} plays on with ${state.players.length} seats (${outcome})`);
+  if (outcome === 'resolved') broadcastRoundResolved(room, roomId, state, 'seatDropped');
+  else broadcastCardSelected(room, roomId, state);
+}
+
+// Host moderation, shared by the /api/rooms/:id/* endpoints and the admin
+// socket events. Each returns { ok: true, ... } or { error: { code, message }, status }.
+function adminError(code, message, status) {
+  return Object.assign(actionError(code, message), { status });
+}
+
+function adminKickPlayer(roomId, playerNumber, by) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return adminError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 404);
+  const target = roomManager.findPlayerByNumber(room, Number(playerNumber));
+  if (!target) return adminError(ErrorCodes.NOT_FOUND, 'Player not found', 404);
+  clearSeatExpiry(target.resumeToken);
+  // numbered before the room can go away with its last player
+  const seq = nextMessageSeq(roomId);
+  const kicked = roomManager.kickPlayer(roomId, target.playerNumber);
+  console.log(`admin: ${by} kicked player ${target.playerNumber} from room ${roomId} remaining=${kicked.remaining}`);
+  if (!target.bot) sendMessage(target.socketId, 'kicked', { roomId, playerNumber: target.playerNumber, by }, { roomId, seq });
+  pruneBots();
+  if (kicked.remaining > 0) {
+    const data = { roomId, playerNumber: target.playerNumber, resumable: false, kicked: true };
+    sendMessage(Array.from(room.players.keys()), 'otherPlayerDisconnected', data, { roomId });
+    schedulePresenceBroadcast(roomId);
+    broadcastSeatDropped(roomId, kicked.seatDropped);
+  } else {
+    clearAutoNextRound(roomId);
+    clearRoundTimeout(roomId);
+  }
+  const forfeited = tournaments.forfeit(roomId, target.playerNumber);
+  if (forfeited) handleTournamentResult(forfeited, 'kicked');
+  return { ok: true, roomId, playerNumber: target.playerNumber, remaining: kicked.remaining };
+}
+
+function adminCloseRoom(roomId, by) {
+  // numbered while the room still exists
+  const seq = nextMessageSeq(roomId);
+  const closed = roomManager.closeRoom(roomId);
+  if (!closed) return adminError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 404);
+  console.log(`admin: ${by} closed room ${roomId} (${closed.players.length} players, ${closed.spectators.length} spectators)`);
+  clearRoomTimers(roomId);
+  for (const p of closed.players) clearSeatExpiry(p.resumeToken);
+  const recipients = closed.players.filter(p => !p.bot).map(p => p.socketId).concat(closed.spectators);
+  sendMessage(recipients, 'roomClosed', { roomId, by }, { roomId, seq });
+  pruneBots();
+  // an unfinished tournament match is played again in a new room
+  const reopened = tournaments.detachRoom(roomId);
+  if (reopened) handleTournamentResult(reopened, 'room closed (replay)');
+  return { ok: true, roomId, players: closed.players.length, spectators: closed.spectators.length };
+}
+
+function adminNextRound(roomId, by) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return adminError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 404);
+  if (!roomManager.getGameState(roomId)) return adminError(ErrorCodes.INVALID_STATE, 'No game in this room', 409);
+  // a transition that never cleared is exactly what this is for
+  room.transitioning = false;
+  const state = advanceRound(room, roomId, 'adminNextRound');
+  console.log(`admin: ${by} forced nextRound in room ${roomId}`);
+  return { ok: true, roomId, gameOver: !!state.gameOver };
+}
+
+function adminResetGame(roomId, by) {
+  const room = roomManager.getRoom(roomId);
+  if (!room) return adminError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 404);
+  clearAutoNextRound(roomId);
+  room.transitioning = false;
+  const state = resetRoomGame(room, roomId, 'adminResetGame');
+  if (!state) return adminError(ErrorCodes.INVALID_STATE, 'Failed to reset game', 409);
+  console.log(`admin: ${by} reset the game in room ${roomId}`);
+  return { ok: true, roomId };
+}
+
+// Ack for an admin socket event (the HTTP status stays server-side)
+function adminAck(callback, result) {
+  if (typeof callback !== 'function') return;
+  if (result.error) callback({ error: result.error });
+  else callback(result);
+}
+
+// Drop seats whose reconnect grace period elapsed and tell the remaining players
+// the disconnect is now permanent.
+function expireDisconnectedSeats() {
+  try {
+    const expired = roomManager.expireDisconnectedPlayers();
+    if (expired.length) pruneBots();
+    for (const e of expired) {
+      console.log(`reconnect grace expired: room=${e.roomId} player=${e.playerNumber} remaining=${e.remaining}`);
+      const forfeited = tournaments.forfeit(e.roomId, e.playerNumber);
+      if (forfeited) handleTournamentResult(forfeited, 'forfeited');
+      const room = roomManager.getRoom(e.roomId);
+      if (room && room.players.size > 0) {
+        const data = { roomId: e.roomId, playerNumber: e.playerNumber, resumable: false };
+        sendMessage(Array.from(room.players.keys()), 'otherPlayerDisconnected', data, { roomId: e.roomId });
+        schedulePresenceBroadcast(e.roomId);
+        broadcastSeatDropped(e.roomId, e.seatDropped);
+      } else {
+        clearAutoNextRound(e.roomId);
+        clearRoundTimeout(e.roomId);
+      }
+    }
+  } catch (err) {
+    console.error('expireDisconnectedSeats error', err);
+  }
+}
+
+function scheduleSeatExpiry(resumeToken, delay) {
+  const existing = reconnectTimers.get(resumeToken);
+  if (existing) clearTimeout(existing);
+  const t = setTimeout(() => {
+    reconnectTimers.delete(resumeToken);
+    expireDisconnectedSeats();
+  }, delay + 50);
+  reconnectTimers.set(resumeToken, t);
+}
+
+function clearSeatExpiry(resumeToken) {
+  const t = reconnectTimers.get(resumeToken);
+  if (t) {
+    clearTimeout(t);
+    reconnectTimers.delete(resumeToken);
+  }
+}
+
 function ensureRoomState(roomId) {
   if (!roomStates.has(roomId)) {
     roomStates.set(roomId, { selections: { 1: null, 2: null }, currentProblem: null });
@@ -149,74 +642,541 @@ function logStateUpdateSummary(prefix, payload) {
   }
 }
 
+// Broadcast the state after a card selection (from a socket or a bot)
+function broadcastCardSelected(room, roomId, resultState) {
+  // a freshly revealed problem starts the answer timer (if the room has a limit)
+  if (resultState.roundDeadline && !roundTimers.has(roomId)) scheduleRoundTimeout(roomId);
+  // Only send stateUpdate with revealEquation, no auto-next/transitioning
+  const payload = { type: 'stateUpdate', roomId, data: resultState };
+  // Ensure explicit flags are present for clients to decide navigation
+  try { payload.data.advanceClients = !!payload.data.advanceClients; } catch (e) {}
+  try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : false; } catch (e) {}
+  try {
+    logStateUpdateSummary('cardSelected: stateUpdate payload', payload);
+  } catch (err) {
+    console.log('cardSelected: stateUpdate payload (summarize failed)');
+  }
+  broadcastStateUpdate(room, payload);
+}
+
+// Broadcast the result of playerSubmitAnswer (from a socket or a bot).
+// Only schedule an auto-next if the problem was resolved.
+function broadcastAnswerSubmitted(room, roomId, res) {
+  if (res.state.problemSolved) {
+    broadcastRoundResolved(room, roomId, res.state, res.timedOut ? 'roundTimeout' : 'answerSubmitted');
+    return;
+  }
+  const payload = { type: 'stateUpdate', roomId, data: res.state };
+  try { payload.data.advanceClients = !!payload.data.advanceClients; } catch (e) {}
+  try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : false; } catch (e) {}
+  console.log(`answerSubmitted: partial answer in room ${roomId}, other player may still answer`);
+  try {
+    logStateUpdateSummary('answerSubmitted: stateUpdate payload', payload);
+  } catch (err) {
+    console.log('answerSubmitted: stateUpdate payload (summarize failed)');
+  }
+  broadcastStateUpdate(room, payload);
+}
+
+// Start driving a bot seat. Its moves go through the same broadcasts as a player's.
+function attachBot(roomId, player) {
+  const bot = new Bot({
+    roomManager,
+    roomId,
+    socketId: player.socketId,
+    playerNumber: player.playerNumber,
+    profile: player.bot,
+    onAction: (kind, result) => {
+      try {
+        const room = roomManager.getRoom(roomId);
+        if (!room) return;
+        console.log(`bot: ${kind} in room ${roomId} player=${player.playerNumber}`);
+        if (kind === 'cardSelected') broadcastCardSelected(room, roomId, result);
+        else broadcastAnswerSubmitted(room, roomId, result);
+      } catch (err) {
+        console.error('bot action error', err);
+      }
+    },
+  });
+  bots.set(player.socketId, bot);
+  return bot;
+}
+
+// Stop bots whose seat is gone (their room emptied out or was collected)
+function pruneBots() {
+  for (const [sId, bot] of bots.entries()) {
+    const room = roomManager.getRoom(bot.roomId);
+    if (room && room.players.has(sId)) continue;
+    bot.stop();
+    bots.delete(sId);
+  }
+}
+
 function clearRoomState(roomId) {
   roomStates.delete(roomId);
 }
 
-function generateWrongAnswer(correctAnswer) {
-  const offset = Math.floor(Math.random() * 20) + 1;
-  const wrongAnswer = correctAnswer + (Math.random() > 0.5 ? offset : -offset);
-  return Math.max(1, wrongAnswer);
+// Tell everyone still waiting in a matchmaking queue where they stand
+function broadcastMatchQueue(key) {
+  for (const entry of matchQueue.waitingIn(key)) {
+    const status = matchQueue.status(entry.socketId);
+    if (status) sendMessage(entry.socketId, 'matchQueueUpdate', status);
+  }
+}
+
+// Create a room for two matched players, seat them and deal straight away.
+// The first player becomes playerNumber 1. Both sockets get `event` (default
+// matchFound) with their create/join response plus difficulty, operation and `info`.
+function startMatch(waiting, entry, { difficulty, operation, event = 'matchFound', info = {} }) {
+  const created = roomManager.createRoom(waiting.socketId, { profileId: waiting.profileId });
+  const roomId = created.response.roomId;
+  const joined = roomManager.joinRoom(roomId, entry.socketId, { profileId: entry.profileId });
+  roomJoins.inc();
+  const room = created.room;
+  const state = roomManager.initGameState(roomId, { difficulty, operation });
+  console.log(`${event}: matched ${waiting.socketId} and ${entry.socketId} in room ${roomId} (${difficulty}/${operation})`);
+
+  const responses = [[waiting.socketId, created.response], [entry.socketId, joined.response]];
+  for (const [sId, response] of responses) {
+    sendMessage(sId, event, Object.assign({ difficulty, operation }, info, response), { roomId });
+    sendMessage(sId, 'roomJoined', response, { roomId });
+  }
+  if (state) {
+    const payload = { type: 'stateUpdate', roomId, data: state };
+    try { payload.data.advanceClients = false; } catch (e) {}
+    try { payload.data.dealComplete = false; } catch (e) {}
+    broadcastStateUpdate(room, payload);
+    announceInGame(room, roomId);
+  }
+  return { roomId, responses };
+}
+
+// Send every entrant (and the host) the tournament summary, standings and bracket
+function broadcastTournament(tournament) {
+  const id = tournament.tournamentId;
+  const payload = {
+    tournament: tournaments.view(tournament),
+    standings: tournaments.standings(id),
+    bracket: tournaments.bracket(id),
+  };
+  const sockets = new Set(tournament.entrants.filter(e => e.connected).map(e => e.socketId));
+  if (tournament.hostSocketId) sockets.add(tournament.hostSocketId);
+  sendMessage(Array.from(sockets), 'tournamentUpdate', payload);
+}
+
+// Open a room for every match of the current round whose players are connected.
+// Players leave whatever room they are in (usually their finished match) first.
+function startTournamentMatches(tournament) {
+  for (const match of tournaments.readyMatches(tournament.tournamentId)) {
+    const [first, second] = match.players.map(id => tournaments.findEntrant(tournament, id));
+    for (const entrant of [first, second]) {
+      const left = roomManager.leaveRoomBySocket(entrant.socketId);
+      if (left && left.remaining > 0) {
+        schedulePresenceBroadcast(left.roomId);
+        broadcastSeatDropped(left.roomId, left.seatDropped);
+      }
+    }
+    pruneBots();
+    const { roomId } = startMatch(first, second, {
+      difficulty: tournament.difficulty,
+      operation: tournament.operation,
+      event: 'tournamentMatch',
+      info: { tournamentId: tournament.tournamentId, matchId: match.matchId, round: match.round },
+    });
+    tournaments.attachRoom(tournament.tournamentId, match.matchId, roomId);
+    console.log(`tournament ${tournament.tournamentId}: match ${match.matchId} (round ${match.round}) in room ${roomId}`);
+  }
+}
+
+function scheduleTournamentMatches(tournamentId, delay = TOURNAMENT_NEXT_MATCH_DELAY_MS) {
+  const existing = tournamentTimers.get(tournamentId);
+  if (existing) clearTimeout(existing);
+  const t = setTimeout(() => {
+    tournamentTimers.delete(tournamentId);
+    try {
+      const tournament = tournaments.getTournament(tournamentId);
+      if (!tournament) return;
+      startTournamentMatches(tournament);
+      broadcastTournament(tournament);
+    } catch (err) {
+      console.error('tournament matches error', err);
+    }
+  }, delay);
+  tournamentTimers.set(tournamentId, t);
+}
+
+// A tournament match finished (or was forfeited or tied and must be replayed)
+function handleTournamentResult(result, reason) {
+  const { tournament, match } = result;
+  console.log(`tournament ${tournament.tournamentId}: match ${match.matchId} ${reason} winner=${match.winner} status=${tournament.status}`);
+  broadcastTournament(tournament);
+  if (tournament.status === 'running') scheduleTournamentMatches(tournament.tournamentId);
+}
+
+// Queue a roomUpdate (or roomRemoved) for the dashboards
+function markAdminRoom(roomId) {
+  adminDirtyRooms.add(roomId);
+  if (adminFlushTimer) return;
+  adminFlushTimer = setTimeout(flushAdminRooms, ADMIN_FLUSH_DELAY_MS);
+}
+
+function flushAdminRooms() {
+  adminFlushTimer = null;
+  const roomIds = Array.from(adminDirtyRooms);
+  adminDirtyRooms.clear();
+  // nobody is watching: the next dashboard gets a fresh snapshot anyway
+  if (adminNsp.sockets.size === 0) return;
+  try {
+    for (const roomId of roomIds) {
+      const summary = adminFeed.summarizeRoom(roomId);
+      if (summary) adminNsp.emit('roomUpdate', summary);
+      else adminNsp.emit('roomRemoved', { roomId });
+    }
+  } catch (err) {
+    console.error('admin roomUpdate error', err);
+  }
+}
+
+// Every room event feeds the dashboards: lifecycle entries go to the event
+// feed right away, the room summary follows in the next batch
+roomManager.onRoomEvent((roomId, event) => {
+  const entry = adminFeed.record(roomId, event);
+  if (entry) adminNsp.emit('roomEvent', entry);
+  markAdminRoom(roomId);
+});
+
+// A room's request ids go with the room
+roomManager.onRoomEvent((roomId, event) => {
+  if (event.type === 'removed') actionLog.forgetRoom(roomId);
+});
+
+// Room lifecycle and game metrics
+roomManager.onRoomEvent((roomId, event) => {
+  if (event.type === 'created') roomsCreated.inc();
+  else if (event.type === 'removed') roomsRemoved.inc({ reason: event.reason || 'unknown' });
+  else if (event.type === 'deal') gamesStarted.inc();
+  else if (event.type === 'solve') roundsResolved.inc({ outcome: event.solvedBy ? 'solved' : 'both_wrong' });
+  else if (event.type === 'timeout') roundsResolved.inc({ outcome: 'timed_out' });
+  else if (event.type === 'submit') observeAnswer(roomId, event);
+});
+
+// Answer latency from the problem reveal; bots answer on a schedule of their own
+function observeAnswer(roomId, event) {
+  const room = roomManager.getRoom(roomId);
+  const state = roomManager.getGameState(roomId);
+  if (!room || !state || !state.revealedAt) return;
+  const player = roomManager.findPlayerByNumber(room, event.playerNumber);
+  if (!player || player.bot) return;
+  answerLatency.observe({ correct: String(!!event.isCorrect) }, Math.max(0, event.at - state.revealedAt) / 1000);
+}
+
+// Collect match results when a tournament room's game ends
+roomManager.onGameOver((roomId, state) => {
+  gamesFinished.inc();
+  const scores = {};
+  for (const p of state.players) scores[p.playerNumber] = p.score;
+  const result = tournaments.recordResult(roomId, { scores, winners: state.winners });
+  if (result) handleTournamentResult(result, result.replay ? 'tied (replay)' : 'finished');
+});
+
+// roundTimeLimitMs from a setRoomOptions/startGame payload (top-level or under options).
+// undefined when not given; 0/null are passed through and mean "no limit".
+function pickRoundTimeLimit(payload) {
+  if (payload.roundTimeLimitMs !== undefined) return payload.roundTimeLimitMs;
+  if (payload.options && payload.options.roundTimeLimitMs !== undefined) return payload.options.roundTimeLimitMs;
+  return undefined;
+}
+
+// scoring policy from a setRoomOptions/startGame payload (top-level or under options),
+// normalized with lib/scoring.js. undefined when not given (the payload schema
+// has already turned invalid policies away).
+function pickScoring(payload) {
+  const raw = payload.scoring !== undefined ? payload.scoring : (payload.options && payload.options.scoring);
+  if (raw === undefined) return undefined;
+  return scoring.normalizeScoring(raw);
+}
+
+// problemCards ('all' | 'pair') from a setRoomOptions/startGame payload.
+// undefined when not given.
+function pickProblemCards(payload) {
+  const raw = payload.problemCards !== undefined ? payload.problemCards : (payload.options && payload.options.problemCards);
+  if (raw === undefined) return undefined;
+  return roomManager.normalizeProblemCards(raw);
+}
+
+// Admin socket actions need a host session: true when the socket has one,
+// otherwise acks HOST_REQUIRED
+function requireHostSocket(socket, callback) {
+  const host = socket.data.host;
+  if (host && host.exp > Date.now()) return true;
+  if (typeof callback === 'function') callback(actionError(ErrorCodes.HOST_REQUIRED, 'Host login required'));
+  return false;
+}
+
+// A `seed` from the payload, honoured for host sockets only: whoever picks the
+// seed can rebuild every hand. Players get a generated one.
+function requestedSeed(socket, payload) {
+  const host = socket.data.host;
+  if (!payload || payload.seed === undefined || payload.seed === null) return undefined;
+  if (host && host.exp > Date.now()) return payload.seed;
+  console.log(`ignoring seed from non-host socket=${socket.id}`);
+  return undefined;
 }
 
-function buildAnswerOptions(correctAnswer) {
-  const answerOptions = new Set();
-  answerOptions.add(correctAnswer);
-  while (answerOptions.size < 4) {
-    answerOptions.add(generateWrongAnswer(correctAnswer));
+// Client address for per-IP limits. Behind a reverse proxy set TRUST_PROXY so
+// the first X-Forwarded-For entry is used instead of the proxy's address.
+function clientIp(headers, address) {
+  if (process.env.TRUST_PROXY) {
+    const forwarded = headers && headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded.trim()) return forwarded.split(',')[0].trim();
   }
-  return Array.from(answerOptions).sort(() => Math.random() - 0.5);
+  return address || 'unknown';
 }
 
+function rateLimitedError(limited) {
+  const seconds = Math.ceil(limited.retryAfterMs / 1000);
+  const result = actionError(ErrorCodes.RATE_LIMITED, `Too many ${limited.event} requests, try again in ${seconds}s`);
+  result.error.retryAfterMs = limited.retryAfterMs;
+  return result;
+}
+
+// STALE_ACTION ack with what the client needs to catch up: the current round
+// and the state as seen from its seat
+function staleActionError(stale, roomId, playerNumber) {
+  const state = roomManager.getGameState(roomId);
+  stale.error.round = state.round;
+  stale.error.roundSeq = state.roundSeq;
+  stale.error.state = roomManager.projectState(state, playerNumber);
+  return stale;
+}
+
+// Rate limit for a REST route (per client IP); answers 429
+function rateLimitRoute(name) {
+  return (req, res, next) => {
+    const limited = rateLimiter.consume(name, { ip: clientIp(req.headers, req.socket.remoteAddress) });
+    if (!limited) {
+      next();
+      return;
+    }
+    if (limited.first) console.log(`${name}: rate limited ip=${clientIp(req.headers, req.socket.remoteAddress)} (retry in ${limited.retryAfterMs}ms)`);
+    res.setHeader('Retry-After', Math.ceil(limited.retryAfterMs / 1000));
+    res.status(429).json(rateLimitedError(limited));
+  };
+}
+
+// A socket may only hold seats in MAX_ROOMS_PER_SOCKET rooms at once.
+// Returns the error to ack, or null.
+function roomLimitError(socket, event) {
+  if (roomManager.countRoomsBySocket(socket.id) < MAX_ROOMS_PER_SOCKET) return null;
+  rateLimiter.countRejection(event, 'roomLimit');
+  console.log(`${event}: socket=${socket.id} already sits in ${MAX_ROOMS_PER_SOCKET} rooms`);
+  return actionError(ErrorCodes.ROOM_LIMIT, `You can be in at most ${MAX_ROOMS_PER_SOCKET} rooms; leave one first`);
+}
+
+// Host session from a socket handshake (`auth: { token }` or the dashboard's
+// session cookie), or null
+function hostFromHandshake(socket) {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || hostAuth.tokenFromHeaders(socket.handshake.headers);
+  const account = hostAuth.verify(token);
+  return account ? { username: account.sub, exp: account.exp } : null;
+}
+
+// Sockets can carry a host session from the start; everyone else connects as a player.
+io.use((socket, next) => {
+  const host = hostFromHandshake(socket);
+  if (host) socket.data.host = host;
+  next();
+});
+
+// The /admin namespace is for hosts only. A dashboard gets a snapshot of every
+// room and the recent events on connect, then `roomUpdate`, `roomRemoved` and
+// `roomEvent` as things happen.
+adminNsp.use((socket, next) => {
+  const host = hostFromHandshake(socket);
+  if (!host) {
+    next(new Error('Host login required'));
+    return;
+  }
+  socket.data.host = host;
+  next();
+});
+
+adminNsp.on('connection', (socket) => {
+  console.log(`admin dashboard connected: socket=${socket.id} host=${socket.data.host.username}`);
+  try {
+    socket.emit('snapshot', adminFeed.snapshot());
+  } catch (err) {
+    console.error('admin snapshot error', err);
+  }
+  // sessions expire; the dashboard goes back to the login page
+  const untilExpiry = socket.data.host.exp - Date.now();
+  const expiry = setTimeout(() => socket.disconnect(true), Math.min(untilExpiry, 2147483647));
+  socket.on('disconnect', () => {
+    clearTimeout(expiry);
+    console.log(`admin dashboard disconnected: socket=${socket.id}`);
+  });
+});
+
 io.on('connection', (socket) => {
-  console.log('Socket connected:', socket.id);
+  // protocolVersion from the handshake picks envelopes (v2) or the legacy events
+  socket.data.protocolVersion = protocol.negotiateVersion(socket.handshake);
+  console.log('Socket connected:', socket.id, `protocol v${socket.data.protocolVersion}`);
+  socketConnects.inc();
+  sendMessage(socket.id, 'hello', { protocolVersion: socket.data.protocolVersion, supportedVersions: protocol.SUPPORTED_VERSIONS }, {
+    legacy: { events: [] },
+  });
+
+  // Before any handler runs: apply the event's rate limits, then check the
+  // payload against its schema (lib/validation.js). Rejected events are acked
+  // with RATE_LIMITED or INVALID_PAYLOAD and dropped.
+  const ip = clientIp(socket.handshake.headers, socket.handshake.address);
+  socket.use((packet, next) => {
+    const [event, ...args] = packet;
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const limited = rateLimiter.consume(event, { socketId: socket.id, ip });
+    if (limited) {
+      // logged once per burst; every rejection is counted
+      if (limited.first) console.log(`${event}: rate limited socket=${socket.id} ip=${ip} (${limited.scope}, retry in ${limited.retryAfterMs}ms)`);
+      if (callback) callback(rateLimitedError(limited));
+      return;
+    }
+    const invalid = validateEvent(event, args[0]);
+    if (!invalid) {
+      next();
+      return;
+    }
+    console.log(`${event}: rejected invalid payload from socket=${socket.id} (${invalid.error.field || 'payload'}: ${invalid.error.message})`);
+    if (callback) callback(invalid);
+  });
+
+  // Log in as a host on an open socket: { username, password } or { token }.
+  // Acks { ok: true, username, token, expiresAt }.
+  socket.on('hostLogin', ({ username, password, token } = {}, callback) => {
+    try {
+      let session = null;
+      if (token) {
+        const account = hostAuth.verify(token);
+        if (account) session = { username: account.sub, token, expiresAt: account.exp };
+      } else {
+        session = hostAuth.login(username, password);
+      }
+      if (!session) {
+        console.log(`hostLogin: socket=${socket.id} rejected`);
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.AUTH_FAILED, 'Invalid username or password'));
+        return;
+      }
+      socket.data.host = { username: session.username, exp: session.expiresAt };
+      console.log(`hostLogin: socket=${socket.id} is host ${session.username}`);
+      if (typeof callback === 'function') callback(Object.assign({ ok: true }, session));
+    } catch (err) {
+      handlerError('hostLogin', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  // Host moderation (see adminKickPlayer and friends)
+  socket.on('adminKickPlayer', ({ roomId, playerNumber } = {}, callback) => {
+    try {
+      if (!requireHostSocket(socket, callback)) return;
+      adminAck(callback, adminKickPlayer(roomId, playerNumber, socket.data.host.username));
+    } catch (err) {
+      handlerError('adminKickPlayer', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  socket.on('adminCloseRoom', ({ roomId } = {}, callback) => {
+    try {
+      if (!requireHostSocket(socket, callback)) return;
+      adminAck(callback, adminCloseRoom(roomId, socket.data.host.username));
+    } catch (err) {
+      handlerError('adminCloseRoom', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  socket.on('adminNextRound', ({ roomId } = {}, callback) => {
+    try {
+      if (!requireHostSocket(socket, callback)) return;
+      adminAck(callback, adminNextRound(roomId, socket.data.host.username));
+    } catch (err) {
+      handlerError('adminNextRound', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  socket.on('adminResetGame', ({ roomId } = {}, callback) => {
+    try {
+      if (!requireHostSocket(socket, callback)) return;
+      adminAck(callback, adminResetGame(roomId, socket.data.host.username));
+    } catch (err) {
+      handlerError('adminResetGame', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
 
   socket.on('createRoom', (payload, callback) => {
     try {
-      const { room, response } = roomManager.createRoom(socket.id);
+      const overLimit = roomLimitError(socket, 'createRoom');
+      if (overLimit) {
+        if (typeof callback === 'function') callback(overLimit);
+        return;
+      }
+      // picking a room by hand ends any matchmaking wait
+      const unqueued = matchQueue.cancel(socket.id);
+      if (unqueued) broadcastMatchQueue(unqueued.key);
+      const { room, response } = roomManager.createRoom(socket.id, {
+        seed: requestedSeed(socket, payload),
+        profileId: payload && payload.profileId,
+        maxPlayers: payload && (payload.maxPlayers !== undefined ? payload.maxPlayers : payload.options && payload.options.maxPlayers),
+      });
       console.log(`createRoom: socket=${socket.id} created room ${response.roomId} playerId=${response.playerId}`);
       // Ack back to creator
       if (typeof callback === 'function') callback(response);
       // Also emit roomJoined for compatibility with client listeners
-      socket.emit('roomJoined', response);
+      sendMessage(socket.id, 'roomJoined', response, { roomId: response.roomId });
       console.log(`Room ${response.roomId} created by ${response.playerId}`);
     } catch (err) {
-      console.error('createRoom error', err);
-      if (typeof callback === 'function') callback({ error: 'Failed to create room' });
+      handlerError('createRoom', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Failed to create room'));
     }
   });
 
-  socket.on('joinRoom', ({ roomId } = {}, callback) => {
+  socket.on('joinRoom', ({ roomId, profileId } = {}, callback) => {
     try {
-      if (!roomId) {
-        if (typeof callback === 'function') callback({ error: 'Missing roomId' });
+      const target = roomManager.getRoom(roomId);
+      const overLimit = !(target && target.players.has(socket.id)) && roomLimitError(socket, 'joinRoom');
+      if (overLimit) {
+        if (typeof callback === 'function') callback(overLimit);
         return;
       }
-  const result = roomManager.joinRoom(roomId, socket.id);
+  const result = roomManager.joinRoom(roomId, socket.id, { profileId });
   if (result && result.response) {
     console.log(`joinRoom: socket=${socket.id} attempt join ${roomId} -> ok`);
   } else {
-    const reason = result && result.error ? result.error : 'unknown';
+    const reason = result && result.error ? result.error.code : 'unknown';
     console.log(`joinRoom: socket=${socket.id} attempt join ${roomId} -> error (${reason})`);
   }
       if (result.error) {
-        if (typeof callback === 'function') callback({ error: result.error });
+        if (typeof callback === 'function') callback(result);
         return;
       }
 
       const { room, response } = result;
   console.log(`joinRoom: socket=${socket.id} joined room ${roomId} as player ${response.playerId}`);
+      roomJoins.inc();
+      const unqueued = matchQueue.cancel(socket.id);
+      if (unqueued) broadcastMatchQueue(unqueued.key);
       // If this room was previously empty and marked with lastEmptyAt, clear the marker now
       if (room.lastEmptyAt) delete room.lastEmptyAt;
       if (typeof callback === 'function') callback(response);
-      socket.emit('roomJoined', response);
+      sendMessage(socket.id, 'roomJoined', response, { roomId });
 
-      // Notify other player that second player connected
-      for (const [otherSocketId] of room.players.entries()) {
-        if (otherSocketId !== socket.id) {
-          io.to(otherSocketId).emit('otherPlayerConnected');
-        }
-      }
+      // Notify the other players that someone connected (legacy clients get no payload)
+      sendMessage(otherPlayerSockets(room, socket.id), 'otherPlayerConnected', { roomId, playerNumber: response.playerNumber }, {
+        roomId,
+        legacy: { payload: undefined },
+      });
       // Schedule a debounced authoritative presenceUpdate broadcast for the room
       schedulePresenceBroadcast(roomId);
       // Note: do NOT auto-start when the second player joins. The room creator must explicitly
@@ -224,161 +1184,355 @@ io.on('connection', (socket) => {
 
       console.log(`Player ${response.playerId} joined room ${roomId}`);
     } catch (err) {
-      console.error('joinRoom error', err);
-      if (typeof callback === 'function') callback({ error: 'Failed to join room' });
+      handlerError('joinRoom', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Failed to join room'));
     }
   });
 
-  socket.on('gameSync', (message) => {
+  // Matchmaking: queue for the next player with the same difficulty and
+  // operation. When one is waiting a room is created, both are seated and the
+  // game starts; both sockets get matchFound (with the usual create/join
+  // response), roomJoined and the first stateUpdate. Otherwise the ack (and a
+  // matchQueueUpdate event) carries the queue position and ETA.
+  socket.on('findMatch', (payload = {}, callback) => {
     try {
-      if (!message || !message.roomId) return;
-      // Log incoming gameSync for debugging
-      console.log('gameSync recv:', JSON.stringify(message));
+      // difficulty and operation were checked against the schema (lib/validation.js)
+      const difficulty = payload.difficulty || 'easy';
+      const operation = payload.operation || operations.DEFAULT_OPERATION;
+      if (roomManager.findRoomBySocket(socket.id)) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.ALREADY_IN_ROOM, 'Already in a room'));
+        return;
+      }
 
-      const room = roomManager.getRoom(message.roomId);
-      if (!room) return;
+      let result = matchQueue.enqueue({ socketId: socket.id, profileId: payload.profileId, difficulty, operation });
+      // the waiting player may have gone away without a disconnect being processed yet
+      while (result.matched && !io.sockets.sockets.has(result.matched[0].socketId)) {
+        result = matchQueue.enqueue({ socketId: socket.id, profileId: payload.profileId, difficulty, operation });
+      }
 
-      // Orchestrate certain message types server-side
-      if (message.type === 'cardSelected') {
-        console.log(`gameSync: cardSelected from socket=${socket.id} room=${message.roomId} player=${message.playerNumber}`);
-        // Let authoritative RoomManager handle selection and compute problem when both selected
-        // Expect only cardId from clients to avoid object identity mismatches
-        const cardId = message.data && message.data.cardId ? message.data.cardId : (message.data && message.data.card && message.data.card.id);
-        const resultState = roomManager.playerSelectCard(message.roomId, message.playerNumber, { id: cardId });
-        if (resultState) {
-          // Only send stateUpdate with revealEquation, no auto-next/transitioning
-          const payload = { type: 'stateUpdate', roomId: message.roomId, data: resultState };
-          // Ensure explicit flags are present for clients to decide navigation
-          try { payload.data.advanceClients = !!payload.data.advanceClients; } catch (e) {}
-          try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : false; } catch (e) {}
-          try {
-            logStateUpdateSummary('cardSelected: stateUpdate payload', payload);
-          } catch (err) {
-            console.log('cardSelected: stateUpdate payload (summarize failed)');
-          }
-          for (const [sId] of room.players.entries()) {
-            io.to(sId).emit('gameSync', payload);
-            io.to(sId).emit('otherPlayerAction', payload);
-          }
-        }
+      if (result.matched) {
+        const [waiting, entry] = result.matched;
+        const { responses } = startMatch(waiting, entry, { difficulty, operation });
+        if (typeof callback === 'function') callback(Object.assign({ ok: true, matched: true }, responses[1][1]));
         return;
       }
 
-      if (message.type === 'answerSubmitted') {
-    console.log(`gameSync: answerSubmitted from socket=${socket.id} room=${message.roomId} player=${message.playerNumber}`);
-        console.log(`answerSubmitted recv: room=${message.roomId} player=${message.playerNumber} answer=${message.data && message.data.answer}`);
-        const res = roomManager.playerSubmitAnswer(message.roomId, message.playerNumber, message.data.answer);
-        if (res) {
-          // Broadcast updated state. Only schedule an auto-next if the problem was resolved
-          if (res.state.problemSolved) {
-            const autoDelay = 800;
-            const payload = { type: 'stateUpdate', roomId: message.roomId, data: res.state, nextRoundInMs: autoDelay };
-            // mark that server is transitioning to next round so clients can
-            // disable UI interactions during the short window to avoid races
-            payload.transitioning = true;
-            // do not allow clients to auto-advance yet; server will flip advanceClients when auto-next runs
-            try { payload.data.advanceClients = false; } catch (e) {}
-            // include an absolute next-round timestamp so clients that fetch
-            // state later (or missed this message) can schedule the same deadline
-            try { payload.nextRoundAt = Date.now() + autoDelay; } catch (e) {}
-            console.log(`answerSubmitted: problemSolved in room ${message.roomId}, scheduling auto-next ${autoDelay}ms, solvedBy=${res.state.solvedBy}`);
-            try {
-              logStateUpdateSummary('answerSubmitted: stateUpdate payload', payload);
-            } catch (err) {
-              console.log('answerSubmitted: stateUpdate payload (summarize failed)');
-            }
-            for (const [sId] of room.players.entries()) {
-              io.to(sId).emit('gameSync', payload);
-              io.to(sId).emit('otherPlayerAction', payload);
-            }
-            // Schedule server-side auto-advance shortly after answer is processed
-            scheduleAutoNextRound(message.roomId, autoDelay);
-          } else {
-            const payload = { type: 'stateUpdate', roomId: message.roomId, data: res.state };
-            try { payload.data.advanceClients = !!payload.data.advanceClients; } catch (e) {}
-            try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : false; } catch (e) {}
-            console.log(`answerSubmitted: partial answer in room ${message.roomId}, other player may still answer`);
-            try {
-              logStateUpdateSummary('answerSubmitted: stateUpdate payload', payload);
-            } catch (err) {
-              console.log('answerSubmitted: stateUpdate payload (summarize failed)');
-            }
-            for (const [sId] of room.players.entries()) {
-              io.to(sId).emit('gameSync', payload);
-              io.to(sId).emit('otherPlayerAction', payload);
-            }
-          }
-        }
+      const status = matchQueue.status(socket.id);
+      console.log(`findMatch: socket=${socket.id} queued for ${difficulty}/${operation} position=${status.position}`);
+      if (typeof callback === 'function') callback(Object.assign({ ok: true, queued: true }, status));
+      sendMessage(socket.id, 'matchQueueUpdate', status);
+    } catch (err) {
+      handlerError('findMatch', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  socket.on('cancelMatch', (payload, callback) => {
+    try {
+      const removed = matchQueue.cancel(socket.id);
+      if (!removed) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.INVALID_STATE, 'Not in the match queue'));
         return;
       }
+      console.log(`cancelMatch: socket=${socket.id} left the ${removed.key} queue`);
+      broadcastMatchQueue(removed.key);
+      if (typeof callback === 'function') callback({ ok: true });
+    } catch (err) {
+      handlerError('cancelMatch', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
 
-      if (message.type === 'nextRound') {
-    console.log(`gameSync: nextRound from socket=${socket.id} room=${message.roomId}`);
-        // If an auto-next timer exists, cancel it and run immediately
-        clearAutoNextRound(message.roomId);
-        const state = roomManager.nextRound(message.roomId);
-        if (state) {
-          const payload = { type: 'stateUpdate', roomId: message.roomId, data: state };
-          // Manual nextRound invoked by a client: treat as an explicit advance
-          try { payload.data.advanceClients = true; } catch (e) {}
-          try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : true; } catch (e) {}
-          try {
-            logStateUpdateSummary('nextRound: stateUpdate payload', payload);
-          } catch (err) {
-            console.log('nextRound: stateUpdate payload (summarize failed)');
-          }
-          for (const [sId] of room.players.entries()) {
-            io.to(sId).emit('gameSync', payload);
-            io.to(sId).emit('otherPlayerAction', payload);
-          }
-        }
+  // Follow a room read-only (classroom board, parents). Any number of sockets
+  // may spectate; they get the neutral state view and presence updates but
+  // take no seat and cannot send game actions.
+  socket.on('spectateRoom', ({ roomId } = {}, callback) => {
+    try {
+      const result = roomManager.spectateRoom(roomId, socket.id);
+      if (result.error) {
+        console.log(`spectateRoom: socket=${socket.id} room=${roomId} -> error (${result.error.code})`);
+        if (typeof callback === 'function') callback(result);
         return;
       }
+      const { response, state } = result;
+      console.log(`spectateRoom: socket=${socket.id} spectating room ${roomId} (spectators=${response.spectators})`);
+      if (typeof callback === 'function') callback(response);
+      if (state) {
+        const payload = { type: 'stateUpdate', roomId, data: state };
+        try { payload.data.advanceClients = !!payload.data.advanceClients; } catch (e) {}
+        sendStateUpdate(socket.id, null, payload);
+      }
+      schedulePresenceBroadcast(roomId);
+    } catch (err) {
+      handlerError('spectateRoom', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Failed to spectate room'));
+    }
+  });
 
-      if (message.type === 'resetGame') {
-    console.log(`gameSync: resetGame from socket=${socket.id} room=${message.roomId}`);
-        const state = roomManager.resetGameState(message.roomId);
-        if (state) {
-          const payload = { type: 'stateUpdate', roomId: message.roomId, data: state };
-          try {
-            logStateUpdateSummary('resetGame: stateUpdate payload', payload);
-          } catch (err) {
-            console.log('resetGame: stateUpdate payload (summarize failed)');
-          }
-          for (const [sId] of room.players.entries()) {
-            io.to(sId).emit('gameSync', payload);
-            io.to(sId).emit('otherPlayerAction', payload);
-          }
-          // Clear any pending rematch requests when game is reset
-          rematchRequests.delete(message.roomId);
-        }
+  socket.on('stopSpectating', (payload, callback) => {
+    try {
+      const stopped = roomManager.stopSpectating(socket.id);
+      if (!stopped) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.INVALID_STATE, 'Not spectating'));
         return;
       }
+      schedulePresenceBroadcast(stopped.roomId);
+      if (typeof callback === 'function') callback({ ok: true, roomId: stopped.roomId });
+    } catch (err) {
+      handlerError('stopSpectating', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
 
-      // Default: relay to other players as before
-      for (const [otherSocketId] of room.players.entries()) {
-        if (otherSocketId !== socket.id) {
-          io.to(otherSocketId).emit('gameSync', message);
-          io.to(otherSocketId).emit('otherPlayerAction', message);
-        }
+  // Solo practice: the room creator seats an in-process bot (lib/bot.js) in the
+  // next free seat before starting the game. profile: 'easy' | 'medium' | 'hard'.
+  socket.on('addBot', ({ roomId, profile = 'medium' } = {}, callback) => {
+    try {
+      const room = roomManager.getRoom(roomId);
+      if (!room) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 'roomId'));
+        return;
       }
+      const player = room.players.get(socket.id);
+      if (!player || player.playerNumber !== 1) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_ALLOWED, 'Only the room creator can add a bot'));
+        return;
+      }
+      const state = roomManager.getGameState(roomId);
+      if (state && !state.gameOver) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.INVALID_STATE, 'Game already started'));
+        return;
+      }
+      const result = roomManager.addBot(roomId, profile);
+      if (result.error) {
+        if (typeof callback === 'function') callback(result);
+        return;
+      }
+      attachBot(roomId, result.player);
+      console.log(`addBot: room=${roomId} ${profile} bot seated as player ${result.player.playerNumber}`);
+      if (typeof callback === 'function') callback({ ok: true, playerNumber: result.player.playerNumber, profile });
+      const people = Array.from(room.players.values()).filter(p => !p.bot).map(p => p.socketId);
+      const data = { roomId, playerNumber: result.player.playerNumber, bot: profile };
+      sendMessage(people, 'otherPlayerConnected', data, { roomId, legacy: { payload: undefined } });
+      schedulePresenceBroadcast(roomId);
     } catch (err) {
-      console.error('gameSync error', err);
+      handlerError('addBot', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
     }
   });
 
-  // Rematch request: player initiates or confirms rematch
-  socket.on('requestRematch', ({ roomId, playerNumber } = {}, callback) => {
+  // Tournaments (lib/tournament.js). A logged-in host creates one and is the
+  // only one who can start it; entrants join with the code. Every change is
+  // pushed as tournamentUpdate, and each match opens with tournamentMatch.
+  socket.on('createTournament', (payload = {}, callback) => {
     try {
-      if (!roomId || !playerNumber) {
-        if (typeof callback === 'function') callback({ error: 'Missing roomId or playerNumber' });
+      if (!requireHostSocket(socket, callback)) return;
+      const difficulty = payload.difficulty || 'easy';
+      const operation = payload.operation || operations.DEFAULT_OPERATION;
+      const result = tournaments.createTournament({
+        name: payload.name,
+        format: payload.format,
+        difficulty,
+        operation,
+        host: socket.data.host.username,
+        hostSocketId: socket.id,
+      });
+      if (result.error) {
+        if (typeof callback === 'function') callback(result);
         return;
       }
-      const room = roomManager.getRoom(roomId);
-      if (!room) {
-        if (typeof callback === 'function') callback({ error: 'Room not found' });
+      const view = tournaments.view(result.tournament);
+      console.log(`createTournament: socket=${socket.id} created ${view.tournamentId} code=${view.code} (${view.format})`);
+      if (typeof callback === 'function') callback(Object.assign({ ok: true }, view));
+    } catch (err) {
+      handlerError('createTournament', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  socket.on('joinTournament', ({ code, name, profileId, entrantId, rejoinToken } = {}, callback) => {
+    try {
+      const result = tournaments.register(code, { socketId: socket.id, name, profileId, entrantId, rejoinToken });
+      if (result.error) {
+        if (typeof callback === 'function') callback(result);
+        return;
+      }
+      const { tournament, entrant, rejoined } = result;
+      console.log(`joinTournament: socket=${socket.id} ${rejoined ? 'rejoined' : 'joined'} ${tournament.tournamentId} as ${entrant.entrantId}`);
+      if (typeof callback === 'function') {
+        callback({
+          ok: true,
+          tournamentId: tournament.tournamentId,
+          code: tournament.code,
+          entrantId: entrant.entrantId,
+          rejoinToken: entrant.rejoinToken,
+          name: entrant.name,
+          rejoined: !!rejoined,
+        });
+      }
+      broadcastTournament(tournament);
+      // a returning player may be the one a match was waiting for
+      if (rejoined && tournament.status === 'running') scheduleTournamentMatches(tournament.tournamentId, 0);
+    } catch (err) {
+      handlerError('joinTournament', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  socket.on('leaveTournament', ({ tournamentId } = {}, callback) => {
+    try {
+      const removed = tournaments.unregister(tournamentId, socket.id);
+      if (!removed) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.INVALID_STATE, 'Not registered or tournament already started'));
+        return;
+      }
+      if (typeof callback === 'function') callback({ ok: true });
+      broadcastTournament(tournaments.getTournament(tournamentId));
+    } catch (err) {
+      handlerError('leaveTournament', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  socket.on('startTournament', ({ tournamentId } = {}, callback) => {
+    try {
+      if (!requireHostSocket(socket, callback)) return;
+      const tournament = tournaments.getTournament(tournamentId);
+      if (!tournament) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_FOUND, 'Tournament not found', 'tournamentId'));
+        return;
+      }
+      if (tournament.host !== socket.data.host.username) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_ALLOWED, 'Only the tournament host can start it'));
+        return;
+      }
+      // updates follow the host to the socket they are using now
+      tournament.hostSocketId = socket.id;
+      const result = tournaments.start(tournamentId);
+      if (result.error) {
+        if (typeof callback === 'function') callback(result);
+        return;
+      }
+      console.log(`startTournament: ${tournamentId} started with ${tournament.entrants.length} players, ${tournament.matches.length} matches`);
+      startTournamentMatches(tournament);
+      if (typeof callback === 'function') callback(Object.assign({ ok: true }, tournaments.view(tournament)));
+      broadcastTournament(tournament);
+    } catch (err) {
+      handlerError('startTournament', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
+    }
+  });
+
+  // Reclaim a held seat after a reconnect: rebinds this socket to the old
+  // playerNumber and replays the authoritative state snapshot.
+  socket.on('resumeSession', ({ resumeToken } = {}, callback) => {
+    try {
+      const result = roomManager.resumeSession(resumeToken, socket.id);
+      if (result.error) {
+        console.log(`resumeSession: socket=${socket.id} -> error (${result.error.message})`);
+        if (typeof callback === 'function') callback(result);
+        return;
+      }
+
+      const { room, response, state, stoppedSpectating } = result;
+      clearSeatExpiry(resumeToken);
+      if (stoppedSpectating && stoppedSpectating.roomId !== response.roomId) schedulePresenceBroadcast(stoppedSpectating.roomId);
+      for (const tournament of tournaments.rebindSocket(result.previousSocketId, socket.id)) {
+        if (tournament.status === 'running') scheduleTournamentMatches(tournament.tournamentId, 0);
+      }
+      if (state && state.roundDeadline && !roundTimers.has(response.roomId)) scheduleRoundTimeout(response.roomId);
+      console.log(`resumeSession: socket=${socket.id} resumed room ${response.roomId} as player ${response.playerNumber}`);
+      if (typeof callback === 'function') callback(response);
+      sendMessage(socket.id, 'roomJoined', response, { roomId: response.roomId });
+
+      if (state) {
+        // `resumed` lets the client skip deal animations for a replayed snapshot
+        const payload = { type: 'stateUpdate', roomId: response.roomId, data: state, resumed: true };
+        try { payload.data.advanceClients = !!payload.data.advanceClients; } catch (e) {}
+        sendStateUpdate(socket.id, response.playerNumber, payload);
+      }
+
+      const reconnected = { roomId: response.roomId, playerNumber: response.playerNumber };
+      sendMessage(otherPlayerSockets(room, socket.id), 'otherPlayerReconnected', reconnected, { roomId: response.roomId });
+      // a bot waits while its opponent is away
+      notifyBots(room);
+      schedulePresenceBroadcast(response.roomId);
+    } catch (err) {
+      handlerError('resumeSession', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Failed to resume session'));
+    }
+  });
+
+  socket.on('gameSync', (message, callback) => {
+    try {
+      if (!message || !message.roomId) return;
+      // Log incoming gameSync for debugging
+      console.log('gameSync recv:', JSON.stringify(message));
+
+      // Resolve the sender's seat from the socket, never from the payload
+      const seat = roomManager.authorizeAction(socket.id, message.roomId, message.playerNumber);
+      if (seat.error) {
+        console.log(`gameSync: rejected ${message.type} from socket=${socket.id} room=${message.roomId} (${seat.error.code})`);
+        if (typeof callback === 'function') callback(seat);
+        return;
+      }
+      const { room, playerNumber } = seat;
+      // relayed messages go to every other player verbatim: keep them small
+      if (!ORCHESTRATED_SYNC_TYPES.includes(message.type)) {
+        const size = Buffer.byteLength(JSON.stringify(message));
+        if (size > RELAY_MAX_BYTES) {
+          rateLimiter.countRejection('gameSync', 'payloadSize');
+          console.log(`gameSync: dropped ${message.type} from socket=${socket.id} room=${message.roomId} (${size} bytes > ${RELAY_MAX_BYTES})`);
+          if (typeof callback === 'function') callback(actionError(ErrorCodes.PAYLOAD_TOO_LARGE, `Relayed messages are limited to ${RELAY_MAX_BYTES} bytes`));
+          return;
+        }
+      } else {
+        // game actions: a repeated requestId gets its first ack back and changes
+        // nothing; one made against a round the room has left is refused
+        const hasRequestId = message.requestId !== undefined && message.requestId !== null;
+        const previous = hasRequestId && actionLog.lookup(message.roomId, playerNumber, message.requestId);
+        if (previous) {
+          console.log(`gameSync: duplicate ${message.type} requestId=${message.requestId} from socket=${socket.id} room=${message.roomId}`);
+          if (typeof callback === 'function') callback(Object.assign({ duplicate: true }, previous));
+          return;
+        }
+        const required = ROUND_BOUND_SYNC_TYPES.includes(message.type);
+        const stale = roomManager.checkActionRound(message.roomId, message, { required });
+        if (stale) {
+          console.log(`gameSync: refused ${message.type} from socket=${socket.id} room=${message.roomId} (${stale.error.code}: ${stale.error.message})`);
+          if (typeof callback === 'function') callback(staleActionError(stale, message.roomId, playerNumber));
+          return;
+        }
+        // ack (and remember for retries) what the action actually did
+        const ack = applyGameAction(room, message.roomId, playerNumber, message, socket.id);
+        if (ack.error) console.log(`gameSync: ${message.type} from socket=${socket.id} room=${message.roomId} not applied (${ack.error.code}: ${ack.error.message})`);
+        if (hasRequestId) actionLog.record(message.roomId, playerNumber, message.requestId, ack);
+        if (typeof callback === 'function') callback(ack);
         return;
       }
+      if (typeof callback === 'function') callback({ ok: true });
+
+      // Default: relay to other players as before, stamped with the sender's real seat
+      const relayed = Object.assign({}, message, { playerNumber });
+      sendMessage(otherPlayerSockets(room, socket.id), 'relay', relayed, {
+        roomId: message.roomId,
+        legacy: { events: ['gameSync', 'otherPlayerAction'] },
+      });
+    } catch (err) {
+      handlerError('gameSync', err);
+    }
+  });
+
+  // Rematch request: player initiates or confirms rematch
+  socket.on('requestRematch', ({ roomId, playerNumber: claimedPlayerNumber } = {}, callback) => {
+    try {
+      const seat = roomManager.authorizeAction(socket.id, roomId, claimedPlayerNumber);
+      if (seat.error) {
+        console.log(`requestRematch: rejected socket=${socket.id} room=${roomId} (${seat.error.code})`);
+        if (typeof callback === 'function') callback(seat);
+        return;
+      }
+      const { room, playerNumber } = seat;
 
       // Initialize rematch request set for this room if needed
       if (!rematchRequests.has(roomId)) {
@@ -386,17 +1540,24 @@ io.on('connection', (socket) => {
       }
       const requests = rematchRequests.get(roomId);
       requests.add(playerNumber);
+      // bots always agree to another game
+      for (const [, p] of room.players.entries()) {
+        if (p.bot) requests.add(p.playerNumber);
+      }
 
       console.log(`requestRematch: room=${roomId} player=${playerNumber} total=${requests.size}`);
 
-      // Check if both players have requested rematch
-      if (requests.size >= 2) {
-        console.log(`requestRematch: both players confirmed for room=${roomId}, resetting game`);
+      // Check if every seated player has requested a rematch
+      if (requests.size >= Math.max(2, room.players.size)) {
+        console.log(`requestRematch: all players confirmed for room=${roomId}, resetting game`);
 
-        // Reset game state (reuse existing difficulty/initialCards)
+        // Reset game state (reuse existing difficulty/initialCards/operation)
         const difficulty = room.difficulty || 'easy';
         const initialCards = room.initialCards || 6;
-        const state = roomManager.initGameState(roomId, { difficulty, initialCards });
+        const operation = room.operation || operations.DEFAULT_OPERATION;
+        roomManager.logEvent(roomId, 'rematch', { requestedBy: Array.from(requests) });
+        clearRoundTimeout(roomId);
+        const state = roomManager.initGameState(roomId, { difficulty, initialCards, operation });
 
         if (state) {
           // Ensure clients treat this like a fresh deal
@@ -408,39 +1569,28 @@ io.on('connection', (socket) => {
 
           // Broadcast state update and presence so clients route consistently
           const payload = { type: 'stateUpdate', roomId, data: state };
-          for (const [sId] of room.players.entries()) {
-            io.to(sId).emit('gameSync', payload);
-            io.to(sId).emit('otherPlayerAction', payload);
-            io.to(sId).emit('presenceUpdate', { roomId, playerSocket: sId, status: 'in-game' });
-          }
+          broadcastStateUpdate(room, payload);
+          announceInGame(room, roomId);
 
           if (typeof callback === 'function') callback({ ok: true, bothConfirmed: true });
         } else {
-          if (typeof callback === 'function') callback({ error: 'Failed to reset game' });
+          if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Failed to reset game'));
         }
       } else {
         // Notify other player about rematch request
-        for (const [sId, player] of room.players.entries()) {
-          if (player.playerNumber !== playerNumber) {
-            io.to(sId).emit('rematchRequested', { roomId, requestedBy: playerNumber });
-          }
-        }
+        const others = Array.from(room.players.values()).filter(p => p.playerNumber !== playerNumber).map(p => p.socketId);
+        sendMessage(others, 'rematchRequested', { roomId, requestedBy: playerNumber }, { roomId });
         if (typeof callback === 'function') callback({ ok: true, waiting: true });
       }
     } catch (err) {
-      console.error('requestRematch error', err);
-      if (typeof callback === 'function') callback({ error: 'Server error' });
+      handlerError('requestRematch', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
     }
   });
 
   // Allow clients to set ephemeral presence (e.g., 'lobby' | 'in-game') without disconnecting
   socket.on('setPresence', ({ roomId, status } = {}, callback) => {
     try {
-      if (!roomId || !status) {
-        if (typeof callback === 'function') callback({ error: 'Missing roomId or status' });
-        return;
-      }
-
   // If a client explicitly sets presence to 'left', treat that as an intent to leave the room.
   console.log(`setPresence: socket=${socket.id} room=${roomId} status=${status}`);
       if (status === 'left') {
@@ -449,13 +1599,13 @@ io.on('connection', (socket) => {
           // If there are remaining players, notify them that this player left
           const room = roomManager.getRoom(left.roomId);
           if (room && room.players.size > 0) {
-            for (const [otherSocketId] of room.players.entries()) {
-              io.to(otherSocketId).emit('otherPlayerDisconnected');
-            }
+            const data = { roomId: left.roomId, playerNumber: left.playerNumber, resumable: false };
+            sendMessage(Array.from(room.players.keys()), 'otherPlayerDisconnected', data, { roomId: left.roomId });
+            broadcastSeatDropped(left.roomId, left.seatDropped);
           }
           if (typeof callback === 'function') callback({ ok: true });
         } else {
-          if (typeof callback === 'function') callback({ error: 'Not in a room' });
+          if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_IN_ROOM, 'Not in a room'));
         }
         return;
       }
@@ -477,7 +1627,8 @@ io.on('connection', (socket) => {
               const payload = { type: 'stateUpdate', roomId, data: state };
               try { payload.data.advanceClients = !!payload.data.advanceClients; } catch (e) {}
               try { payload.data.dealComplete = typeof payload.data.dealComplete === 'boolean' ? payload.data.dealComplete : false; } catch (e) {}
-              io.to(socket.id).emit('gameSync', payload);
+              const me = roomManager.getRoom(roomId).players.get(socket.id);
+              sendStateUpdate(socket.id, me && me.playerNumber, payload);
             }
           } catch (err) {
             console.error('setPresence in-game emit error', err);
@@ -485,30 +1636,26 @@ io.on('connection', (socket) => {
         }
         if (typeof callback === 'function') callback({ ok: true });
       } else {
-        if (typeof callback === 'function') callback({ error: 'Failed to set presence' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_IN_ROOM, 'Not in this room', 'roomId'));
       }
     } catch (err) {
-      console.error('setPresence error', err);
-      if (typeof callback === 'function') callback({ error: 'Server error' });
+      handlerError('setPresence', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
     }
   });
 
-  // Optional pre-configuration: client can set room options (difficulty, initialCards) before startGame
+  // Optional pre-configuration: client can set room options (difficulty, initialCards, operation) before startGame
   socket.on('setRoomOptions', (payload = {}, callback) => {
     try {
       const { roomId } = payload;
-      if (!roomId) {
-        if (typeof callback === 'function') callback({ error: 'Missing roomId' });
-        return;
-      }
       const room = roomManager.getRoom(roomId);
       if (!room) {
-        if (typeof callback === 'function') callback({ error: 'Room not found' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 'roomId'));
         return;
       }
       const player = room.players.get(socket.id);
       if (!player) {
-        if (typeof callback === 'function') callback({ error: 'Not in room' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_IN_ROOM, 'Not in room', 'roomId'));
         return;
       }
 
@@ -527,20 +1674,40 @@ io.on('connection', (socket) => {
         payload.options?.initialHandSize, payload.options?.startingHandSize, payload.options?.startingCards, payload.options?.initialDealCount
       );
 
+      // operation, scoring, maxPlayers and problemCards were checked against the schema (lib/validation.js)
+      const operation = payload.operation || payload.options?.operation;
+
+      // roundTimeLimitMs: 0 or null turns the limit off
+      const roundTimeLimitMs = pickRoundTimeLimit(payload);
+      const scoringPolicy = pickScoring(payload);
+      const requestedMaxPlayers = payload.maxPlayers !== undefined ? payload.maxPlayers : payload.options?.maxPlayers;
+      const maxPlayers = requestedMaxPlayers !== undefined ? roomManager.normalizeMaxPlayers(requestedMaxPlayers) : undefined;
+      if (maxPlayers !== undefined && maxPlayers < room.players.size) {
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.INVALID_STATE, `Room already has ${room.players.size} players`, 'maxPlayers'));
+        return;
+      }
+      const problemCards = pickProblemCards(payload);
+
       // Update room options
       if (difficulty) room.difficulty = difficulty;
       if (initialCards) room.initialCards = initialCards;
-      room.options = { difficulty: room.difficulty, initialCards: room.initialCards };
+      if (operation) room.operation = operation;
+      if (roundTimeLimitMs !== undefined) room.roundTimeLimitMs = roomManager.normalizeRoundTimeLimit(roundTimeLimitMs);
+      if (scoringPolicy) room.scoring = scoringPolicy;
+      if (maxPlayers) room.maxPlayers = maxPlayers;
+      if (problemCards) room.problemCards = problemCards;
+      room.options = roomManager.roomOptions(room);
+      roomManager.persistRoom(roomId);
 
-      console.log(`setRoomOptions: room=${roomId} difficulty=${room.difficulty} initialCards=${room.initialCards}`);
+      console.log(`setRoomOptions: room=${roomId} difficulty=${room.difficulty} initialCards=${room.initialCards} operation=${room.options.operation} roundTimeLimitMs=${room.options.roundTimeLimitMs} scoring=${room.options.scoring.mode} maxPlayers=${room.options.maxPlayers} problemCards=${room.options.problemCards}`);
 
       // Broadcast updated room metadata to lobby views (optional)
       schedulePresenceBroadcast(roomId, 100);
 
       if (typeof callback === 'function') callback({ ok: true });
     } catch (err) {
-      console.error('setRoomOptions error', err);
-      if (typeof callback === 'function') callback({ error: 'Server error' });
+      handlerError('setRoomOptions', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
     }
   });
 
@@ -548,23 +1715,19 @@ io.on('connection', (socket) => {
   socket.on('startGame', (payload = {}, callback) => {
     try {
       const { roomId } = payload;
-      if (!roomId) {
-        if (typeof callback === 'function') callback({ error: 'Missing roomId' });
-        return;
-      }
       const room = roomManager.getRoom(roomId);
       if (!room) {
-        if (typeof callback === 'function') callback({ error: 'Room not found' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 'roomId'));
         return;
       }
       const player = room.players.get(socket.id);
       if (!player) {
-        if (typeof callback === 'function') callback({ error: 'Not in room' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_IN_ROOM, 'Not in room', 'roomId'));
         return;
       }
       // Only the room creator (playerNumber === 1) may start the game
       if (player.playerNumber !== 1) {
-        if (typeof callback === 'function') callback({ error: 'Only the room creator can start the game' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_ALLOWED, 'Only the room creator can start the game'));
         return;
       }
 
@@ -582,36 +1745,40 @@ io.on('connection', (socket) => {
         payload.options?.initialCards, payload.options?.cardsPerPlayer, payload.options?.cardCount,
         payload.options?.initialHandSize, payload.options?.startingHandSize, payload.options?.startingCards, payload.options?.initialDealCount
       ) || room.initialCards || null;
-
-  console.log(`startGame: socket=${socket.id} requested start for room=${roomId} difficulty=${difficulty} initialCards=${initialCards}`);
-  // Require two players to be present before starting the game.
+      const operation = payload.operation || payload.options?.operation || room.operation || operations.DEFAULT_OPERATION;
+      const requestedLimit = pickRoundTimeLimit(payload);
+      const roundTimeLimitMs = requestedLimit !== undefined ? roomManager.normalizeRoundTimeLimit(requestedLimit) : room.roundTimeLimitMs;
+      // operation, scoring and problemCards were checked against the schema (lib/validation.js)
+      const scoringPolicy = pickScoring(payload);
+      const problemCards = pickProblemCards(payload);
+
+  console.log(`startGame: socket=${socket.id} requested start for room=${roomId} difficulty=${difficulty} initialCards=${initialCards} operation=${operation}`);
+  // Require at least two players to be present before starting the game.
       // This prevents a creator from accidentally starting a game alone
       // (which can be confusing when rooms are recreated quickly).
       if ((room.players && room.players.size) < 2) {
-        if (typeof callback === 'function') callback({ error: 'Need two players to start' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.INVALID_STATE, 'Need two players to start'));
         return;
       }
 
-      const state = roomManager.initGameState(roomId, { difficulty, initialCards });
+      clearRoundTimeout(roomId);
+      const state = roomManager.initGameState(roomId, { difficulty, initialCards, operation, roundTimeLimitMs, scoring: scoringPolicy, problemCards, seed: requestedSeed(socket, payload) });
   console.log(`startGame: initGameState result for room=${roomId} -> ${state ? 'ok' : 'failed'}`);
       if (state) {
         const payload = { type: 'stateUpdate', roomId, data: state };
         // At game start, cards are dealt immediately but clients should not auto-advance
         try { payload.data.advanceClients = false; } catch (e) {}
         try { payload.data.dealComplete = false; } catch (e) {}
-        for (const [sId] of room.players.entries()) {
-          io.to(sId).emit('gameSync', payload);
-          io.to(sId).emit('otherPlayerAction', payload);
-          // Also inform clients that presence changed to 'in-game' (clients may update UI)
-          io.to(sId).emit('presenceUpdate', { roomId, playerSocket: sId, status: 'in-game' });
-        }
+        broadcastStateUpdate(room, payload);
+        // Also inform clients that presence changed to 'in-game' (clients may update UI)
+        announceInGame(room, roomId);
         if (typeof callback === 'function') callback({ ok: true });
       } else {
-        if (typeof callback === 'function') callback({ error: 'Failed to init game' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Failed to init game'));
       }
     } catch (err) {
-      console.error('startGame error', err);
-      if (typeof callback === 'function') callback({ error: 'Server error' });
+      handlerError('startGame', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
     }
   });
 
@@ -624,49 +1791,68 @@ io.on('connection', (socket) => {
       if (left) {
         const room = roomManager.getRoom(left.roomId);
         if (room && room.players.size > 0) {
-          for (const [otherSocketId] of room.players.entries()) {
-            io.to(otherSocketId).emit('otherPlayerDisconnected');
-          }
+          const data = { roomId: left.roomId, playerNumber: left.playerNumber, resumable: false };
+          sendMessage(Array.from(room.players.keys()), 'otherPlayerDisconnected', data, { roomId: left.roomId });
           // schedule presence broadcast for remaining players
           schedulePresenceBroadcast(left.roomId);
+          broadcastSeatDropped(left.roomId, left.seatDropped);
         }
+        pruneBots();
+        // leaving a tournament match hands the win to the opponent
+        const forfeited = tournaments.forfeit(left.roomId, left.playerNumber);
+        if (forfeited) handleTournamentResult(forfeited, 'forfeited');
         // Return detailed info so clients can decide where to navigate next
         if (typeof callback === 'function') callback({ ok: true, roomId: left.roomId, deleted: !!left.deleted, remaining: left.remaining });
       } else {
-        if (typeof callback === 'function') callback({ error: 'Not in a room' });
+        if (typeof callback === 'function') callback(actionError(ErrorCodes.NOT_IN_ROOM, 'Not in a room'));
       }
     } catch (err) {
-      console.error('leaveRoom error', err);
-      if (typeof callback === 'function') callback({ error: 'Server error' });
+      handlerError('leaveRoom', err);
+      if (typeof callback === 'function') callback(actionError(ErrorCodes.SERVER_ERROR, 'Server error'));
     }
   });
 
   socket.on('disconnect', () => {
     console.log('Socket disconnected:', socket.id);
+    socketDisconnects.inc();
+    rateLimiter.forgetSocket(socket.id);
+
+    const unqueued = matchQueue.cancel(socket.id);
+    if (unqueued) broadcastMatchQueue(unqueued.key);
+    for (const tournament of tournaments.disconnect(socket.id)) broadcastTournament(tournament);
+
+    const stopped = roomManager.stopSpectating(socket.id);
+    if (stopped) {
+      console.log(`disconnect: spectator left room=${stopped.roomId} remaining=${stopped.remaining}`);
+      schedulePresenceBroadcast(stopped.roomId);
+      return;
+    }
 
-    const left = roomManager.leaveRoomBySocket(socket.id);
-    if (left) {
-      // If the RoomManager indicated the room was deleted (last player left),
-      // it has already removed the room and its authoritative state. In that
-      // case just clear timers and do not attempt to broadcast presence.
-      if (left.deleted) {
-        console.log(`Room ${left.roomId} deleted (last player disconnected)`);
-        clearAutoNextRound(left.roomId);
-      } else {
-        // Notify remaining player(s) if any and schedule presence broadcast
-        const room = roomManager.getRoom(left.roomId);
-        if (room && room.players.size > 0) {
-          for (const [otherSocketId] of room.players.entries()) {
-            io.to(otherSocketId).emit('otherPlayerDisconnected');
-          }
-          clearAutoNextRound(left.roomId);
-          schedulePresenceBroadcast(left.roomId);
-        } else {
-          // Defensive fallback: ensure timers cleared
-          console.log(`Room ${left.roomId} not found after disconnect (fallback)`);
-          clearAutoNextRound(left.roomId);
-        }
+    // Hold the seat instead of leaving: the client may come back with its
+    // resumeToken within the grace period (e.g. a phone blipping off Wi-Fi).
+    const dropped = roomManager.disconnectSocket(socket.id);
+    if (dropped) {
+      console.log(`disconnect: room=${dropped.roomId} player=${dropped.playerNumber} seat held for ${dropped.graceMs}ms`);
+      const room = roomManager.getRoom(dropped.roomId);
+      if (room) {
+        const connected = Array.from(room.players.values())
+          .filter(p => p.socketId !== socket.id && p.status !== 'disconnected')
+          .map(p => p.socketId);
+        sendMessage(connected, 'otherPlayerDisconnected', {
+          roomId: dropped.roomId,
+          playerNumber: dropped.playerNumber,
+          resumable: true,
+          graceMs: dropped.graceMs,
+        }, { roomId: dropped.roomId });
+        schedulePresenceBroadcast(dropped.roomId);
+      }
+      // Nobody is left to answer, so do not auto-advance while everyone is away
+      // (the round timer is re-armed on resumeSession)
+      if (dropped.humansConnected === 0) {
+        clearAutoNextRound(dropped.roomId);
+        clearRoundTimeout(dropped.roomId);
       }
+      scheduleSeatExpiry(dropped.resumeToken, dropped.graceMs);
     }
   });
 });
@@ -680,29 +1866,98 @@ setInterval(() => {
       for (const rid of removed) {
         console.log(`GC: removed idle room ${rid}`);
         clearAutoNextRound(rid);
+        clearRoundTimeout(rid);
       }
+      pruneBots();
     }
+    rateLimiter.prune();
+    actionLog.prune();
+    collectTournaments();
   } catch (err) {
     console.error('Room GC error', err);
   }
 }, GC_INTERVAL_MS);
 
+// Decide matches an entrant did not come back for, then drop finished and
+// abandoned tournaments
+function collectTournaments() {
+  for (const result of tournaments.forfeitNoShows()) handleTournamentResult(result, 'no-show');
+  for (const tournament of tournaments.collect()) {
+    const timer = tournamentTimers.get(tournament.tournamentId);
+    if (timer) clearTimeout(timer);
+    tournamentTimers.delete(tournament.tournamentId);
+    console.log(`GC: removed tournament ${tournament.tournamentId} (${tournament.status})`);
+  }
+}
+
 app.get('/', (req, res) => {
   res.json({ status: 'ok', rooms: roomManager.listRooms().length });
 });
 
+// Published protocol: the v2 envelope, every outbound message and every
+// inbound event payload as JSON Schema (lib/protocol.js). Public, clients build against it.
+const PROTOCOL_SCHEMA = protocol.protocolSchema();
+app.get('/protocol/schema.json', (req, res) => {
+  res.json(PROTOCOL_SCHEMA);
+});
+
+// Prometheus scrape target. With METRICS_TOKEN set, scrapers must send it as
+// `Authorization: Bearer <token>` (host sessions expire, so they do not suit
+// scrapers); without it only a host session can read the metrics.
+function requireMetricsAccess(req, res, next) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    requireHost(req, res, next);
+    return;
+  }
+  if (!tokenMatches(`Bearer ${token}`, req.get('authorization'))) {
+    res.status(401).json(actionError(ErrorCodes.AUTH_FAILED, 'Metrics token required'));
+    return;
+  }
+  next();
+}
+
+app.get('/metrics', requireMetricsAccess, (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Host login: sets the session cookie (for the dashboard) and returns the token
+// (for scripts: `Authorization: Bearer <token>`, sockets: `auth: { token }`)
+app.post('/auth/login', rateLimitRoute('POST /auth/login'), validateBody('login'), (req, res) => {
+  const { username, password } = req.body || {};
+  const session = hostAuth.login(username, password);
+  if (!session) {
+    console.log(`POST /auth/login: rejected ${username}`);
+    res.status(401).json(actionError(ErrorCodes.AUTH_FAILED, 'Invalid username or password'));
+    return;
+  }
+  console.log(`POST /auth/login: host ${username} logged in`);
+  res.setHeader('Set-Cookie', hostAuth.cookie(session.token, session.expiresAt));
+  res.json(session);
+});
+
+app.post('/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', hostAuth.cookie(null));
+  res.json({ ok: true });
+});
+
+app.get('/auth/session', requireHost, (req, res) => {
+  res.json({ username: req.hostAccount.sub, expiresAt: req.hostAccount.exp });
+});
+
 // Debug endpoint to list active rooms
-app.get('/rooms', (req, res) => {
+app.get('/rooms', requireHost, (req, res) => {
   res.json({ rooms: roomManager.listRooms() });
 });
 
 // Debug endpoint: return a single room's meta info (players, status)
-app.get('/rooms/:id', (req, res) => {
+app.get('/rooms/:id', requireHost, (req, res) => {
   const roomId = req.params.id;
   const rooms = roomManager.listRooms();
   const found = rooms.find(r => r.roomId === roomId);
   if (!found) {
-    res.status(404).json({ error: 'Room not found' });
+    res.status(404).json(actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found'));
     return;
   }
   // Attach quick hints from authoritative game state so debug UIs can reflect server intent
@@ -717,19 +1972,129 @@ app.get('/rooms/:id', (req, res) => {
 });
 
 // Debug: return authoritative state for a given room id
-app.get('/rooms/:id/state', (req, res) => {
+app.get('/rooms/:id/state', requireHost, (req, res) => {
   const roomId = req.params.id;
   const state = roomManager.getGameState(roomId);
   if (!state) {
-    res.status(404).json({ error: 'Room or state not found' });
+    res.status(404).json(actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room or state not found'));
+    return;
+  }
+  console.log(`GET /rooms/${roomId}/state -> ${state.players.map(p => `p${p.playerNumber}=${p.hand.length}`).join(' ')}`);
+  // neutral (no seat) view: hands, the pending answer and submissions stay
+  // hidden; hosts get the seed to reproduce the game
+  res.json({ state: roomManager.projectState(state, null, { revealSeed: true }) });
+});
+
+// Debug: return a room's append-only event log. `?seq=N` also returns the game
+// state rebuilt from the log as it was right after event N (e.g. to settle
+// "I answered first!"). Live games are refused: the log contains both hands.
+app.get('/rooms/:id/replay', requireHost, (req, res) => {
+  const roomId = req.params.id;
+  const events = roomManager.getEventLog(roomId);
+  if (!events) {
+    res.status(404).json(actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room or event log not found'));
+    return;
+  }
+  const live = roomManager.getGameState(roomId);
+  if (live && !live.gameOver) {
+    res.status(409).json(actionError(ErrorCodes.INVALID_STATE, 'Game in progress'));
+    return;
+  }
+  const body = { roomId, events };
+  if (req.query.seq !== undefined) {
+    const uptoSeq = Number(req.query.seq);
+    if (!Number.isInteger(uptoSeq) || uptoSeq < 0) {
+      res.status(400).json(actionError(ErrorCodes.INVALID_PAYLOAD, 'seq must be a non-negative integer', 'seq'));
+      return;
+    }
+    const { state } = replayEvents(events, { uptoSeq });
+    body.seq = uptoSeq;
+    body.state = state;
+  }
+  console.log(`GET /rooms/${roomId}/replay -> events=${events.length}${body.seq !== undefined ? ` seq=${body.seq}` : ''}`);
+  res.json(body);
+});
+
+// Per-player answer statistics keyed by the stable profileId from createRoom/joinRoom:
+// accuracy and average response time per fact plus the weakest facts
+app.get('/players/:id/stats', requireHost, (req, res) => {
+  const weakest = Number(req.query.weakest) > 0 ? Math.min(Number(req.query.weakest), 50) : 5;
+  const stats = roomManager.stats.getStats(req.params.id, { weakest });
+  if (!stats) {
+    res.status(404).json(actionError(ErrorCodes.NOT_FOUND, 'Player not found'));
+    return;
+  }
+  res.json({ stats });
+});
+
+// Host moderation for stuck games (dashboard buttons)
+function sendAdminResult(res, result) {
+  if (result.error) {
+    res.status(result.status || 400).json({ error: result.error });
+    return;
+  }
+  res.json(result);
+}
+
+app.post('/api/rooms/:id/kick', requireHost, validateBody('kick'), (req, res) => {
+  sendAdminResult(res, adminKickPlayer(req.params.id, req.body.playerNumber, req.hostAccount.sub));
+});
+
+app.post('/api/rooms/:id/close', requireHost, (req, res) => {
+  sendAdminResult(res, adminCloseRoom(req.params.id, req.hostAccount.sub));
+});
+
+app.post('/api/rooms/:id/next-round', requireHost, (req, res) => {
+  sendAdminResult(res, adminNextRound(req.params.id, req.hostAccount.sub));
+});
+
+app.post('/api/rooms/:id/reset', requireHost, (req, res) => {
+  sendAdminResult(res, adminResetGame(req.params.id, req.hostAccount.sub));
+});
+
+// Abuse protection settings and how many events each limit turned away
+app.get('/api/limits', requireHost, (req, res) => {
+  res.json(Object.assign({
+    limits: rateLimiter.limits,
+    maxRoomsPerSocket: MAX_ROOMS_PER_SOCKET,
+    relayMaxBytes: RELAY_MAX_BYTES,
+  }, rateLimiter.stats()));
+});
+
+// Tournaments: summaries, standings and brackets (admin dashboard)
+app.get('/api/tournaments', requireHost, (req, res) => {
+  res.json({ tournaments: tournaments.list() });
+});
+
+app.get('/api/tournaments/:id', requireHost, (req, res) => {
+  const tournament = tournaments.getTournament(req.params.id);
+  if (!tournament) {
+    res.status(404).json(actionError(ErrorCodes.NOT_FOUND, 'Tournament not found'));
+    return;
+  }
+  res.json({ tournament: tournaments.view(tournament) });
+});
+
+app.get('/api/tournaments/:id/standings', requireHost, (req, res) => {
+  const standings = tournaments.standings(req.params.id);
+  if (!standings) {
+    res.status(404).json(actionError(ErrorCodes.NOT_FOUND, 'Tournament not found'));
+    return;
+  }
+  res.json({ tournamentId: req.params.id, standings });
+});
+
+app.get('/api/tournaments/:id/bracket', requireHost, (req, res) => {
+  const bracket = tournaments.bracket(req.params.id);
+  if (!bracket) {
+    res.status(404).json(actionError(ErrorCodes.NOT_FOUND, 'Tournament not found'));
     return;
   }
-  console.log(`GET /rooms/${roomId}/state -> p1=${state.player1Hand.length} p2=${state.player2Hand.length}`);
-  res.json({ state });
+  res.json({ bracket });
 });
 
 // Admin dashboard endpoint - returns detailed room statistics
-app.get('/api/rooms', (req, res) => {
+app.get('/api/rooms', requireHost, (req, res) => {
   const rooms = roomManager.listRooms();
   const now = Date.now();
   
@@ -742,6 +2107,8 @@ app.get('/api/rooms', (req, res) => {
     return {
       roomId: room.roomId,
       playerCount: room.playersPresent?.length || 0,
+      spectatorCount: room.spectators || 0,
+      maxPlayers: room.maxPlayers,
       players: room.playersPresent || [],
       createdAt,
       lastActivity,
@@ -752,20 +2119,53 @@ app.get('/api/rooms', (req, res) => {
   // Calculate statistics
   const totalRooms = roomsWithStats.length;
   const totalPlayers = roomsWithStats.reduce((sum, room) => sum + room.playerCount, 0);
+  const totalSpectators = roomsWithStats.reduce((sum, room) => sum + room.spectatorCount, 0);
   const emptyRooms = roomsWithStats.filter(room => room.playerCount === 0).length;
   const oldRooms = roomsWithStats.filter(room => room.age >= 10 * 60 * 1000).length;
 
   res.json({
     totalRooms,
     totalPlayers,
+    totalSpectators,
     emptyRooms,
     oldRooms,
     rooms: roomsWithStats.sort((a, b) => b.createdAt - a.createdAt) // Sort by newest first
   });
 });
 
-// Serve the admin dashboard HTML
-app.use('/admin', express.static('public'));
+// Serve the admin dashboard HTML (hosts only; others are sent to the login page)
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+app.use('/admin', hostAuth.middleware({ redirect: '/login' }), express.static('public'));
+
+// Restore rooms saved before the last shutdown. Seats come back as
+// 'disconnected' so clients can resumeSession; rounds that were already
+// solved get their auto-advance rescheduled.
+try {
+  const restored = roomManager.restoreRooms();
+  for (const roomId of restored) {
+    const room = roomManager.getRoom(roomId);
+    for (const [, p] of room.players.entries()) {
+      if (p.bot) attachBot(roomId, p);
+      else if (p.resumeToken) scheduleSeatExpiry(p.resumeToken, roomManager.reconnectGraceMs);
+    }
+    const state = roomManager.getGameState(roomId);
+    if (state && state.problemSolved && !state.gameOver) scheduleAutoNextRound(roomId);
+    else if (state && state.roundDeadline) scheduleRoundTimeout(roomId);
+  }
+  if (restored.length) console.log(`Restored ${restored.length} room(s) from storage`);
+} catch (err) {
+  console.error('Room restore error', err);
+}
+
+// Write pending snapshots before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    try { store.flush(); } catch (e) {}
+    process.exit(0);
+  });
+}
 
 server.listen(PORT, () => {
   console.log(`CardMath backend listening on http://localhost:${PORT}`);
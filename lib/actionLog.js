@@ -0,0 +1,63 @@
+// Client request ids of game actions, so a retried action is applied once.
+//
+// Game actions (the gameSync types the server handles) may carry a `requestId`.
+// The first action with an id is applied and its ack recorded; a repeat (the
+// client retrying after a lost ack) gets the recorded ack back and changes
+// nothing. Ids are kept per seat (room + playerNumber), so a retry from a
+// resumed socket still matches, for `ttlMs` and at most `limit` per seat.
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_LIMIT = 50;
+
+class ActionLog {
+  // options.ttlMs: how long an id is remembered, options.limit: ids kept per seat,
+  // options.now: clock (ms)
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.limit = options.limit || DEFAULT_LIMIT;
+    this.now = options.now || Date.now;
+    // Map<'roomId:playerNumber', Map<requestId, { ack, at }>> (oldest first)
+    this.seats = new Map();
+  }
+
+  // Recorded ack of an earlier action with this id, or null
+  lookup(roomId, playerNumber, requestId) {
+    const seat = this.seats.get(`${roomId}:${playerNumber}`);
+    const entry = seat && seat.get(String(requestId));
+    if (!entry || this.now() - entry.at > this.ttlMs) return null;
+    return entry.ack;
+  }
+
+  record(roomId, playerNumber, requestId, ack) {
+    const key = `${roomId}:${playerNumber}`;
+    if (!this.seats.has(key)) this.seats.set(key, new Map());
+    const seat = this.seats.get(key);
+    seat.set(String(requestId), { ack, at: this.now() });
+    while (seat.size > this.limit) seat.delete(seat.keys().next().value);
+  }
+
+  forgetRoom(roomId) {
+    const prefix = `${roomId}:`;
+    for (const key of this.seats.keys()) {
+      if (key.startsWith(prefix)) this.seats.delete(key);
+    }
+  }
+
+  // Drop expired ids (and seats left without any)
+  prune() {
+    const now = this.now();
+    let removed = 0;
+    for (const [key, seat] of this.seats.entries()) {
+      for (const [requestId, entry] of seat.entries()) {
+        if (now - entry.at > this.ttlMs) {
+          seat.delete(requestId);
+          removed++;
+        }
+      }
+      if (seat.size === 0) this.seats.delete(key);
+    }
+    return removed;
+  }
+}
+
+module.exports = { ActionLog };
@@ -0,0 +1,104 @@
+// Adaptive difficulty: pick the card value range for the next deal from how
+// the players have been doing, and weight the deck toward the facts they get
+// wrong (or answer slowly).
+//
+// Levels widen the value range step by step. A deal moves up a level when the
+// recent answers in the current range are accurate and quick enough, and down
+// a level when accuracy drops.
+
+const LEVELS = [
+  { minValue: 2, maxValue: 5 },
+  { minValue: 2, maxValue: 7 },
+  { minValue: 2, maxValue: 9 },
+  { minValue: 2, maxValue: 12 },
+];
+
+const DEFAULTS = {
+  // recent in-range attempts considered when moving between levels
+  window: 20,
+  // fewer attempts than this in range: stay on the current level
+  minAttempts: 6,
+  widenAccuracy: 0.85,
+  narrowAccuracy: 0.6,
+  // answers slower than this count as partially weak / block widening
+  targetResponseMs: 5000,
+  // how strongly weak values are favoured over the base weight of 1
+  weakBias: 4,
+};
+
+function inRange(attempt, level) {
+  const { minValue, maxValue } = LEVELS[level];
+  const cards = attempt.cards || [attempt.a, attempt.b];
+  return cards.every(v => v >= minValue && v <= maxValue);
+}
+
+// Next level from the current one and the players' recent attempts
+// (newest last). Starts beginners on the narrowest range.
+function chooseLevel(currentLevel, recentAttempts, options = {}) {
+  const opts = Object.assign({}, DEFAULTS, options);
+  const level = Number.isInteger(currentLevel) ? Math.max(0, Math.min(LEVELS.length - 1, currentLevel)) : 0;
+  const relevant = (recentAttempts || []).filter(a => inRange(a, level)).slice(-opts.window);
+  if (relevant.length < opts.minAttempts) return level;
+
+  const accuracy = relevant.filter(a => a.correct).length / relevant.length;
+  const timed = relevant.filter(a => typeof a.responseMs === 'number');
+  const avgMs = timed.length ? timed.reduce((sum, a) => sum + a.responseMs, 0) / timed.length : 0;
+
+  if (accuracy >= opts.widenAccuracy && avgMs <= opts.targetResponseMs) return Math.min(level + 1, LEVELS.length - 1);
+  if (accuracy < opts.narrowAccuracy) return Math.max(level - 1, 0);
+  return level;
+}
+
+// Weight per card value: 1 plus a bonus for the card values behind facts the
+// players get wrong or answer slowly. `facts` are PlayerStats fact summaries;
+// their `cards` are the dealt values (a weak 84÷7 favours 7 and 12, not 84).
+function valueWeights(facts, level, options = {}) {
+  const opts = Object.assign({}, DEFAULTS, options);
+  const { minValue, maxValue } = LEVELS[level];
+  const weakness = {};
+  const seen = {};
+  for (const f of facts || []) {
+    if (!f.attempts) continue;
+    const slow = f.avgResponseMs ? Math.min(1, Math.max(0, (f.avgResponseMs - opts.targetResponseMs) / opts.targetResponseMs)) : 0;
+    const w = (1 - (f.accuracy || 0)) + 0.5 * slow;
+    for (const v of new Set(f.cards || [f.a, f.b])) {
+      weakness[v] = (weakness[v] || 0) + w;
+      seen[v] = (seen[v] || 0) + 1;
+    }
+  }
+  const weights = {};
+  for (let v = minValue; v <= maxValue; v++) {
+    weights[v] = 1 + opts.weakBias * (seen[v] ? weakness[v] / seen[v] : 0);
+  }
+  return weights;
+}
+
+// Draw `count` cards without replacement, each with probability proportional
+// to the weight of its value. Removes drawn cards from `deck`.
+function weightedDraw(deck, weights, count, random = Math.random) {
+  const hand = [];
+  while (hand.length < count && deck.length) {
+    const total = deck.reduce((sum, c) => sum + (weights[c.value] || 1), 0);
+    let r = random() * total;
+    let idx = 0;
+    for (; idx < deck.length - 1; idx++) {
+      r -= weights[deck[idx].value] || 1;
+      if (r < 0) break;
+    }
+    hand.push(deck.splice(idx, 1)[0]);
+  }
+  return hand;
+}
+
+// Lowest level whose deck (4 suits) can deal `cardsPerPlayer` to `players`, at least `level`
+function levelForHandSize(level, cardsPerPlayer, players = 2) {
+  let l = level;
+  while (l < LEVELS.length - 1) {
+    const { minValue, maxValue } = LEVELS[l];
+    if ((maxValue - minValue + 1) * 4 >= cardsPerPlayer * players) break;
+    l++;
+  }
+  return l;
+}
+
+module.exports = { LEVELS, DEFAULTS, chooseLevel, valueWeights, weightedDraw, levelForHandSize };
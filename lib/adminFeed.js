@@ -0,0 +1,128 @@
+// Live room view for the host dashboard (the /admin Socket.IO namespace).
+//
+// Turns RoomManager room events (see RoomManager.onRoomEvent) into a bounded
+// feed of lifecycle entries and builds the per-room summaries the dashboard
+// shows. Sending them is left to index.js, so this stays a plain data
+// structure that tests can drive with a RoomManager.
+
+const DEFAULT_LIMIT = 100;
+
+// Room event type -> feed entry type. Card picks and answers only change the
+// room summary, and nextRound only makes the feed when it ends the game.
+const FEED_TYPES = {
+  created: 'roomCreated',
+  join: 'playerJoined',
+  leave: 'playerLeft',
+  kick: 'playerKicked',
+  disconnect: 'playerDisconnected',
+  resume: 'playerResumed',
+  deal: 'gameStarted',
+  solve: 'roundSolved',
+  timeout: 'roundTimedOut',
+  nextRound: 'gameOver',
+  removed: 'roomRemoved',
+};
+
+// Fields copied from the room event into the feed entry. Never the dealt
+// hands: the feed is about what happened, not the cards.
+const FEED_FIELDS = {
+  created: ['name', 'maxPlayers'],
+  join: ['playerNumber', 'bot'],
+  leave: ['playerNumber', 'bot'],
+  kick: ['playerNumber'],
+  disconnect: ['playerNumber'],
+  resume: ['playerNumber'],
+  deal: ['difficulty', 'operation', 'initialCards'],
+  solve: ['solvedBy', 'correctAnswer'],
+  timeout: ['correctAnswer'],
+  nextRound: ['winners'],
+  removed: ['reason'],
+};
+
+class AdminFeed {
+  // options.roomManager: the RoomManager to summarize, options.limit: feed entries kept
+  constructor(options = {}) {
+    this.roomManager = options.roomManager;
+    this.limit = options.limit || DEFAULT_LIMIT;
+    // most recent last
+    this.events = [];
+    this.nextId = 1;
+  }
+
+  // Add a room event to the feed. Returns the feed entry, or null for events
+  // the feed skips.
+  record(roomId, event) {
+    const type = event && FEED_TYPES[event.type];
+    if (!type) return null;
+    if (event.type === 'nextRound' && !event.gameOver) return null;
+    const entry = { id: this.nextId++, type, roomId, at: event.at || Date.now() };
+    for (const field of FEED_FIELDS[event.type]) {
+      if (event[field] !== undefined) entry[field] = event[field];
+    }
+    this.events.push(entry);
+    if (this.events.length > this.limit) this.events.splice(0, this.events.length - this.limit);
+    return entry;
+  }
+
+  recent() {
+    return this.events.slice();
+  }
+
+  // What the dashboard shows for a room, or null once the room is gone.
+  // round counts from 1 and stays on a resolved round until nextRound runs.
+  summarizeRoom(roomId) {
+    const room = this.roomManager.getRoom(roomId);
+    if (!room) return null;
+    const state = this.roomManager.getGameState(roomId);
+    const seats = new Map(state ? state.players.map(p => [p.playerNumber, p]) : []);
+    const players = Array.from(room.players.values())
+      .map(p => {
+        const seat = seats.get(p.playerNumber);
+        return {
+          playerNumber: p.playerNumber,
+          status: p.status || 'lobby',
+          bot: p.bot || null,
+          score: seat ? seat.score : null,
+          handCount: seat ? seat.hand.length : null,
+        };
+      })
+      .sort((a, b) => a.playerNumber - b.playerNumber);
+
+    let game = null;
+    if (state) {
+      const played = state.history.length;
+      game = {
+        difficulty: state.difficulty,
+        operation: state.operation,
+        initialCards: state.initialCards,
+        round: state.gameOver || state.problemSolved ? played : played + 1,
+        problemSolved: !!state.problemSolved,
+        gameOver: !!state.gameOver,
+        winners: state.gameOver ? (state.winners || []) : null,
+      };
+    }
+    return {
+      roomId,
+      name: room.name || null,
+      createdAt: room.createdAt,
+      lastActivity: room.lastActivity || room.createdAt,
+      lastEmptyAt: room.lastEmptyAt || null,
+      maxPlayers: room.maxPlayers,
+      spectators: room.spectators ? room.spectators.size : 0,
+      difficulty: state ? state.difficulty : (room.difficulty || 'easy'),
+      transitioning: !!room.transitioning,
+      players,
+      game,
+    };
+  }
+
+  // Everything a dashboard needs when it connects
+  snapshot() {
+    const rooms = this.roomManager.listRooms()
+      .map(r => this.summarizeRoom(r.roomId))
+      .filter(Boolean);
+    return { rooms, events: this.recent() };
+  }
+}
+
+module.exports = { AdminFeed, FEED_TYPES };
@@ -0,0 +1,162 @@
+// Host (teacher) accounts and signed session tokens.
+//
+// Accounts come from the environment: HOST_ACCOUNTS is a comma-separated list
+// of name:password pairs. A password can also be stored as scrypt:<salt>:<hash>
+// (see hashPassword) so .env does not hold it in clear text. Session tokens
+// are `<base64url payload>.<base64url HMAC-SHA256>` signed with SESSION_SECRET;
+// the payload is { sub: username, role: 'host', iat, exp }.
+
+const crypto = require('crypto');
+const { ErrorCodes, actionError } = require('./errors');
+
+// a school day
+const DEFAULT_TTL_MS = 12 * 60 * 60 * 1000;
+const COOKIE_NAME = 'cardmath_host';
+
+// 'ada:pw,ben:scrypt:salt:hash' -> Map<name, stored password>
+function parseAccounts(spec) {
+  const accounts = new Map();
+  if (!spec) return accounts;
+  if (typeof spec === 'object') {
+    for (const [name, password] of Object.entries(spec)) accounts.set(name, password);
+    return accounts;
+  }
+  for (const pair of String(spec).split(',')) {
+    const idx = pair.indexOf(':');
+    if (idx <= 0) continue;
+    const name = pair.slice(0, idx).trim();
+    const password = pair.slice(idx + 1).trim();
+    if (name && password) accounts.set(name, password);
+  }
+  return accounts;
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, 32).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+// Constant-time check of a password against its stored form (clear text or scrypt)
+function checkPassword(stored, password) {
+  if (typeof stored !== 'string' || typeof password !== 'string') return false;
+  let expected;
+  let actual;
+  if (stored.startsWith('scrypt:')) {
+    const [, salt, hash] = stored.split(':');
+    if (!salt || !hash) return false;
+    expected = Buffer.from(hash, 'hex');
+    actual = crypto.scryptSync(password, salt, 32);
+  } else {
+    expected = crypto.createHash('sha256').update(stored).digest();
+    actual = crypto.createHash('sha256').update(password).digest();
+  }
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Constant-time comparison of a shared secret (rejoin tokens, METRICS_TOKEN)
+function tokenMatches(expected, given) {
+  if (typeof expected !== 'string' || typeof given !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// 'a=1; b=2' -> { a: '1', b: '2' }
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of String(header).split(';')) {
+    const idx = part.indexOf('=');
+    if (idx <= 0) continue;
+    const name = part.slice(0, idx).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (e) {
+      cookies[name] = part.slice(idx + 1).trim();
+    }
+  }
+  return cookies;
+}
+
+class HostAuth {
+  // options: { accounts (HOST_ACCOUNTS string or { name: password }), secret, ttlMs, now }
+  constructor(options = {}) {
+    this.accounts = parseAccounts(options.accounts);
+    // without a configured secret, sessions only last until the server restarts
+    this.ephemeralSecret = !options.secret;
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.now = options.now || Date.now;
+  }
+
+  get enabled() {
+    return this.accounts.size > 0;
+  }
+
+  signature(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+
+  // Returns { username, token, expiresAt } or null for bad credentials
+  login(username, password) {
+    const stored = this.accounts.get(username);
+    if (!stored || !checkPassword(stored, password)) return null;
+    const iat = this.now();
+    const exp = iat + this.ttlMs;
+    const body = Buffer.from(JSON.stringify({ sub: username, role: 'host', iat, exp })).toString('base64url');
+    return { username, token: `${body}.${this.signature(body)}`, expiresAt: exp };
+  }
+
+  // Token payload, or null if it is malformed, forged, expired or its account was removed
+  verify(token) {
+    if (typeof token !== 'string') return null;
+    const [body, sig] = token.split('.');
+    if (!body || !sig) return null;
+    const expected = Buffer.from(this.signature(body));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+    if (!payload || payload.role !== 'host' || !(payload.exp > this.now())) return null;
+    if (!this.accounts.has(payload.sub)) return null;
+    return payload;
+  }
+
+  // Bearer token from the Authorization header, else the session cookie
+  tokenFromHeaders(headers = {}) {
+    const auth = headers.authorization;
+    if (typeof auth === 'string' && auth.startsWith('Bearer ')) return auth.slice(7).trim();
+    return parseCookies(headers.cookie)[COOKIE_NAME] || null;
+  }
+
+  // Express middleware for host-only routes. Sets req.hostAccount; otherwise
+  // answers 401 (or redirects, for pages).
+  middleware({ redirect } = {}) {
+    return (req, res, next) => {
+      const account = this.verify(this.tokenFromHeaders(req.headers));
+      if (account) {
+        req.hostAccount = account;
+        next();
+        return;
+      }
+      if (redirect) {
+        res.redirect(redirect);
+        return;
+      }
+      res.status(401).json(actionError(ErrorCodes.HOST_REQUIRED, 'Host login required'));
+    };
+  }
+
+  // Set-Cookie value for a session (token null clears it)
+  cookie(token, expiresAt) {
+    if (!token) return `${COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+    const maxAge = Math.max(0, Math.floor((expiresAt - this.now()) / 1000));
+    return `${COOKIE_NAME}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}`;
+  }
+}
+
+module.exports = { HostAuth, hashPassword, checkPassword, tokenMatches, parseAccounts, parseCookies, COOKIE_NAME, DEFAULT_TTL_MS };
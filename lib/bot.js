@@ -0,0 +1,116 @@
+// In-process bot opponent for solo practice.
+//
+// A bot occupies a normal seat (joinRoom with a pseudo socket id) and plays
+// through the same RoomManager paths as a person: playerSelectCard and
+// playerSubmitAnswer. It has no socket. The caller tells it about state
+// changes with notify() and broadcasts whatever the bot did via onAction.
+// Timers and randomness are injectable so tests can run it deterministically.
+
+const { createRng } = require('./rng');
+
+// accuracy: chance of answering correctly; *Ms: [min, max] delays
+const PROFILES = {
+  easy: { accuracy: 0.6, selectMs: [800, 1600], answerMs: [4000, 8000] },
+  medium: { accuracy: 0.8, selectMs: [600, 1200], answerMs: [2500, 5000] },
+  hard: { accuracy: 0.95, selectMs: [400, 800], answerMs: [1200, 2500] },
+};
+
+function isValidProfile(name) {
+  return Object.prototype.hasOwnProperty.call(PROFILES, name);
+}
+
+class Bot {
+  // options: { roomManager, roomId, socketId, playerNumber, profile, seed|random, timers, onAction }
+  // timers: { setTimeout, clearTimeout } (defaults to the globals)
+  // onAction(kind, result): called after the bot selected ('cardSelected', state)
+  // or answered ('answerSubmitted', { state, isCorrect, timedOut })
+  constructor(options = {}) {
+    this.roomManager = options.roomManager;
+    this.roomId = options.roomId;
+    this.socketId = options.socketId;
+    this.playerNumber = options.playerNumber;
+    this.profileName = isValidProfile(options.profile) ? options.profile : 'medium';
+    this.profile = PROFILES[this.profileName];
+    this.random = options.random || createRng(options.seed !== undefined ? options.seed : `bot-${options.roomId}`);
+    this.timers = options.timers || { setTimeout, clearTimeout };
+    this.onAction = options.onAction || (() => {});
+    // the one pending action: { kind: 'select' | 'answer', timer }
+    this.pending = null;
+    this.stopped = false;
+  }
+
+  // Look at the current state and schedule the next move, if any
+  notify() {
+    if (this.stopped) return;
+    const next = this.nextMove();
+    if (!next) {
+      this.cancel();
+      return;
+    }
+    if (this.pending && this.pending.kind === next) return;
+    this.cancel();
+    const [min, max] = next === 'select' ? this.profile.selectMs : this.profile.answerMs;
+    const delay = Math.round(min + this.random() * (max - min));
+    const timer = this.timers.setTimeout(() => {
+      this.pending = null;
+      this.act(next);
+    }, delay);
+    this.pending = { kind: next, timer };
+  }
+
+  // 'select', 'answer' or null for the current state
+  nextMove() {
+    const room = this.roomManager.getRoom(this.roomId);
+    const state = this.roomManager.getGameState(this.roomId);
+    if (!room || !state || state.gameOver) return null;
+    // nobody to play against: wait for a person to (re)connect
+    if (!this.hasHumanOpponent(room)) return null;
+    const seat = (state.players || []).find(p => p.playerNumber === this.playerNumber);
+    if (!seat) return null;
+    if (state.revealEquation && state.roundInProgress && !state.problemSolved) {
+      return seat.answered ? null : 'answer';
+    }
+    if (!state.roundInProgress && !room.transitioning && !seat.selectedCard && seat.hand.length) return 'select';
+    return null;
+  }
+
+  hasHumanOpponent(room) {
+    for (const [, p] of room.players.entries()) {
+      if (!p.bot && p.status !== 'disconnected') return true;
+    }
+    return false;
+  }
+
+  act(kind) {
+    if (this.stopped || this.nextMove() !== kind) return;
+    const state = this.roomManager.getGameState(this.roomId);
+    if (kind === 'select') {
+      const seat = state.players.find(p => p.playerNumber === this.playerNumber);
+      const card = seat.hand[Math.floor(this.random() * seat.hand.length)];
+      const result = this.roomManager.playerSelectCard(this.roomId, this.playerNumber, { id: card.id });
+      if (result) this.onAction('cardSelected', result);
+      return;
+    }
+    const result = this.roomManager.playerSubmitAnswer(this.roomId, this.playerNumber, this.chooseAnswer(state));
+    if (result) this.onAction('answerSubmitted', result);
+  }
+
+  // The correct answer with probability accuracy, otherwise one of the distractors
+  chooseAnswer(state) {
+    const wrong = (state.answerOptions || []).filter(o => o !== state.correctAnswer);
+    if (!wrong.length || this.random() < this.profile.accuracy) return state.correctAnswer;
+    return wrong[Math.floor(this.random() * wrong.length)];
+  }
+
+  cancel() {
+    if (this.pending) this.timers.clearTimeout(this.pending.timer);
+    this.pending = null;
+  }
+
+  stop() {
+    this.cancel();
+    this.stopped = true;
+  }
+}
+
+module.exports = { Bot, PROFILES, isValidProfile };
@@ -0,0 +1,103 @@
+// Distractor engine: builds multiple-choice answer options from the mistakes
+// children actually make, instead of random offsets (3×4 should offer 9, 16
+// or 7, not 31 or 1).
+//
+// Mistake families for multiplication a×b:
+// - neighbouring table facts: a×(b±1), (a±1)×b
+// - adding instead of multiplying: a+b
+// - digit swaps: 12 -> 21
+// - off-by-ten: answer ±10
+// Other operations use the analogous slips (neighbouring facts, the wrong
+// operation, digit swaps, off-by-ten); subtraction also gets the column slip
+// of taking the smaller digit from the larger instead of borrowing. Chained
+// problems (a × b × c) use one card off by one, adding instead of multiplying
+// and leaving a card out.
+
+const { shuffle } = require('./rng');
+
+function swapDigits(n) {
+  // 10 -> 01 is not a mistake anyone makes
+  if (n < 10 || n % 10 === 0) return null;
+  const swapped = Number(String(n).split('').reverse().join(''));
+  return swapped === n ? null : swapped;
+}
+
+// 42 - 17 worked column by column without borrowing: 4-1, 7-2 -> 35
+function smallerFromLarger(a, b) {
+  const digitsA = String(a).split('').reverse();
+  const digitsB = String(b).split('').reverse();
+  const columns = digitsA.map((d, i) => Math.abs(Number(d) - Number(digitsB[i] || 0)));
+  return Number(columns.reverse().join(''));
+}
+
+function chainCandidates(operands, op, correctAnswer) {
+  const out = [];
+  if (op === 'add') {
+    out.push(correctAnswer - 1, correctAnswer + 1);
+    for (const x of operands) out.push(correctAnswer - x);
+  } else {
+    for (const x of operands) out.push(correctAnswer - correctAnswer / x, correctAnswer + correctAnswer / x);
+    out.push(operands.reduce((sum, x) => sum + x, 0));
+  }
+  return out;
+}
+
+// Common-mistake candidates for a problem, most plausible first
+function mistakeCandidates(problem, correctAnswer) {
+  const { a, b } = problem;
+  const op = problem.op || 'multiply';
+  const out = [];
+  if (problem.operands && problem.operands.length > 2) {
+    out.push(...chainCandidates(problem.operands, op, correctAnswer));
+    out.push(swapDigits(correctAnswer), correctAnswer + 10, correctAnswer - 10);
+    return out;
+  }
+  switch (op) {
+    case 'add':
+      out.push(correctAnswer - 1, correctAnswer + 1, a * b, Math.abs(a - b));
+      break;
+    case 'subtract':
+      // a is always the larger card
+      out.push(correctAnswer - 1, correctAnswer + 1, a + b, smallerFromLarger(a, b));
+      break;
+    case 'divide':
+      // a is the dividend, b the divisor: neighbouring quotients and
+      // subtracting/multiplying instead of dividing
+      out.push(correctAnswer - 1, correctAnswer + 1, b, a - b);
+      break;
+    case 'multiply':
+    default:
+      out.push(a * (b - 1), a * (b + 1), (a - 1) * b, (a + 1) * b, a + b);
+      break;
+  }
+  out.push(swapDigits(correctAnswer), correctAnswer + 10, correctAnswer - 10);
+  return out;
+}
+
+// Build `count` unique answer options that always include correctAnswer.
+// Distractors are positive integers. `random` makes the choice and order
+// deterministic when seeded (see lib/rng.js).
+function buildAnswerOptions(problem, correctAnswer, { count = 4, random = Math.random } = {}) {
+  const isUsable = (n) => Number.isInteger(n) && n > 0 && n !== correctAnswer;
+  const picked = new Set();
+
+  // draw distinct slips at random so the same mistakes don't always appear
+  const candidates = Array.from(new Set(mistakeCandidates(problem, correctAnswer).filter(isUsable)));
+  shuffle(candidates, random);
+  for (const c of candidates) {
+    if (picked.size >= count - 1) break;
+    picked.add(c);
+  }
+
+  // Fallback for tiny answers with few plausible slips: nearby numbers
+  for (let offset = 1; picked.size < count - 1; offset++) {
+    const sign = random() < 0.5 ? 1 : -1;
+    for (const n of [correctAnswer + sign * offset, correctAnswer - sign * offset]) {
+      if (picked.size < count - 1 && isUsable(n)) picked.add(n);
+    }
+  }
+
+  return shuffle([correctAnswer, ...picked], random);
+}
+
+module.exports = { buildAnswerOptions, mistakeCandidates, swapDigits, smallerFromLarger };
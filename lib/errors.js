@@ -0,0 +1,34 @@
+// Structured errors for socket acks and REST responses.
+// Shape: { error: { code, message, field? } } so clients can branch on `code`
+// instead of parsing human-readable messages.
+const ErrorCodes = {
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  PLAYER_MISMATCH: 'PLAYER_MISMATCH',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  SPECTATOR: 'SPECTATOR',
+  HOST_REQUIRED: 'HOST_REQUIRED',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  RATE_LIMITED: 'RATE_LIMITED',
+  ROOM_LIMIT: 'ROOM_LIMIT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  STALE_ACTION: 'STALE_ACTION',
+  ROOM_FULL: 'ROOM_FULL',
+  ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+  // the action is for someone else: the room creator, the tournament host
+  NOT_ALLOWED: 'NOT_ALLOWED',
+  // players, sessions, tournaments, entrants (rooms have ROOM_NOT_FOUND)
+  NOT_FOUND: 'NOT_FOUND',
+  // not now: the game already started, registration is closed, too few players, ...
+  INVALID_STATE: 'INVALID_STATE',
+  TOURNAMENT_FULL: 'TOURNAMENT_FULL',
+  AUTH_FAILED: 'AUTH_FAILED',
+  SERVER_ERROR: 'SERVER_ERROR',
+};
+
+function actionError(code, message, field) {
+  const error = { code, message };
+  if (field) error.field = field;
+  return { error };
+}
+
+module.exports = { ErrorCodes, actionError };
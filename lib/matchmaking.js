@@ -0,0 +1,107 @@
+// Matchmaking queue for findMatch.
+//
+// Waiting players are queued per (difficulty, operation). A new player is
+// paired with the longest-waiting compatible player; room creation and the
+// game start are left to the caller (index.js) so this stays a plain data
+// structure that tests can drive with an injected clock.
+
+const DEFAULT_ETA_SAMPLES = 20;
+
+function queueKey(difficulty, operation) {
+  return `${difficulty}:${operation}`;
+}
+
+class MatchQueue {
+  // options.now: clock (ms), options.etaSamples: recent waits kept per queue for the ETA
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.etaSamples = options.etaSamples || DEFAULT_ETA_SAMPLES;
+    // Map<key, Array<{ socketId, profileId, difficulty, operation, key, enqueuedAt }>>, oldest first
+    this.queues = new Map();
+    // Map<socketId, key>
+    this.bySocket = new Map();
+    // Map<key, number[]>: how long paired players waited, most recent last
+    this.waits = new Map();
+  }
+
+  // Queue a player or pair them straight away.
+  // Returns { matched: [waiting, entry] } or { queued: entry, position, etaMs }.
+  enqueue({ socketId, profileId = null, difficulty, operation }) {
+    this.cancel(socketId);
+    const key = queueKey(difficulty, operation);
+    const now = this.now();
+    const entry = { socketId, profileId, difficulty, operation, key, enqueuedAt: now };
+    const queue = this.queues.get(key) || [];
+
+    const waiting = queue.shift();
+    if (waiting) {
+      this.bySocket.delete(waiting.socketId);
+      if (!queue.length) this.queues.delete(key);
+      this.recordWait(key, now - waiting.enqueuedAt);
+      return { matched: [waiting, entry] };
+    }
+
+    queue.push(entry);
+    this.queues.set(key, queue);
+    this.bySocket.set(socketId, key);
+    return { queued: entry, position: 1, etaMs: this.estimateWaitMs(key, entry) };
+  }
+
+  // Leave the queue. Returns the removed entry or null.
+  cancel(socketId) {
+    const key = this.bySocket.get(socketId);
+    if (!key) return null;
+    this.bySocket.delete(socketId);
+    const queue = this.queues.get(key) || [];
+    const idx = queue.findIndex(e => e.socketId === socketId);
+    const [removed] = idx >= 0 ? queue.splice(idx, 1) : [null];
+    if (!queue.length) this.queues.delete(key);
+    return removed;
+  }
+
+  // { difficulty, operation, position (1-based), waiting (players in the same queue), waitedMs, etaMs } or null
+  status(socketId) {
+    const key = this.bySocket.get(socketId);
+    if (!key) return null;
+    const queue = this.queues.get(key) || [];
+    const idx = queue.findIndex(e => e.socketId === socketId);
+    if (idx < 0) return null;
+    const entry = queue[idx];
+    return {
+      difficulty: entry.difficulty,
+      operation: entry.operation,
+      position: idx + 1,
+      waiting: queue.length,
+      waitedMs: this.now() - entry.enqueuedAt,
+      etaMs: this.estimateWaitMs(key, entry),
+    };
+  }
+
+  // Everyone waiting in one queue, oldest first
+  waitingIn(key) {
+    return (this.queues.get(key) || []).slice();
+  }
+
+  // Expected remaining wait: the average recent wait for this queue minus the
+  // time already spent waiting (null until the queue has paired someone).
+  estimateWaitMs(key, entry) {
+    const samples = this.waits.get(key);
+    if (!samples || !samples.length) return null;
+    const avg = samples.reduce((sum, ms) => sum + ms, 0) / samples.length;
+    return Math.max(0, Math.round(avg - (this.now() - entry.enqueuedAt)));
+  }
+
+  recordWait(key, ms) {
+    const samples = this.waits.get(key) || [];
+    samples.push(ms);
+    if (samples.length > this.etaSamples) samples.shift();
+    this.waits.set(key, samples);
+  }
+
+  // Number of players waiting across all queues
+  size() {
+    return this.bySocket.size;
+  }
+}
+
+module.exports = { MatchQueue, queueKey };
@@ -0,0 +1,153 @@
+// Prometheus text-format metrics.
+//
+// A Registry holds counters, gauges and histograms, optionally labelled, and
+// renders them for GET /metrics. Values that already live elsewhere (rooms,
+// timer maps, rate-limit rejections) are not copied: a metric's `collect`
+// callback reads them at scrape time and returns a number or a list of
+// [labels, value] pairs. Counting is left to index.js, so this stays a plain
+// data structure.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// seconds; answers take from under a second (bots, fast facts) to the round limit
+const DEFAULT_BUCKETS = [0.5, 1, 2, 3, 5, 8, 13, 20, 30, 60];
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(name => `${name}=${labels[name]}`).join(',');
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (!names.length) return '';
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+  // options.labelNames: labels every sample has (unlabelled metrics start at 0),
+  // options.collect: () => number | [[labels, value], ...] read at scrape time
+  constructor(type, name, help, options = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = options.labelNames || [];
+    this.collect = options.collect || null;
+    // Map<labelKey, { labels, value }>
+    this.values = new Map();
+  }
+
+  set(labels, value) {
+    this.values.set(labelKey(labels), { labels: Object.assign({}, labels), value });
+  }
+
+  // [[labels, value], ...]
+  samples() {
+    if (this.collect) {
+      const collected = this.collect();
+      return typeof collected === 'number' ? [[{}, collected]] : collected;
+    }
+    if (this.values.size === 0 && this.labelNames.length === 0) return [[{}, 0]];
+    return Array.from(this.values.values()).map(entry => [entry.labels, entry.value]);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [labels, value] of this.samples()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, by = 1) {
+    const entry = this.values.get(labelKey(labels));
+    this.set(labels, (entry ? entry.value : 0) + by);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+}
+
+class Histogram extends Metric {
+  // options.buckets: upper bounds, ascending (+Inf is added)
+  constructor(name, help, options = {}) {
+    super('histogram', name, help, options);
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: Object.assign({}, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    const entry = this.values.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const entry of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        const labels = Object.assign({}, entry.labels, { le: formatValue(bound) });
+        lines.push(`${this.name}_bucket${formatLabels(labels)} ${entry.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(Object.assign({}, entry.labels, { le: '+Inf' }))} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Registry {
+  constructor() {
+    // Map<name, Metric>, in registration order
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, options) {
+    return this.register(new Counter(name, help, options));
+  }
+
+  gauge(name, help, options) {
+    return this.register(new Gauge(name, help, options));
+  }
+
+  histogram(name, help, options) {
+    return this.register(new Histogram(name, help, options));
+  }
+
+  // The whole registry in the Prometheus text format
+  render() {
+    return Array.from(this.metrics.values()).map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, CONTENT_TYPE, DEFAULT_BUCKETS };
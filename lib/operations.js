@@ -0,0 +1,68 @@
+// Operation modes for CardMath problems. Each round two cards (a, b) are
+// turned into a problem { a, b, op } and its correct answer.
+//
+// - multiply: a × b
+// - add:      a + b
+// - subtract: larger − smaller, so results are never negative
+// - divide:   (a × b) ÷ smaller = larger, so division is always exact
+// - mixed:    one of the above, picked per round
+//
+// Rooms with 3-4 players can build multiply/add problems from every selected
+// card (a × b × c); subtraction and division always use two cards.
+
+const OPERATIONS = ['multiply', 'add', 'subtract', 'divide'];
+const MODES = OPERATIONS.concat(['mixed']);
+const DEFAULT_OPERATION = 'multiply';
+// operations that chain over more than two cards
+const CHAIN_OPERATIONS = ['multiply', 'add'];
+
+function isValidOperation(mode) {
+  return MODES.includes(mode);
+}
+
+// Resolve the concrete operation for one round. `random` returns [0, 1).
+function pickOperation(mode, random = Math.random) {
+  if (mode === 'mixed') return OPERATIONS[Math.floor(random() * OPERATIONS.length)];
+  return OPERATIONS.includes(mode) ? mode : DEFAULT_OPERATION;
+}
+
+// Build the problem for two card values. Operands are reordered for
+// subtraction/division so the displayed problem reads left to right.
+function buildProblem(x, y, op) {
+  const hi = Math.max(x, y);
+  const lo = Math.min(x, y);
+  switch (op) {
+    case 'add':
+      return { problem: { a: x, b: y, op }, correctAnswer: x + y };
+    case 'subtract':
+      return { problem: { a: hi, b: lo, op }, correctAnswer: hi - lo };
+    case 'divide':
+      return { problem: { a: hi * lo, b: lo, op }, correctAnswer: hi };
+    case 'multiply':
+    default:
+      return { problem: { a: x, b: y, op: 'multiply' }, correctAnswer: x * y };
+  }
+}
+
+// Build a problem from any number of card values. More than two values only
+// chain for multiply/add: the problem then carries all `operands`, with a/b
+// being the first two for clients that only know two-card problems.
+function buildChainProblem(values, op) {
+  if (values.length <= 2 || !CHAIN_OPERATIONS.includes(op)) return buildProblem(values[0], values[1], op);
+  const operands = values.slice();
+  const correctAnswer = op === 'add'
+    ? operands.reduce((sum, v) => sum + v, 0)
+    : operands.reduce((product, v) => product * v, 1);
+  return { problem: { a: operands[0], b: operands[1], op, operands }, correctAnswer };
+}
+
+module.exports = {
+  OPERATIONS,
+  MODES,
+  DEFAULT_OPERATION,
+  CHAIN_OPERATIONS,
+  isValidOperation,
+  pickOperation,
+  buildProblem,
+  buildChainProblem,
+};
@@ -0,0 +1,181 @@
+// Per-player answer statistics and per-fact mastery.
+//
+// Keyed by a stable profileId (generated and signed by RoomManager on first
+// join and handed back for the client to keep) rather than the per-room
+// player_xxx id. At most maxProfiles are kept; the one that went longest
+// without an answer is dropped first. Every resolved answer submission is
+// recorded as an attempt; per-fact aggregates back accuracy, average response
+// time and the weakest facts.
+
+const OP_SYMBOLS = { multiply: '×', add: '+', subtract: '−', divide: '÷' };
+// operand order does not matter for these, so 3×4 and 4×3 are the same fact
+const COMMUTATIVE = new Set(['multiply', 'add']);
+
+function factKey(a, b, op = 'multiply') {
+  const [x, y] = COMMUTATIVE.has(op) ? [Math.min(a, b), Math.max(a, b)] : [a, b];
+  return `${op}:${x}:${y}`;
+}
+
+function factLabel(a, b, op = 'multiply') {
+  const [x, y] = COMMUTATIVE.has(op) ? [Math.min(a, b), Math.max(a, b)] : [a, b];
+  return `${x}${OP_SYMBOLS[op] || '×'}${y}`;
+}
+
+// Card values behind a two-operand fact, smallest first. The displayed operands
+// are not always cards: 84÷7 is dealt as 7 and 12.
+function factCards(attempt, op) {
+  if (Array.isArray(attempt.cards) && attempt.cards.length === 2) return attempt.cards.slice().sort((x, y) => x - y);
+  const cards = op === 'divide' && attempt.b ? [attempt.a / attempt.b, attempt.b] : [attempt.a, attempt.b];
+  return cards.sort((x, y) => x - y);
+}
+
+function emptyProfile(profileId) {
+  return { profileId, attempts: [], facts: {}, totals: { attempts: 0, correct: 0, responseMsTotal: 0, timedAttempts: 0 } };
+}
+
+class PlayerStats {
+  // options.store: storage adapter (saveStats/loadStats/deleteStats),
+  // options.maxAttempts: raw attempts kept per profile,
+  // options.maxProfiles: profiles kept in all
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.maxAttempts = options.maxAttempts || 1000;
+    this.maxProfiles = options.maxProfiles || 10000;
+    // Map<profileId, profile>, least recently answered first
+    this.profiles = new Map();
+    if (this.store && typeof this.store.loadStats === 'function') {
+      const loaded = this.store.loadStats().filter(p => p && p.profileId);
+      loaded.sort((x, y) => lastAttemptAt(x) - lastAttemptAt(y));
+      for (const p of loaded) this.profiles.set(p.profileId, p);
+      this.evict();
+    }
+  }
+
+  // Drop the least recently answered profiles beyond maxProfiles
+  evict() {
+    while (this.profiles.size > this.maxProfiles) {
+      const profileId = this.profiles.keys().next().value;
+      this.profiles.delete(profileId);
+      if (this.store && typeof this.store.deleteStats === 'function') this.store.deleteStats(profileId);
+    }
+  }
+
+  // attempt: { a, b, op, operands?, cards, answer, correctAnswer, correct, responseMs, roomId, at }
+  // (cards: the card values behind the problem; a/b are the displayed operands,
+  // operands is set for chained problems like 3×4×5)
+  recordAttempt(profileId, attempt) {
+    if (!profileId || !attempt) return null;
+    const profile = this.profiles.get(profileId) || emptyProfile(profileId);
+    // re-inserting moves it to the most recent end
+    this.profiles.delete(profileId);
+    this.profiles.set(profileId, profile);
+    const op = attempt.op || 'multiply';
+    const chained = Array.isArray(attempt.operands) && attempt.operands.length > 2;
+    const fact = chained ? attempt.operands.join(OP_SYMBOLS[op] || '×') : factLabel(attempt.a, attempt.b, op);
+    const entry = Object.assign({ at: Date.now() }, attempt, { op, fact });
+
+    profile.attempts.push(entry);
+    if (profile.attempts.length > this.maxAttempts) profile.attempts.shift();
+
+    // per-fact mastery is tracked for two-operand facts only
+    const aggregates = [profile.totals];
+    if (!chained) {
+      const key = factKey(attempt.a, attempt.b, op);
+      if (!profile.facts[key]) {
+        const [x, y] = COMMUTATIVE.has(op) ? [Math.min(attempt.a, attempt.b), Math.max(attempt.a, attempt.b)] : [attempt.a, attempt.b];
+        profile.facts[key] = { fact: entry.fact, a: x, b: y, op, attempts: 0, correct: 0, responseMsTotal: 0, timedAttempts: 0, lastAt: null };
+      }
+      // facts saved before cards were tracked pick them up on their next attempt
+      profile.facts[key].cards = factCards(attempt, op);
+      profile.facts[key].lastAt = entry.at;
+      aggregates.unshift(profile.facts[key]);
+    }
+    for (const agg of aggregates) {
+      agg.attempts++;
+      if (entry.correct) agg.correct++;
+      if (typeof entry.responseMs === 'number' && entry.responseMs >= 0) {
+        agg.responseMsTotal += entry.responseMs;
+        agg.timedAttempts++;
+      }
+    }
+
+    if (this.store && typeof this.store.saveStats === 'function') this.store.saveStats(profile);
+    this.evict();
+    return entry;
+  }
+
+  hasProfile(profileId) {
+    return this.profiles.has(profileId);
+  }
+
+  // Latest raw attempts for one profile, oldest first (used by adaptive dealing)
+  getRecentAttempts(profileId, limit = 50) {
+    const profile = this.profiles.get(profileId);
+    return profile ? profile.attempts.slice(-limit) : [];
+  }
+
+  // Per-fact summaries for one profile (used by adaptive dealing)
+  getFacts(profileId) {
+    const profile = this.profiles.get(profileId);
+    return profile ? Object.values(profile.facts).map(summarizeFact) : [];
+  }
+
+  // Public summary: totals, per-fact accuracy/avg time and the weakest facts
+  getStats(profileId, { weakest = 5, recent = 20 } = {}) {
+    const profile = this.profiles.get(profileId);
+    if (!profile) return null;
+    const facts = Object.values(profile.facts).map(summarizeFact)
+      .sort((x, y) => x.op.localeCompare(y.op) || x.a - y.a || x.b - y.b);
+    return {
+      profileId,
+      attempts: profile.totals.attempts,
+      correct: profile.totals.correct,
+      accuracy: ratio(profile.totals.correct, profile.totals.attempts),
+      avgResponseMs: average(profile.totals.responseMsTotal, profile.totals.timedAttempts),
+      facts,
+      weakestFacts: weakestFacts(facts, weakest),
+      recentAttempts: profile.attempts.slice(-recent),
+    };
+  }
+}
+
+function lastAttemptAt(profile) {
+  const last = profile.attempts && profile.attempts[profile.attempts.length - 1];
+  return last && last.at ? last.at : 0;
+}
+
+function ratio(n, d) {
+  return d ? Math.round((n / d) * 1000) / 1000 : null;
+}
+
+function average(total, n) {
+  return n ? Math.round(total / n) : null;
+}
+
+function summarizeFact(f) {
+  return {
+    fact: f.fact,
+    a: f.a,
+    b: f.b,
+    op: f.op,
+    cards: f.cards || factCards(f, f.op),
+    attempts: f.attempts,
+    correct: f.correct,
+    accuracy: ratio(f.correct, f.attempts),
+    avgResponseMs: average(f.responseMsTotal, f.timedAttempts),
+    lastAt: f.lastAt,
+  };
+}
+
+// Lowest accuracy first; ties broken by slower average time, then more attempts.
+// Facts answered correctly every time are never "weak".
+function weakestFacts(facts, limit) {
+  return facts
+    .filter(f => f.accuracy < 1)
+    .sort((x, y) => x.accuracy - y.accuracy
+      || (y.avgResponseMs || 0) - (x.avgResponseMs || 0)
+      || y.attempts - x.attempts)
+    .slice(0, limit);
+}
+
+module.exports = { PlayerStats, factKey, factLabel };
@@ -0,0 +1,221 @@
+// Versioned outbound protocol.
+//
+// Clients announce the protocol they speak with `protocolVersion` in the
+// Socket.IO handshake (`auth`, or the query string). Version 2 clients get
+// every server message as one `envelope` event:
+//   { v, type, roomId, seq, serverTime, data }
+// `seq` numbers a room's messages (every recipient of one message sees the same
+// seq), so clients can order them and notice what they missed. Clients that
+// send no version get the original event names, with state changes sent as
+// both gameSync and otherPlayerAction.
+//
+// OUTBOUND_SCHEMAS describe `data` for every message type in the lib/validation.js
+// schema format; protocolSchema() publishes them, with the inbound event
+// schemas, as JSON Schema.
+
+const { EVENT_SCHEMAS, toJsonSchema } = require('./validation');
+
+const PROTOCOL_VERSION = 2;
+const LEGACY_VERSION = 1;
+const SUPPORTED_VERSIONS = [LEGACY_VERSION, PROTOCOL_VERSION];
+const ENVELOPE_EVENT = 'envelope';
+
+const ROOM_ID = { type: 'string', required: true };
+const PLAYER_NUMBER = { type: 'integer', required: true, min: 1 };
+const TIMESTAMP = { type: 'integer', description: 'ms since the epoch' };
+
+// createRoom/joinRoom/resumeSession ack, also sent as roomJoined
+const JOIN_RESPONSE = {
+  roomId: ROOM_ID,
+  roomName: { type: 'string' },
+  playerId: { type: 'string' },
+  playerNumber: PLAYER_NUMBER,
+  maxPlayers: { type: 'integer' },
+  otherPlayerConnected: { type: 'boolean' },
+  resumeToken: { type: 'string' },
+  profileId: { type: 'string', nullable: true },
+  resumed: { type: 'boolean' },
+};
+const MATCH_RESPONSE = Object.assign({}, JOIN_RESPONSE, {
+  difficulty: { type: 'string', required: true },
+  operation: { type: 'string', required: true },
+});
+
+const OUTBOUND_SCHEMAS = {
+  hello: {
+    description: 'First message on a connection: the negotiated protocol version',
+    properties: {
+      protocolVersion: { type: 'integer', required: true },
+      supportedVersions: { type: 'array', required: true, items: { type: 'integer' } },
+    },
+  },
+  roomJoined: { description: 'You took a seat (create, join, resume or match)', properties: JOIN_RESPONSE },
+  matchFound: { description: 'findMatch paired you; roomJoined and the first stateUpdate follow', properties: MATCH_RESPONSE },
+  tournamentMatch: {
+    description: 'Your next tournament match room is open',
+    properties: Object.assign({}, MATCH_RESPONSE, {
+      tournamentId: { type: 'string', required: true },
+      matchId: { type: 'string', required: true },
+      round: { type: 'integer' },
+    }),
+  },
+  otherPlayerConnected: {
+    description: 'A player or bot took a seat in your room',
+    properties: { roomId: ROOM_ID, playerNumber: PLAYER_NUMBER, bot: { type: 'string' } },
+  },
+  otherPlayerDisconnected: {
+    description: 'A player left, lost the connection (resumable within graceMs) or was kicked',
+    properties: {
+      roomId: ROOM_ID,
+      playerNumber: PLAYER_NUMBER,
+      resumable: { type: 'boolean', required: true },
+      graceMs: { type: 'integer' },
+      kicked: { type: 'boolean' },
+    },
+  },
+  otherPlayerReconnected: { description: 'A disconnected player resumed their seat', properties: { roomId: ROOM_ID, playerNumber: PLAYER_NUMBER } },
+  presenceUpdate: {
+    description: 'Room presence: the full picture, or one socket entering the game (playerSocket, status)',
+    properties: {
+      roomId: ROOM_ID,
+      playersStatus: {
+        type: 'array',
+        items: { type: 'object', properties: { playerNumber: PLAYER_NUMBER, status: { type: 'string' } } },
+      },
+      playersPresent: { type: 'array', items: { type: 'integer' } },
+      spectators: { type: 'integer' },
+      ts: TIMESTAMP,
+      playerSocket: { type: 'string' },
+      status: { type: 'string' },
+    },
+  },
+  stateUpdate: {
+    description: 'Game state as seen from your seat (see RoomManager.projectState), with the flags clients navigate by',
+    properties: {
+      state: { type: 'object', required: true },
+      flags: {
+        type: 'object',
+        required: true,
+        properties: {
+          advanceClients: { type: 'boolean', required: true, description: 'the server advanced the round; move on' },
+          dealComplete: { type: 'boolean', required: true, description: 'false while a fresh deal should be animated' },
+          transitioning: { type: 'boolean', required: true, description: 'the round is resolved and auto-advances at nextRoundAt' },
+          nextRoundAt: Object.assign({ required: true, nullable: true }, TIMESTAMP),
+          nextRoundInMs: { type: 'integer', required: true, nullable: true },
+          resumed: { type: 'boolean', required: true, description: 'a replayed snapshot after resumeSession; skip deal animations' },
+        },
+      },
+    },
+  },
+  relay: {
+    description: 'A gameSync message from another player, stamped with their seat',
+    properties: { roomId: ROOM_ID, type: { type: 'string', required: true }, playerNumber: PLAYER_NUMBER },
+  },
+  rematchRequested: { description: 'Another player asked for a rematch', properties: { roomId: ROOM_ID, requestedBy: PLAYER_NUMBER } },
+  kicked: { description: 'A host removed you from the room', properties: { roomId: ROOM_ID, playerNumber: PLAYER_NUMBER, by: { type: 'string' } } },
+  roomClosed: { description: 'A host closed the room', properties: { roomId: ROOM_ID, by: { type: 'string' } } },
+  matchQueueUpdate: {
+    description: 'Your place in the findMatch queue',
+    properties: {
+      difficulty: { type: 'string', required: true },
+      operation: { type: 'string', required: true },
+      position: { type: 'integer', required: true, min: 1 },
+      waiting: { type: 'integer', required: true },
+      waitedMs: { type: 'integer', required: true },
+      etaMs: { type: 'integer', nullable: true },
+    },
+  },
+  tournamentUpdate: {
+    description: 'Tournament summary, standings and bracket',
+    properties: {
+      tournament: { type: 'object', required: true },
+      standings: { type: 'array', required: true, items: { type: 'object' } },
+      bracket: { type: 'object', required: true },
+    },
+  },
+};
+
+// Protocol version for a Socket.IO handshake. No (or an unusable) version means
+// a legacy client; a newer client than this server gets the newest version we speak.
+function negotiateVersion(handshake = {}) {
+  const fromAuth = handshake.auth && handshake.auth.protocolVersion;
+  const requested = fromAuth !== undefined ? fromAuth : handshake.query && handshake.query.protocolVersion;
+  const version = Number(requested);
+  if (!Number.isInteger(version) || version < LEGACY_VERSION) return LEGACY_VERSION;
+  return Math.min(version, PROTOCOL_VERSION);
+}
+
+// options.roomId and options.seq stay null for messages outside a room
+function envelope(type, data, options = {}) {
+  return {
+    v: PROTOCOL_VERSION,
+    type,
+    roomId: options.roomId || null,
+    seq: options.seq || null,
+    serverTime: options.serverTime || Date.now(),
+    data: data === undefined ? null : data,
+  };
+}
+
+// `data` of a stateUpdate envelope. Legacy payloads spread these flags over the
+// payload (transitioning, nextRoundAt, nextRoundInMs, resumed) and the state
+// (advanceClients, dealComplete), and leave some out; here every flag is always
+// present. A payload without `transitioning` takes the room's flag.
+function stateUpdateData(payload, state, roomTransitioning = false) {
+  return {
+    state,
+    flags: {
+      advanceClients: !!(state && state.advanceClients),
+      dealComplete: !!(state && state.dealComplete),
+      transitioning: typeof payload.transitioning === 'boolean' ? payload.transitioning : !!roomTransitioning,
+      nextRoundAt: Number.isFinite(payload.nextRoundAt) ? payload.nextRoundAt : null,
+      nextRoundInMs: Number.isFinite(payload.nextRoundInMs) ? payload.nextRoundInMs : null,
+      resumed: !!payload.resumed,
+    },
+  };
+}
+
+// JSON Schema for the whole protocol: the envelope, `data` per outbound type,
+// and every inbound event payload we check
+function protocolSchema() {
+  const types = Object.keys(OUTBOUND_SCHEMAS);
+  const outbound = {};
+  for (const type of types) {
+    outbound[type] = toJsonSchema(Object.assign({ type: 'object' }, OUTBOUND_SCHEMAS[type]));
+  }
+  const inbound = {};
+  for (const [event, schema] of Object.entries(EVENT_SCHEMAS)) inbound[event] = toJsonSchema(schema);
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'CardMath socket protocol',
+    version: PROTOCOL_VERSION,
+    supportedVersions: SUPPORTED_VERSIONS,
+    envelopeEvent: ENVELOPE_EVENT,
+    envelope: {
+      type: 'object',
+      required: ['v', 'type', 'roomId', 'seq', 'serverTime', 'data'],
+      properties: {
+        v: { type: 'integer', const: PROTOCOL_VERSION },
+        type: { type: 'string', enum: types },
+        roomId: { type: ['string', 'null'] },
+        seq: { type: ['integer', 'null'], minimum: 1, description: 'per-room message number; null outside a room' },
+        serverTime: { type: 'integer', description: 'ms since the epoch' },
+        data: { description: 'see outbound[type]' },
+      },
+    },
+    outbound,
+    inbound,
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  LEGACY_VERSION,
+  SUPPORTED_VERSIONS,
+  ENVELOPE_EVENT,
+  OUTBOUND_SCHEMAS,
+  negotiateVersion,
+  envelope,
+  stateUpdateData,
+  protocolSchema,
+};
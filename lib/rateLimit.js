@@ -0,0 +1,145 @@
+// Token-bucket rate limits for socket events (and a few REST routes).
+//
+// Every event has a bucket per socket and one per client IP. A bucket holds up
+// to `burst` tokens and refills at `perSecond`; each event takes one token and
+// is rejected when the bucket is empty. Events without a limit of their own
+// share one `default` bucket, so cycling through made-up event names gains
+// nothing. Limits come from DEFAULT_LIMITS merged with an override (RATE_LIMITS
+// in .env, as JSON in the same shape). Rejections are counted per limit and
+// scope so they can be reported.
+
+const DEFAULT_LIMITS = {
+  // anything not listed below
+  default: { socket: { burst: 20, perSecond: 10 }, ip: { burst: 200, perSecond: 100 } },
+  // every room costs memory and a pass over all rooms for its name
+  createRoom: { socket: { burst: 3, perSecond: 0.2 }, ip: { burst: 20, perSecond: 1 } },
+  joinRoom: { socket: { burst: 5, perSecond: 1 }, ip: { burst: 50, perSecond: 5 } },
+  findMatch: { socket: { burst: 5, perSecond: 0.5 }, ip: { burst: 50, perSecond: 5 } },
+  addBot: { socket: { burst: 4, perSecond: 0.5 } },
+  createTournament: { socket: { burst: 3, perSecond: 0.1 } },
+  // slows down password guessing
+  hostLogin: { socket: { burst: 5, perSecond: 0.1 }, ip: { burst: 10, perSecond: 0.2 } },
+  'POST /auth/login': { ip: { burst: 10, perSecond: 0.2 } },
+  // card picks, answers and relayed messages; a whole class can share one IP
+  gameSync: { socket: { burst: 30, perSecond: 15 }, ip: { burst: 600, perSecond: 300 } },
+};
+
+// Merge an override ({ event: { socket, ip } }) into the defaults. A scope set
+// to null turns that limit off.
+function mergeLimits(overrides = {}) {
+  const limits = {};
+  for (const event of new Set(Object.keys(DEFAULT_LIMITS).concat(Object.keys(overrides)))) {
+    limits[event] = Object.assign({}, DEFAULT_LIMITS[event], overrides[event]);
+  }
+  return limits;
+}
+
+// RATE_LIMITS from .env: JSON, or empty. Bad JSON keeps the defaults.
+function parseLimits(spec) {
+  if (!spec) return {};
+  try {
+    const parsed = JSON.parse(spec);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.error('RATE_LIMITS is not valid JSON, using the default limits');
+    return {};
+  }
+}
+
+class RateLimiter {
+  // options.limits: overrides for DEFAULT_LIMITS, options.now: clock (ms)
+  constructor(options = {}) {
+    this.limits = mergeLimits(options.limits);
+    this.now = options.now || Date.now;
+    // Map<'scope:key:limitName', { scope, event: limitName, tokens, updatedAt, rejecting }>
+    this.buckets = new Map();
+    // Map<event, { socket: n, ip: n }>
+    this.rejections = new Map();
+  }
+
+  // Name of the limit (and bucket) an event uses: its own or `default`
+  limitName(event) {
+    return Object.prototype.hasOwnProperty.call(this.limits, event) ? event : 'default';
+  }
+
+  limitFor(event, scope) {
+    const limit = this.limits[this.limitName(event)];
+    return limit ? limit[scope] : null;
+  }
+
+  // Take a token from one bucket. Returns null, or { retryAfterMs, first }
+  // where `first` is true for the first rejection after a success (log that one).
+  take(scope, key, event) {
+    const limit = this.limitFor(event, scope);
+    if (!limit || key === undefined || key === null) return null;
+    const now = this.now();
+    const name = this.limitName(event);
+    const id = `${scope}:${key}:${name}`;
+    let bucket = this.buckets.get(id);
+    if (!bucket) {
+      bucket = { scope, event: name, tokens: limit.burst, updatedAt: now, rejecting: false };
+      this.buckets.set(id, bucket);
+    }
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.rejecting = false;
+      return null;
+    }
+    const first = !bucket.rejecting;
+    bucket.rejecting = true;
+    return { retryAfterMs: Math.ceil(((1 - bucket.tokens) / limit.perSecond) * 1000), first };
+  }
+
+  // Check an event against the socket's and the IP's bucket. Returns null when
+  // it may go ahead, otherwise { event, scope, retryAfterMs, first }.
+  consume(event, { socketId, ip } = {}) {
+    for (const [scope, key] of [['socket', socketId], ['ip', ip]]) {
+      const rejected = this.take(scope, key, event);
+      if (!rejected) continue;
+      this.countRejection(this.limitName(event), scope);
+      return Object.assign({ event, scope }, rejected);
+    }
+    return null;
+  }
+
+  // Count a rejection that did not come from a bucket (room cap, payload size)
+  countRejection(event, reason) {
+    if (!this.rejections.has(event)) this.rejections.set(event, {});
+    const counts = this.rejections.get(event);
+    counts[reason] = (counts[reason] || 0) + 1;
+  }
+
+  // Drop a closed socket's buckets
+  forgetSocket(socketId) {
+    const prefix = `socket:${socketId}:`;
+    for (const id of this.buckets.keys()) {
+      if (id.startsWith(prefix)) this.buckets.delete(id);
+    }
+  }
+
+  // Drop buckets that have refilled completely; they behave like new ones
+  prune() {
+    const now = this.now();
+    let removed = 0;
+    for (const [id, bucket] of this.buckets.entries()) {
+      // IPv6 keys contain ':', so the bucket carries its own scope and event
+      const limit = this.limitFor(bucket.event, bucket.scope);
+      if (!limit || bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond >= limit.burst) {
+        this.buckets.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // { rejections: { event: { socket, ip, ... } }, buckets }
+  stats() {
+    const rejections = {};
+    for (const [event, counts] of this.rejections.entries()) rejections[event] = Object.assign({}, counts);
+    return { rejections, buckets: this.buckets.size };
+  }
+}
+
+module.exports = { RateLimiter, DEFAULT_LIMITS, mergeLimits, parseLimits };
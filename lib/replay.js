@@ -0,0 +1,104 @@
+// Rebuild game state from a room's event log (see RoomManager.logEvent).
+//
+// The log is applied to a scratch RoomManager so replays use exactly the same
+// rules as live games. Anything random (dealt hands, generated problems and
+// answer options) is taken from the log rather than re-rolled, so a replay
+// does not depend on RNG internals staying stable between versions.
+
+function cloneCards(cards) {
+  return (cards || []).map(c => Object.assign({}, c));
+}
+
+// replayEvents(events, { uptoSeq }) -> { state, applied }
+// `state` is the authoritative (unredacted) game state right after the event
+// with seq === uptoSeq (or after the whole log), or null if nothing was dealt yet.
+function replayEvents(events, { uptoSeq = Infinity } = {}) {
+  // required lazily: roomManager itself has no dependency on this module
+  const RoomManager = require('./roomManager');
+  const rm = new RoomManager({ seed: 'replay' });
+  const { roomId } = rm.createRoom('replay-1').response;
+  const room = rm.getRoom(roomId);
+
+  let applied = 0;
+  for (const ev of events || []) {
+    if (ev.seq > uptoSeq) break;
+    switch (ev.type) {
+      case 'deal': {
+        const hands = ev.hands || {};
+        const state = rm.initGameState(roomId, {
+          difficulty: ev.difficulty,
+          initialCards: ev.initialCards,
+          operation: ev.operation,
+          scoring: ev.scoring,
+          problemCards: ev.problemCards,
+          seats: Object.keys(hands).map(Number),
+          seed: ev.seed,
+        });
+        for (const p of state.players) p.hand = cloneCards(hands[p.playerNumber]);
+        break;
+      }
+      case 'select': {
+        const state = rm.playerSelectCard(roomId, ev.playerNumber, { id: ev.cardId });
+        if (state && ev.problem) {
+          state.currentProblem = Object.assign({}, ev.problem);
+          state.correctAnswer = ev.correctAnswer;
+          state.answerOptions = ev.answerOptions.slice();
+          if (ev.problemSeats) state.problemSeats = ev.problemSeats.slice();
+          // speed scores are measured from the logged reveal time
+          if (ev.at) state.revealedAt = ev.at;
+        }
+        break;
+      }
+      case 'dropSeat': {
+        // a seat that left mid-game; the problem it may have unblocked comes from the log
+        rm.dropSeat(roomId, ev.playerNumber, ev.at);
+        const state = rm.getGameState(roomId);
+        if (state && ev.problem) {
+          state.currentProblem = Object.assign({}, ev.problem);
+          state.correctAnswer = ev.correctAnswer;
+          state.answerOptions = ev.answerOptions.slice();
+          state.problemSeats = ev.problemSeats.slice();
+        }
+        break;
+      }
+      case 'submit': {
+        const state = rm.getGameState(roomId);
+        // a replayed submission is never late: deadlines are replayed from 'timeout' events
+        if (state) state.roundDeadline = null;
+        rm.playerSubmitAnswer(roomId, ev.playerNumber, ev.answer, ev.at);
+        break;
+      }
+      case 'solve': {
+        // keep the original timestamp instead of the replay's wall clock
+        const state = rm.getGameState(roomId);
+        const history = state ? state.history : [];
+        if (history.length) history[history.length - 1].timestamp = ev.at;
+        break;
+      }
+      case 'timeout': {
+        const state = rm.getGameState(roomId);
+        // the live deadline has long passed; expire at the logged time
+        if (state && state.roundInProgress) {
+          state.roundDeadline = ev.at;
+          rm.expireRound(roomId, ev.at);
+        }
+        break;
+      }
+      case 'nextRound':
+        // the live server ignores selections while an auto-next is pending; the
+        // log only contains accepted actions, so just advance
+        room.transitioning = false;
+        rm.nextRound(roomId);
+        break;
+      // reset/rematch are always followed by a deal;
+      // join/leave/disconnect/resume do not change the game state
+      default:
+        break;
+    }
+    applied++;
+  }
+
+  return { state: rm.getGameState(roomId), applied };
+}
+
+module.exports = { replayEvents };
@@ -0,0 +1,38 @@
+// Small seedable PRNG helpers. `createRng(seed)` returns a function with the
+// same contract as Math.random (float in [0, 1)), so it can be passed
+// anywhere a `random` function is accepted.
+
+// Hash a string or number seed into a 32-bit integer (xmur3-style mixing)
+function hashSeed(seed) {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^= h >>> 16) >>> 0;
+}
+
+// mulberry32: fast, good enough for dealing cards and picking distractors
+function createRng(seed) {
+  let a = hashSeed(seed);
+  return function random() {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// In-place Fisher-Yates shuffle; returns the array for chaining
+function shuffle(arr, random = Math.random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+module.exports = { createRng, hashSeed, shuffle };
@@ -1,13 +1,154 @@
+const crypto = require('crypto');
+const { ErrorCodes, actionError } = require('./errors');
+const operations = require('./operations');
+const { buildAnswerOptions } = require('./distractors');
+const { createRng, shuffle } = require('./rng');
+const { MemoryStore } = require('./storage');
+const { PlayerStats } = require('./playerStats');
+const adaptive = require('./adaptive');
+const scoring = require('./scoring');
+
+// Cards dealt per player for each difficulty (unless initialCards is given)
+const DIFFICULTY_CARDS = { test: 1, easy: 6, medium: 18, hard: 24, adaptive: 6 };
+
+// Seats per room (room option maxPlayers)
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+const DEFAULT_MAX_PLAYERS = 2;
+// With 3-4 players a problem uses every selected card ('all', multiply/add only)
+// or the cards of two seats taking turns ('pair')
+const PROBLEM_CARDS = ['all', 'pair'];
+
+// Per-seat entries of state.players
+function findSeat(state, playerNumber) {
+  return (state.players || []).find(p => p.playerNumber === playerNumber) || null;
+}
+
+// { [playerNumber]: fn(seat) } over the dealt seats
+function seatMap(state, fn) {
+  const out = {};
+  for (const p of state.players || []) out[p.playerNumber] = fn(p);
+  return out;
+}
+
+// The two-seat fields (player1Hand, player2Score, player1SelectedCard,
+// player1Answered, submittedAnswers, ...) are kept as aliases over
+// state.players for existing clients and callers. They are not enumerable,
+// so snapshots and views never carry them twice; projectState writes them
+// into each view explicitly.
+const SEAT_ALIASES = { Hand: 'hand', Score: 'score', SelectedCard: 'selectedCard', Answered: 'answered' };
+
+function defineSeatAliases(state) {
+  for (const { playerNumber } of state.players || []) {
+    for (const [suffix, key] of Object.entries(SEAT_ALIASES)) {
+      Object.defineProperty(state, `player${playerNumber}${suffix}`, {
+        configurable: true,
+        enumerable: false,
+        get() { const p = findSeat(state, playerNumber); return p ? p[key] : undefined; },
+        set(value) { const p = findSeat(state, playerNumber); if (p) p[key] = value; },
+      });
+    }
+  }
+  Object.defineProperty(state, 'submittedAnswers', {
+    configurable: true,
+    enumerable: false,
+    get() { return seatMap(state, p => p.answer); },
+  });
+  return state;
+}
+
+// What the event log keeps of a revealed problem, so replays do not re-roll it
+function revealedProblemEntry(state) {
+  return {
+    problem: Object.assign({}, state.currentProblem),
+    correctAnswer: state.correctAnswer,
+    answerOptions: state.answerOptions.slice(),
+    problemSeats: state.problemSeats.slice(),
+    // replays measure speed scores from the same instant
+    at: state.revealedAt,
+  };
+}
+
+// Snapshots written before state.players existed only have the two-seat fields
+function upgradeLegacyState(state) {
+  if (!state || Array.isArray(state.players)) return state;
+  const answers = state.submittedAnswers || {};
+  state.players = [1, 2].map(n => ({
+    playerNumber: n,
+    hand: state[`player${n}Hand`] || [],
+    score: state[`player${n}Score`] || 0,
+    selectedCard: state[`player${n}SelectedCard`] || null,
+    answered: !!state[`player${n}Answered`],
+    answer: answers[n] !== undefined ? answers[n] : null,
+  }));
+  for (const n of [1, 2]) {
+    for (const suffix of Object.keys(SEAT_ALIASES)) delete state[`player${n}${suffix}`];
+  }
+  delete state.submittedAnswers;
+  if (!state.problemCards) state.problemCards = 'all';
+  if (!state.winners) state.winners = state.winner ? [Number(String(state.winner).replace('player', ''))] : [];
+  return state;
+}
+
 // Simple in-memory RoomManager to keep room logic testable
 class RoomManager {
-  constructor() {
-    // Map<roomId, { roomId, players: Map<socketId, { playerId, playerNumber, socketId }> }>
+  // options.random: injectable RNG (Math.random contract) used for ids, room names and seeds.
+  // options.seed: shorthand for { random: createRng(seed) }.
+  // options.store: storage adapter for room snapshots and finished games (see lib/storage.js).
+  // options.stats: PlayerStats instance (defaults to one backed by options.store).
+  // options.profileSecret: key that signs profile ids (see resolveProfileId); random when omitted.
+  constructor(options = {}) {
+    this.random = options.random
+      || (options.seed !== undefined && options.seed !== null ? createRng(options.seed) : Math.random);
+    // Map<roomId, { roomId, players: Map<socketId, { playerId, playerNumber, socketId, resumeToken }> }>
     this.rooms = new Map();
+    // per-game RNG streams derived from the room seed (deals, mixed ops, answer options)
+    // Map<roomId, () => number>
+    this.gameRngs = new Map();
+    // append-only per-room event log (deal, select, submit, solve, nextRound, reset,
+    // rematch, join, leave, ...). Map<roomId, Array<{ seq, type, at, ...data }>>
+    // See lib/replay.js for rebuilding intermediate states from it.
+    this.eventLogs = new Map();
     // per-room authoritative game state
     // Map<roomId, gameState>
     this.gameStates = new Map();
     // default TTL for empty rooms (ms). Rooms with no players are kept for this duration before GC.
     this.roomTTLMs = 10 * 60 * 1000; // 10 minutes
+    // how long a disconnected player's seat (hand, score) is held for a resumeSession (ms)
+    this.reconnectGraceMs = 30 * 1000;
+    // persistence adapter; the default keeps the in-memory-only behaviour
+    this.store = options.store || new MemoryStore();
+    // per-profile answer statistics (lib/playerStats.js)
+    this.stats = options.stats || new PlayerStats({ store: this.store });
+    // without a fixed secret, profile ids handed out before a restart are not accepted after it
+    this.profileSecret = options.profileSecret || crypto.randomBytes(32).toString('hex');
+    // called with (roomId, state) when nextRound ends a game (see onGameOver)
+    this.gameOverListeners = [];
+    // called with (roomId, event) for room lifecycle events (see onRoomEvent)
+    this.roomEventListeners = [];
+  }
+
+  // Register a listener for finished games, e.g. tournaments collecting results
+  onGameOver(listener) {
+    this.gameOverListeners.push(listener);
+  }
+
+  // Register a listener for everything that happens to rooms, e.g. the live
+  // admin dashboard. It gets every logged event ({ seq, type, at, ...data }, see
+  // logEvent) plus 'created' and 'removed' ({ reason: 'collected' | 'closed' }),
+  // which are not part of the replay log.
+  onRoomEvent(listener) {
+    this.roomEventListeners.push(listener);
+  }
+
+  notifyRoomEvent(roomId, event) {
+    for (const listener of this.roomEventListeners) {
+      try {
+        listener(roomId, event);
+      } catch (err) {
+        console.error(`room event listener failed for room ${roomId}`, err);
+      }
+    }
   }
 
   // Simple friendly name generator using easy adjectives and nouns
@@ -33,16 +174,16 @@ class RoomManager {
 
     // Try a few unique combinations, sometimes emit multi-word names
     for (let i = 0; i < 12; i++) {
-      const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-      const pool = pools[Math.floor(Math.random() * pools.length)];
-      const n1 = pool[Math.floor(Math.random() * pool.length)];
+      const adj = adjectives[Math.floor(this.random() * adjectives.length)];
+      const pool = pools[Math.floor(this.random() * pools.length)];
+      const n1 = pool[Math.floor(this.random() * pool.length)];
 
       // 30% chance to make a two-noun name (e.g., 'star-rocket' or 'merry-bunny')
-      const makeMulti = Math.random() < 0.3;
+      const makeMulti = this.random() < 0.3;
       let name = '';
       if (makeMulti) {
-        const pool2 = pools[Math.floor(Math.random() * pools.length)];
-        const n2 = pool2[Math.floor(Math.random() * pool2.length)];
+        const pool2 = pools[Math.floor(this.random() * pools.length)];
+        const n2 = pool2[Math.floor(this.random() * pool2.length)];
         // format: 'adj noun-phrase' (space + hyphenated nouns)
         name = `${adj} ${n1}-${n2}`;
       } else {
@@ -59,33 +200,133 @@ class RoomManager {
     }
 
     // fallback with random suffix
-    return `fun-${Math.random().toString(36).substring(2,5)}`;
+    return `fun-${this.randomString(3)}`;
+  }
+
+  // Random [0-9a-z] string drawn from this.random
+  randomString(length) {
+    const alphabet = '0123456789abcdefghijklmnopqrstuvwxyz';
+    let out = '';
+    for (let i = 0; i < length; i++) out += alphabet[Math.floor(this.random() * alphabet.length)];
+    return out;
   }
 
   generateRoomId() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+    return this.randomString(6).toUpperCase();
   }
 
   generatePlayerId() {
-    return 'player_' + Math.random().toString(36).substring(2, 10);
+    return 'player_' + this.randomString(8);
+  }
+
+  generateSeed() {
+    return this.randomString(10);
   }
 
-  createRoom(socketId) {
+  // RNG for the current game in a room (falls back to a fresh stream from the room seed)
+  getGameRng(roomId) {
+    if (!this.gameRngs.has(roomId)) {
+      const state = this.gameStates.get(roomId);
+      const room = this.rooms.get(roomId);
+      const seed = (state && state.seed) || (room && room.seed) || this.generateSeed();
+      this.gameRngs.set(roomId, createRng(seed));
+    }
+    return this.gameRngs.get(roomId);
+  }
+
+  // Secret handed only to the owning client so it can reclaim its seat after a reconnect.
+  // Uses crypto rather than Math.random since knowing it is enough to take over the seat.
+  generateResumeToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  // Stable identity for statistics, kept by the client across rooms and sessions.
+  // Only ids minted here are accepted back (`profile_<hex>.<signature>`), so a client
+  // cannot record answers into someone else's stats by sending a made-up id.
+  resolveProfileId(profileId) {
+    if (this.verifyProfileId(profileId)) return profileId;
+    const id = 'profile_' + crypto.randomBytes(8).toString('hex');
+    return `${id}.${this.profileSignature(id)}`;
+  }
+
+  verifyProfileId(profileId) {
+    const match = typeof profileId === 'string' && /^(profile_[0-9a-f]{16})\.([A-Za-z0-9_-]{22})$/.exec(profileId);
+    if (!match) return false;
+    return crypto.timingSafeEqual(Buffer.from(this.profileSignature(match[1])), Buffer.from(match[2]));
+  }
+
+  // HMAC-SHA256 of the id, shortened to 128 bits
+  profileSignature(id) {
+    return crypto.createHmac('sha256', this.profileSecret).update(id).digest('base64url').slice(0, 22);
+  }
+
+  findPlayerByNumber(room, playerNumber) {
+    if (!room) return null;
+    for (const [, p] of room.players.entries()) {
+      if (p.playerNumber === playerNumber) return p;
+    }
+    return null;
+  }
+
+  // Number of seated players whose socket is currently connected
+  countConnected(room) {
+    if (!room) return 0;
+    let n = 0;
+    for (const [, p] of room.players.entries()) {
+      if (p.status !== 'disconnected') n++;
+    }
+    return n;
+  }
+
+  // Seats for a room: an integer 2..4, anything else is null
+  normalizeMaxPlayers(n) {
+    return Number.isInteger(n) && n >= MIN_PLAYERS && n <= MAX_PLAYERS ? n : null;
+  }
+
+  normalizeProblemCards(mode) {
+    return PROBLEM_CARDS.includes(mode) ? mode : null;
+  }
+
+  // Lowest seat number not taken in the room (null when the room is full)
+  nextFreeSeat(room) {
+    const taken = new Set(Array.from(room.players.values()).map(p => p.playerNumber));
+    for (let n = 1; n <= (room.maxPlayers || DEFAULT_MAX_PLAYERS); n++) {
+      if (!taken.has(n)) return n;
+    }
+    return null;
+  }
+
+  // options.seed: fixed seed for reproducible deals (otherwise one is generated and recorded on the room)
+  // options.profileId: stable player identity for statistics (see resolveProfileId)
+  // options.maxPlayers: seats in the room, 2..4 (default 2)
+  createRoom(socketId, options = {}) {
     const roomId = this.generateRoomId();
     const playerId = this.generatePlayerId();
 
     const roomName = this.generateRoomName();
     const now = Date.now();
+    const seed = options.seed !== undefined && options.seed !== null ? String(options.seed) : this.generateSeed();
     const room = { 
       roomId, 
       name: roomName, 
       players: new Map(),
+      // read-only followers (classroom board, parents): Map<socketId, { socketId, joinedAt }>
+      spectators: new Map(),
       createdAt: now,
-      lastActivity: now
+      lastActivity: now,
+      seed,
+      // number of games dealt in this room; each deal gets its own derived seed
+      gameCount: 0,
+      maxPlayers: this.normalizeMaxPlayers(options.maxPlayers) || DEFAULT_MAX_PLAYERS,
     };
-  const player = { playerId, playerNumber: 1, socketId, status: 'lobby' };
+    const resumeToken = this.generateResumeToken();
+    const profileId = this.resolveProfileId(options.profileId);
+    const player = { playerId, playerNumber: 1, socketId, status: 'lobby', resumeToken, profileId };
     room.players.set(socketId, player);
     this.rooms.set(roomId, room);
+    this.notifyRoomEvent(roomId, { type: 'created', at: now, name: roomName, maxPlayers: room.maxPlayers });
+    this.logEvent(roomId, 'join', { playerNumber: 1, playerId, seed });
+    this.persistRoom(roomId);
 
     return {
       room,
@@ -94,33 +335,112 @@ class RoomManager {
         roomName,
         playerId,
         playerNumber: 1,
+        maxPlayers: room.maxPlayers,
         otherPlayerConnected: false,
+        resumeToken,
+        profileId,
       },
     };
   }
 
-  joinRoom(roomId, socketId) {
+  joinRoom(roomId, socketId, options = {}) {
     const room = this.rooms.get(roomId);
-    if (!room) return { error: 'Room not found' };
+    if (!room) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 'roomId');
 
-    if (room.players.size >= 2) return { error: 'Room is full' };
+    const playerNumber = room.players.size >= (room.maxPlayers || DEFAULT_MAX_PLAYERS) ? null : this.nextFreeSeat(room);
+    if (!playerNumber) return actionError(ErrorCodes.ROOM_FULL, 'Room is full');
+    // a spectator taking a seat stops spectating
+    this.getSpectators(room).delete(socketId);
 
     const playerId = this.generatePlayerId();
-  const player = { playerId, playerNumber: 2, socketId, status: 'lobby' };
+    const resumeToken = this.generateResumeToken();
+    const profileId = this.resolveProfileId(options.profileId);
+    const player = { playerId, playerNumber, socketId, status: 'lobby', resumeToken, profileId };
+    // options.bot: in-process bot profile name (see lib/bot.js)
+    if (options.bot) player.bot = options.bot;
     room.players.set(socketId, player);
     room.lastActivity = Date.now(); // Update activity timestamp
+    this.logEvent(roomId, 'join', options.bot ? { playerNumber, playerId, bot: options.bot } : { playerNumber, playerId });
+    this.persistRoom(roomId);
 
     const response = {
       roomId,
       roomName: room.name,
       playerId,
-      playerNumber: 2,
-      otherPlayerConnected: true,
+      playerNumber,
+      maxPlayers: room.maxPlayers || DEFAULT_MAX_PLAYERS,
+      otherPlayerConnected: this.countConnected(room) > 1,
+      resumeToken,
+      profileId,
     };
 
     return { room, response };
   }
 
+  // Seat an in-process bot (lib/bot.js) in the next free seat. It gets a
+  // pseudo socket id so the rest of the room code treats it like any player.
+  // Returns joinRoom's result plus the bot's player record.
+  addBot(roomId, profile = 'medium') {
+    const socketId = `bot_${this.randomString(8)}`;
+    const result = this.joinRoom(roomId, socketId, { bot: profile });
+    if (result.error) return result;
+    return Object.assign({ player: result.room.players.get(socketId) }, result);
+  }
+
+  // Seats that are people rather than bots
+  countHumans(room, { connectedOnly = false } = {}) {
+    if (!room) return 0;
+    let n = 0;
+    for (const [, p] of room.players.entries()) {
+      if (p.bot) continue;
+      if (connectedOnly && p.status === 'disconnected') continue;
+      n++;
+    }
+    return n;
+  }
+
+  // Follow a room read-only. Spectators take no playerNumber, do not count
+  // against maxPlayers and only ever receive the neutral (seatless) view.
+  spectateRoom(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 'roomId');
+    if (room.players.has(socketId)) return actionError(ErrorCodes.ALREADY_IN_ROOM, 'Already playing in this room');
+    // one room at a time
+    this.stopSpectating(socketId);
+    const spectators = this.getSpectators(room);
+    spectators.set(socketId, { socketId, joinedAt: Date.now() });
+    return {
+      room,
+      response: {
+        roomId,
+        roomName: room.name,
+        spectating: true,
+        spectators: spectators.size,
+        maxPlayers: room.maxPlayers || DEFAULT_MAX_PLAYERS,
+      },
+      state: this.gameStates.get(roomId) || null,
+    };
+  }
+
+  // Stop following whichever room socketId spectates. Returns { roomId, remaining } or null.
+  stopSpectating(socketId) {
+    for (const [roomId, room] of this.rooms.entries()) {
+      const spectators = this.getSpectators(room);
+      if (spectators.delete(socketId)) return { roomId, remaining: spectators.size };
+    }
+    return null;
+  }
+
+  isSpectator(roomId, socketId) {
+    const room = this.rooms.get(roomId);
+    return !!room && this.getSpectators(room).has(socketId);
+  }
+
+  getSpectators(room) {
+    if (!room.spectators) room.spectators = new Map();
+    return room.spectators;
+  }
+
   // Initialize game state for a room (deal cards) when both players are present
   initGameState(roomId, options = {}) {
     const room = this.rooms.get(roomId);
@@ -128,64 +448,132 @@ class RoomManager {
 
     // Parse difficulty and initialCards from options (with fallbacks)
     const difficulty = options.difficulty || room.difficulty || 'easy';
-    const difficultyDefaults = { test: 1, easy: 6, medium: 18, hard: 24 };
-    const initialCards = options.initialCards || room.initialCards || difficultyDefaults[difficulty] || 6;
+    const initialCards = options.initialCards || room.initialCards || DIFFICULTY_CARDS[difficulty] || 6;
+
+    const operation = operations.isValidOperation(options.operation) ? options.operation
+      : (room.operation || operations.DEFAULT_OPERATION);
+    // per-round answer time limit (ms); 0/null means no limit
+    const roundTimeLimitMs = this.normalizeRoundTimeLimit(
+      options.roundTimeLimitMs !== undefined ? options.roundTimeLimitMs : room.roundTimeLimitMs
+    );
+    // scoring policy (see lib/scoring.js); invalid input keeps the room's current policy
+    const scoringPolicy = (options.scoring !== undefined && scoring.normalizeScoring(options.scoring))
+      || room.scoring || scoring.normalizeScoring();
+    const problemCards = this.normalizeProblemCards(options.problemCards) || room.problemCards || 'all';
 
-    // Persist difficulty and initialCards on room object for REST endpoints
+    // Dealt seats: everyone seated now (options.seats overrides, e.g. for replays),
+    // padded to two so a game always has an opponent seat
+    const seats = Array.isArray(options.seats) && options.seats.length
+      ? options.seats.slice()
+      : Array.from(room.players.values()).map(p => p.playerNumber);
+    for (let n = 1; seats.length < MIN_PLAYERS; n++) {
+      if (!seats.includes(n)) seats.push(n);
+    }
+    seats.sort((x, y) => x - y);
+
+    // Persist difficulty, initialCards, operation and time limit on room object for REST endpoints
     room.difficulty = difficulty;
     room.initialCards = initialCards;
-    room.options = { difficulty, initialCards };
+    room.operation = operation;
+    room.roundTimeLimitMs = roundTimeLimitMs;
+    room.scoring = scoringPolicy;
+    room.problemCards = problemCards;
+    room.options = this.roomOptions(room);
+
+    // Every deal gets its own seed so a reported game can be reproduced from
+    // state.seed alone: the first game uses the room seed, rematches derive
+    // `${room.seed}-${n}`. An explicit options.seed replaces the room seed.
+    if (options.seed !== undefined && options.seed !== null) {
+      room.seed = String(options.seed);
+      room.gameCount = 0;
+    }
+    const gameCount = room.gameCount || 0;
+    const seed = gameCount === 0 ? room.seed : `${room.seed}-${gameCount}`;
+    room.gameCount = gameCount + 1;
+    // rounds of every game in the room, counted on (see checkActionRound)
+    room.roundSeq = (room.roundSeq || 0) + 1;
+    const random = createRng(seed);
+    this.gameRngs.set(roomId, random);
 
-    // build deck 2..12 for 4 suits
+    // 'adaptive' narrows/widens the value range and favours weak facts
+    const plan = difficulty === 'adaptive' ? this.planAdaptiveDeal(room, initialCards, seats.length) : null;
+    const minValue = plan ? plan.minValue : 2;
+    const maxValue = plan ? plan.maxValue : 12;
+
+    // build deck minValue..maxValue (2..12 unless adaptive) for 4 suits
     const suits = ['hearts','diamonds','clubs','spades'];
     const allCards = [];
     let id = 0;
     for (const suit of suits) {
-      for (let value = 2; value <= 12; value++) {
+      for (let value = minValue; value <= maxValue; value++) {
         allCards.push({ id: `${suit}-${value}-${id}`, value, suit });
         id++;
       }
     }
 
-    // shuffle
-    for (let i = allCards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allCards[i], allCards[j]] = [allCards[j], allCards[i]];
-    }
+    shuffle(allCards, random);
 
-    // Deal exactly initialCards to each player
-    const player1Hand = allCards.splice(0, initialCards);
-    const player2Hand = allCards.splice(0, initialCards);
+    // Deal the same number of cards to every seat, at most initialCards
+    const handSize = Math.min(initialCards, Math.floor(allCards.length / seats.length));
+    const players = seats.map(playerNumber => ({
+      playerNumber,
+      hand: plan ? adaptive.weightedDraw(allCards, plan.weights, handSize, random) : allCards.splice(0, handSize),
+      score: 0,
+      selectedCard: null,
+      answered: false,
+      // the exact submitted answer value (null when none), so clients can
+      // deterministically render which answer a player chose
+      answer: null,
+    }));
 
     const state = {
       difficulty,
-      initialCards,
-      player1Hand,
-      player2Hand,
-      player1SelectedCard: null,
-      player2SelectedCard: null,
-      // store the exact submitted answer values per-player (null when none).
-      // This allows clients to deterministically render which answer a player chose
-      // without relying on timing heuristics.
-      submittedAnswers: { 1: null, 2: null },
-      player1Answered: false,
-      player2Answered: false,
-      player1Score: 0,
-      player2Score: 0,
+      initialCards: handSize,
+      // operation mode for the game ('multiply' | 'add' | 'subtract' | 'divide' | 'mixed');
+      // the concrete op for each round is in currentProblem.op
+      operation,
+      // seed of this deal's RNG; same seed + same actions => same game
+      seed,
+      // current round of this game (from 1; stays on the last round at game over)
+      // and of the room (never repeats, not even across rematches). Game actions
+      // may carry either to be rejected when the room has moved on.
+      round: 1,
+      roundSeq: room.roundSeq,
+      roundTimeLimitMs,
+      scoring: Object.assign({}, scoringPolicy),
+      problemCards,
+      // one entry per dealt seat, ordered by playerNumber:
+      // { playerNumber, hand, score, selectedCard, answered, answer }
+      players,
+      // seats whose selected cards make up the current problem
+      problemSeats: [],
+      // consecutive correct answers per seat (drives the streak multiplier)
+      streaks: seatMap({ players }, () => 0),
+      // score breakdown per seat for the current round (see scoring.scoreCorrect/scoreWrong);
+      // copied into the round's history entry as `points`
+      roundPoints: seatMap({ players }, () => null),
+      // absolute time (ms) when the current round times out; null when no round is running or no limit
+      roundDeadline: null,
+      // adaptive difficulty only: { level, minValue, maxValue } used for this deal
+      adaptive: plan ? { level: plan.level, minValue, maxValue } : null,
       currentProblem: null,
+      // when the current problem was revealed (ms); answer response times are measured from it
+      revealedAt: null,
       answerOptions: [],
       correctAnswer: 0,
       gameOver: false,
+      // 'playerN' for a single top scorer, null for a tie; winners lists every top scorer's playerNumber
       winner: null,
+      winners: [],
       problemSolved: false,
       solvedBy: null,
       roundInProgress: false,
-      playersConnected: room.players.size,
+      playersConnected: this.countConnected(room),
       // Explicitly start with the equation hidden until both cards are selected
       // and a problem is generated. This prevents stale reveal flags from a
       // previous round/rematch from leaking into a fresh game.
       revealEquation: false,
-      // authoritative history of rounds (server-side). Each entry: { a, b, correctAnswer, solvedBy, timestamp }
+      // authoritative history of rounds (server-side). Each entry: { a, b, op, correctAnswer, solvedBy, points, timestamp }
       history: [],
       // Control flags for client behavior
       // Clients should default to showing the dealing animation when they
@@ -201,171 +589,477 @@ class RoomManager {
       p.status = 'in-game';
     }
 
+    defineSeatAliases(state);
     this.gameStates.set(roomId, state);
-    console.log(`initGameState for room ${roomId}: p1=${state.player1Hand.length} p2=${state.player2Hand.length}`);
+    this.logEvent(roomId, 'deal', {
+      seed,
+      difficulty,
+      initialCards: handSize,
+      operation,
+      scoring: Object.assign({}, scoringPolicy),
+      problemCards,
+      hands: seatMap(state, p => p.hand.map(c => Object.assign({}, c))),
+    });
+    this.persistRoom(roomId);
+    console.log(`initGameState for room ${roomId}: ${players.map(p => `p${p.playerNumber}=${p.hand.length}`).join(' ')}`);
     return state;
   }
 
+  // Options reported for a room (room.options, REST endpoints)
+  roomOptions(room) {
+    return {
+      difficulty: room.difficulty || 'easy',
+      initialCards: room.initialCards || null,
+      operation: room.operation || operations.DEFAULT_OPERATION,
+      roundTimeLimitMs: room.roundTimeLimitMs || null,
+      scoring: room.scoring || scoring.normalizeScoring(),
+      maxPlayers: room.maxPlayers || DEFAULT_MAX_PLAYERS,
+      problemCards: room.problemCards || 'all',
+    };
+  }
+
+  // Pick the adaptive level and per-value weights for the next deal from the
+  // seated players' statistics. The level is kept on the room so it moves
+  // one step at a time over a session (rematches, resets).
+  planAdaptiveDeal(room, initialCards, seatCount = MIN_PLAYERS) {
+    // bots' answers say nothing about what the children know
+    const profileIds = Array.from(room.players.values()).filter(p => !p.bot).map(p => p.profileId).filter(Boolean);
+    const recent = [];
+    const facts = [];
+    for (const profileId of profileIds) {
+      recent.push(...this.stats.getRecentAttempts(profileId, adaptive.DEFAULTS.window * 2));
+      facts.push(...this.stats.getFacts(profileId));
+    }
+    recent.sort((x, y) => (x.at || 0) - (y.at || 0));
+
+    const chosen = adaptive.chooseLevel(room.adaptiveLevel, recent);
+    // never pick a range too small to deal every hand
+    const level = adaptive.levelForHandSize(chosen, initialCards, seatCount);
+    room.adaptiveLevel = level;
+    const { minValue, maxValue } = adaptive.LEVELS[level];
+    return { level, minValue, maxValue, weights: adaptive.valueWeights(facts, level) };
+  }
+
   getGameState(roomId) {
     return this.gameStates.get(roomId) || null;
   }
 
-  // Player selects a card by id (authoritative)
+  // Append an event to the room's log. Entries are never modified once written.
+  // data.at overrides the timestamp when it must match a history entry.
+  logEvent(roomId, type, data = {}) {
+    if (!this.eventLogs.has(roomId)) this.eventLogs.set(roomId, []);
+    const log = this.eventLogs.get(roomId);
+    const entry = Object.assign({ seq: log.length + 1, type, at: Date.now() }, data);
+    log.push(entry);
+    this.notifyRoomEvent(roomId, entry);
+    return entry;
+  }
+
+  getEventLog(roomId) {
+    const log = this.eventLogs.get(roomId);
+    return log ? log.slice() : null;
+  }
+
+  // Build the view of a game state that a single seat is allowed to see.
+  // Never send raw gameStates to clients: the opponents' hands, the correct
+  // answer before the problem is solved and the opponents' submitted answers
+  // are all visible in devtools otherwise. playerNumber null/undefined yields
+  // a neutral view with every hand hidden (debug endpoints, observers).
+  // The deal's seed rebuilds every hand (and the rematch seeds derive from it),
+  // so only host routes get it, with options.revealSeed.
+  projectState(state, playerNumber, options = {}) {
+    if (!state) return null;
+    const view = Object.assign({}, state);
+    const solved = !!state.problemSolved;
+    if (!options.revealSeed) delete view.seed;
+
+    view.players = (state.players || []).map(p => {
+      const own = p.playerNumber === playerNumber;
+      return {
+        playerNumber: p.playerNumber,
+        hand: own ? p.hand.slice() : null,
+        handCount: p.hand.length,
+        // an opponent's pick only becomes public once the equation is revealed
+        selectedCard: own || state.revealEquation ? p.selectedCard : null,
+        hasSelected: !!p.selectedCard,
+        score: p.score,
+        answered: p.answered,
+        answer: own || solved ? p.answer : null,
+      };
+    });
+
+    // two-seat fields for existing clients (player1Hand, player2HandCount, ...)
+    for (const p of view.players) {
+      const n = p.playerNumber;
+      view[`player${n}Hand`] = p.hand;
+      view[`player${n}HandCount`] = p.handCount;
+      view[`player${n}SelectedCard`] = p.selectedCard;
+      view[`player${n}HasSelected`] = p.hasSelected;
+      view[`player${n}Score`] = p.score;
+      view[`player${n}Answered`] = p.answered;
+    }
+    view.submittedAnswers = seatMap(view, p => p.answer);
+
+    // answer stays hidden until someone solves it (or everyone is wrong)
+    if (!solved) view.correctAnswer = null;
+
+    // an opponent's breakdown would give away whether their answer was right
+    const roundPoints = state.roundPoints || {};
+    view.roundPoints = seatMap(view, p => (solved || p.playerNumber === playerNumber ? roundPoints[p.playerNumber] || null : null));
+    view.history = (state.history || []).slice();
+    view.viewerPlayerNumber = playerNumber || null;
+    return view;
+  }
+
+  // Convenience: redacted view of a room's authoritative state for one seat
+  getPlayerView(roomId, playerNumber) {
+    return this.projectState(this.gameStates.get(roomId), playerNumber);
+  }
+
+  // Player selects a card by id (authoritative). Returns the state, or null
+  // when nothing changed (see selectCard for why).
   playerSelectCard(roomId, playerNumber, card) {
+    const result = this.selectCard(roomId, playerNumber, card);
+    return result.error ? null : result.state;
+  }
+
+  // Returns { state }, or an actionError when the selection was not applied
+  selectCard(roomId, playerNumber, card) {
     const state = this.gameStates.get(roomId);
-    if (!state) return null;
+    if (!state) return actionError(ErrorCodes.INVALID_STATE, 'No game in progress');
+    // seats that joined after the deal play from the next one
+    const seat = findSeat(state, playerNumber);
+    if (!seat) return actionError(ErrorCodes.INVALID_STATE, 'You are dealt in at the next deal');
     const room = this.rooms.get(roomId);
     // keep authoritative playersConnected flag up-to-date so clients can
     // reliably determine whether both players are present (used by /equation)
-    try { state.playersConnected = room ? room.players.size : 0; } catch (e) {}
+    try { state.playersConnected = this.countConnected(room); } catch (e) {}
     // If the room is currently transitioning to the next round (auto-next
     // scheduled) ignore new selections to avoid racing the nextRound transition.
-    if (room && room.transitioning) {
-      // return current state unchanged to callers so they can re-render
-      // authoritative state but avoid starting a new round prematurely.
-      return state;
-    }
+    if (room && room.transitioning) return actionError(ErrorCodes.INVALID_STATE, 'The next round is being dealt');
 
     // Use authoritative card objects from the server-side hand arrays.
     // Do not blindly accept client-provided card objects which may differ in identity/order.
-    if (playerNumber === 1) {
-      const found = state.player1Hand.find(c => c.id === card.id);
-      state.player1SelectedCard = found || null;
-    } else {
-      const found = state.player2Hand.find(c => c.id === card.id);
-      state.player2SelectedCard = found || null;
-    }
-
-    // If both selected, compute problem server-side
-    if (state.player1SelectedCard && state.player2SelectedCard) {
-      const a = state.player1SelectedCard.value;
-      const b = state.player2SelectedCard.value;
-      const correctAnswer = a * b;
-      const answerOptions = (() => {
-        const opts = new Set();
-        opts.add(correctAnswer);
-        while (opts.size < 4) {
-          const offset = Math.floor(Math.random() * 20) + 1;
-          const wrong = correctAnswer + (Math.random() > 0.5 ? offset : -offset);
-          opts.add(Math.max(1, wrong));
-        }
-        return Array.from(opts).sort(() => Math.random() - 0.5);
-      })();
-
-      state.currentProblem = { a, b };
-      state.correctAnswer = correctAnswer;
-      state.answerOptions = answerOptions;
-      state.roundInProgress = true;
-      state.problemSolved = false;
-      state.solvedBy = null;
-      // reset answered flags when a new problem starts
-      state.player1Answered = false;
-      state.player2Answered = false;
-      // clear any previously submitted answers when a fresh problem begins
-      state.submittedAnswers = { 1: null, 2: null };
-      // Set revealEquation flag so frontend unmasks equation/answers
-      state.revealEquation = true;
+    const found = card && seat.hand.find(c => c.id === card.id);
+    if (!found) return actionError(ErrorCodes.INVALID_PAYLOAD, 'That card is not in your hand', 'data.cardId');
+    seat.selectedCard = found;
+
+    // Once every seat has selected, compute the problem server-side
+    if (state.players.every(p => p.selectedCard)) {
+      this.revealProblem(roomId, state);
     } else {
-      // Mask equation/answers until both players have selected
+      // Mask equation/answers until every player has selected
       state.revealEquation = false;
     }
 
-    return state;
+    const entry = { playerNumber, cardId: seat.selectedCard ? seat.selectedCard.id : null };
+    if (state.revealEquation) Object.assign(entry, revealedProblemEntry(state));
+    this.logEvent(roomId, 'select', entry);
+    this.persistRoom(roomId);
+
+    return { state };
+  }
+
+  // Build the round's problem from the selected cards and start the round
+  revealProblem(roomId, state, now = Date.now()) {
+    const random = this.getGameRng(roomId);
+    const op = operations.pickOperation(state.operation, random);
+    const problemSeats = this.pickProblemSeats(state, op);
+    const { problem, correctAnswer } = operations.buildChainProblem(
+      problemSeats.map(n => findSeat(state, n).selectedCard.value), op
+    );
+    const answerOptions = buildAnswerOptions(problem, correctAnswer, { random });
+
+    state.currentProblem = problem;
+    state.problemSeats = problemSeats;
+    state.correctAnswer = correctAnswer;
+    state.answerOptions = answerOptions;
+    state.roundInProgress = true;
+    state.problemSolved = false;
+    state.solvedBy = null;
+    // reset answered flags and submitted answers when a fresh problem begins
+    for (const p of state.players) {
+      p.answered = false;
+      p.answer = null;
+    }
+    state.roundPoints = seatMap(state, () => null);
+    // Set revealEquation flag so frontend unmasks equation/answers
+    state.revealEquation = true;
+    // response times for statistics are measured from here
+    state.revealedAt = now;
+    state.roundDeadline = state.roundTimeLimitMs ? state.revealedAt + state.roundTimeLimitMs : null;
+  }
+
+  // Take a seat that left out of the running game, so the others do not wait
+  // for its card or answer forever. Only done while at least two seats stay in
+  // the game (a two-seat game keeps its seats for the final standings). If the
+  // seat was the one holding the round up, the problem is revealed or the round
+  // resolved. Returns 'dropped', 'revealed', 'resolved' or null (seat kept).
+  dropSeat(roomId, playerNumber, now = Date.now()) {
+    const state = this.gameStates.get(roomId);
+    if (!state || state.gameOver || !findSeat(state, playerNumber) || state.players.length <= 2) return null;
+    state.players = state.players.filter(p => p.playerNumber !== playerNumber);
+    for (const suffix of Object.keys(SEAT_ALIASES)) delete state[`player${playerNumber}${suffix}`];
+    if (state.roundPoints) delete state.roundPoints[playerNumber];
+    if (state.streaks) delete state.streaks[playerNumber];
+
+    let outcome = 'dropped';
+    const entry = { playerNumber, at: now };
+    if (!state.roundInProgress && state.players.every(p => p.selectedCard)) {
+      this.revealProblem(roomId, state, now);
+      Object.assign(entry, revealedProblemEntry(state));
+      outcome = 'revealed';
+    }
+    this.logEvent(roomId, 'dropSeat', entry);
+    if (state.roundInProgress && !state.problemSolved && state.players.every(p => p.answered)) {
+      this.resolveUnsolved(roomId, state, now);
+      outcome = 'resolved';
+    }
+    this.persistRoom(roomId);
+    return outcome;
+  }
+
+  // Seats whose cards make up this round's problem. Two seats always play both
+  // cards. With more seats, 'all' chains every card for multiply/add; 'pair'
+  // (and subtract/divide, which only work on two cards) rotates through
+  // neighbouring seats: 1+2, 2+3, 3+1, ...
+  pickProblemSeats(state, op) {
+    const seats = state.players.map(p => p.playerNumber);
+    if (seats.length <= 2) return seats;
+    if (state.problemCards !== 'pair' && operations.CHAIN_OPERATIONS.includes(op)) return seats;
+    // rounds played so far = cards already taken out of each hand
+    const round = Math.max(0, state.initialCards - state.players[0].hand.length);
+    return [seats[round % seats.length], seats[(round + 1) % seats.length]];
   }
 
   // Player submits an answer; server validates and updates scores
-  playerSubmitAnswer(roomId, playerNumber, answer) {
+  // `now` defaults to the wall clock; replays pass the logged time.
+  // Returns { state, isCorrect, timedOut? }, or null when nothing changed
+  // (see submitAnswer for why).
+  playerSubmitAnswer(roomId, playerNumber, answer, now = Date.now()) {
+    const result = this.submitAnswer(roomId, playerNumber, answer, now);
+    return result.error ? null : result;
+  }
+
+  // Returns { state, isCorrect, timedOut? }, or an actionError when the answer
+  // was not taken
+  submitAnswer(roomId, playerNumber, answer, now = Date.now()) {
     const state = this.gameStates.get(roomId);
-    if (!state) return null;
+    if (!state) return actionError(ErrorCodes.INVALID_STATE, 'No game in progress');
+    const seat = findSeat(state, playerNumber);
+    if (!seat) return actionError(ErrorCodes.INVALID_STATE, 'You are dealt in at the next deal');
     const room = this.rooms.get(roomId);
     // keep playersConnected current for authoritative replies
-    try { state.playersConnected = room ? room.players.size : 0; } catch (e) {}
-    if (!state.roundInProgress || state.problemSolved) return state;
+    try { state.playersConnected = this.countConnected(room); } catch (e) {}
+    if (!state.roundInProgress || state.problemSolved) return actionError(ErrorCodes.INVALID_STATE, 'No problem to answer');
+    // one answer per seat and round: a retry after a wrong answer must not score,
+    // be penalised again or be recorded twice. Nothing changed, so nothing to broadcast.
+    if (seat.answered) return actionError(ErrorCodes.INVALID_STATE, 'You already answered this round');
+    // the server enforces the deadline even if the timeout timer has not fired yet
+    if (state.roundDeadline && now >= state.roundDeadline) {
+      this.expireRound(roomId, now);
+      return { state, isCorrect: false, timedOut: true };
+    }
 
     const isCorrect = answer === state.correctAnswer;
+    this.logEvent(roomId, 'submit', { playerNumber, answer, isCorrect, at: now });
+    this.recordAttempt(roomId, state, playerNumber, answer, isCorrect, now);
+    const points = this.scoreAnswer(state, playerNumber, isCorrect, now);
 
-    // mark that this player has answered (do not expose their chosen answer to the other player)
-    if (playerNumber === 1) state.player1Answered = true;
-    else state.player2Answered = true;
-    // record the exact submitted answer value for deterministic client rendering
-    try {
-      if (!state.submittedAnswers) state.submittedAnswers = { 1: null, 2: null };
-      state.submittedAnswers[playerNumber] = answer;
-    } catch (err) {
-      // non-fatal; do not block normal flow if submittedAnswers structure is unexpected
-    }
+    // mark that this player has answered and keep the exact value for
+    // deterministic client rendering (projectState hides it from opponents)
+    seat.answered = true;
+    seat.answer = answer;
 
     if (isCorrect) {
-      // correct: award point, mark solved
-      if (playerNumber === 1) state.player1Score += 1;
-      else state.player2Score += 1;
+      // correct: award the policy's points, mark solved
+      seat.score += points.total;
       state.problemSolved = true;
       state.solvedBy = playerNumber;
+      state.roundDeadline = null;
+      const solvedAt = now;
       // record history entry
       try {
         state.history.push({
           a: state.currentProblem && state.currentProblem.a,
           b: state.currentProblem && state.currentProblem.b,
+          op: state.currentProblem && state.currentProblem.op,
           correctAnswer: state.correctAnswer,
           solvedBy: playerNumber,
-          timestamp: Date.now(),
+          points: this.roundPointsSnapshot(state),
+          timestamp: solvedAt,
         });
       } catch (err) {
         // ignore history push errors
       }
+      this.logEvent(roomId, 'solve', { solvedBy: playerNumber, correctAnswer: state.correctAnswer, at: solvedAt });
+      this.persistRoom(roomId);
       return { state, isCorrect };
     }
 
-    // wrong answer: if the other player already answered and also wrong, conclude the problem (no points)
-    const otherAnswered = playerNumber === 1 ? state.player2Answered : state.player1Answered;
-    if (otherAnswered) {
-      // both have answered (and since we are here, both wrong) -> reveal correct answer but no score
-      state.problemSolved = true;
-      state.solvedBy = null;
-      // record history entry for both-wrong
-      try {
-        state.history.push({
-          a: state.currentProblem && state.currentProblem.a,
-          b: state.currentProblem && state.currentProblem.b,
-          correctAnswer: state.correctAnswer,
-          solvedBy: null,
-          timestamp: Date.now(),
-        });
-      } catch (err) {}
+    // wrong answer: if everyone else already answered (and was wrong too), conclude the problem (no points)
+    if (state.players.every(p => p.answered)) {
+      this.resolveUnsolved(roomId, state, now);
+      this.persistRoom(roomId);
       return { state, isCorrect };
     }
 
-    // Otherwise, only mark that this player has answered; wait for the other player to answer.
+    // Otherwise, only mark that this player has answered; wait for the other players to answer.
+    this.persistRoom(roomId);
     return { state, isCorrect };
   }
 
+  // Round time limit ran out: resolve the round as "nobody solved" and record it.
+  // Returns the state, or null when there is no running round past its deadline
+  // (e.g. a stale timer after someone answered).
+  expireRound(roomId, now = Date.now()) {
+    const state = this.gameStates.get(roomId);
+    if (!state || !state.roundInProgress || state.problemSolved) return null;
+    if (!state.roundDeadline || now < state.roundDeadline) return null;
+    state.problemSolved = true;
+    state.solvedBy = null;
+    state.roundDeadline = null;
+    // nobody answered correctly in time: every streak ends
+    state.streaks = seatMap(state, () => 0);
+    try {
+      state.history.push({
+        a: state.currentProblem && state.currentProblem.a,
+        b: state.currentProblem && state.currentProblem.b,
+        op: state.currentProblem && state.currentProblem.op,
+        correctAnswer: state.correctAnswer,
+        solvedBy: null,
+        timedOut: true,
+        points: this.roundPointsSnapshot(state),
+        timestamp: now,
+      });
+    } catch (err) {}
+    this.logEvent(roomId, 'timeout', { correctAnswer: state.correctAnswer, at: now });
+    this.persistRoom(roomId);
+    return state;
+  }
+
+  // Apply the room's scoring policy to one answer: updates streaks and, for a
+  // wrong answer, takes off the penalty. The caller adds a correct answer's
+  // total to the score. Returns the breakdown stored in state.roundPoints.
+  scoreAnswer(state, playerNumber, isCorrect, now = Date.now()) {
+    const policy = state.scoring || scoring.normalizeScoring();
+    if (!state.streaks) state.streaks = seatMap(state, () => 0);
+    if (!state.roundPoints) state.roundPoints = seatMap(state, () => null);
+    const elapsedMs = state.revealedAt ? Math.max(0, now - state.revealedAt) : null;
+    const seat = findSeat(state, playerNumber);
+    let points;
+    if (isCorrect) {
+      const streak = (state.streaks[playerNumber] || 0) + 1;
+      points = scoring.scoreCorrect(policy, { elapsedMs, streak });
+      // winning a round breaks every other seat's streak
+      for (const seat of Object.keys(state.streaks)) state.streaks[seat] = 0;
+      state.streaks[playerNumber] = streak;
+    } else {
+      points = scoring.scoreWrong(policy, { elapsedMs, currentScore: seat.score });
+      seat.score -= points.penalty;
+      state.streaks[playerNumber] = 0;
+    }
+    state.roundPoints[playerNumber] = points;
+    return points;
+  }
+
+  // Copy of the current round's per-seat breakdown for the history entry
+  roundPointsSnapshot(state) {
+    const out = {};
+    for (const [seat, points] of Object.entries(state.roundPoints || {})) {
+      out[seat] = points ? Object.assign({}, points) : null;
+    }
+    return out;
+  }
+
+  // Accept a time limit in ms; anything not a positive number disables it
+  normalizeRoundTimeLimit(ms) {
+    return typeof ms === 'number' && Number.isFinite(ms) && ms > 0 ? Math.round(ms) : null;
+  }
+
+  // Feed a resolved answer into the submitting player's statistics
+  recordAttempt(roomId, state, playerNumber, answer, isCorrect, now = Date.now()) {
+    try {
+      const player = this.findPlayerByNumber(this.rooms.get(roomId), playerNumber);
+      const problem = state.currentProblem;
+      if (!player || player.bot || !player.profileId || !problem) return;
+      const cards = (state.problemSeats || [])
+        .map(n => findSeat(state, n))
+        .filter(p => p && p.selectedCard)
+        .map(p => p.selectedCard.value);
+      this.stats.recordAttempt(player.profileId, {
+        a: problem.a,
+        b: problem.b,
+        op: problem.op,
+        operands: problem.operands,
+        cards,
+        answer,
+        correctAnswer: state.correctAnswer,
+        correct: isCorrect,
+        responseMs: state.revealedAt ? now - state.revealedAt : null,
+        roomId,
+      });
+    } catch (err) {
+      console.error(`recordAttempt failed for room ${roomId}`, err);
+    }
+  }
+
+  // Everyone has answered and nobody was right -> reveal the correct answer but no score
+  resolveUnsolved(roomId, state, now = Date.now()) {
+    state.problemSolved = true;
+    state.solvedBy = null;
+    state.roundDeadline = null;
+    const solvedAt = now;
+    // record history entry for all-wrong
+    try {
+      state.history.push({
+        a: state.currentProblem && state.currentProblem.a,
+        b: state.currentProblem && state.currentProblem.b,
+        op: state.currentProblem && state.currentProblem.op,
+        correctAnswer: state.correctAnswer,
+        solvedBy: null,
+        points: this.roundPointsSnapshot(state),
+        timestamp: solvedAt,
+      });
+    } catch (err) {}
+    this.logEvent(roomId, 'solve', { solvedBy: null, correctAnswer: state.correctAnswer, at: solvedAt });
+  }
+
   // Advance to next round: remove selected cards, reset selections/problems
   nextRound(roomId) {
     const state = this.gameStates.get(roomId);
     if (!state) return null;
+    const wasGameOver = !!state.gameOver;
 
-    if (state.player1SelectedCard) {
-      state.player1Hand = state.player1Hand.filter(c => c.id !== state.player1SelectedCard.id);
-    }
-    if (state.player2SelectedCard) {
-      state.player2Hand = state.player2Hand.filter(c => c.id !== state.player2SelectedCard.id);
+    for (const p of state.players) {
+      if (p.selectedCard) p.hand = p.hand.filter(c => c.id !== p.selectedCard.id);
     }
 
-    const gameOver = state.player1Hand.length === 0 || state.player2Hand.length === 0;
+    const gameOver = state.players.some(p => p.hand.length === 0);
     state.gameOver = gameOver;
+    if (!gameOver) state.round = (state.round || 1) + 1;
+    const room = this.rooms.get(roomId);
+    if (room) {
+      room.roundSeq = (room.roundSeq || 0) + 1;
+      state.roundSeq = room.roundSeq;
+    }
     if (gameOver) {
-      if (state.player1Score > state.player2Score) state.winner = 'player1';
-      else if (state.player2Score > state.player1Score) state.winner = 'player2';
-      else state.winner = null;
+      const top = Math.max(...state.players.map(p => p.score));
+      state.winners = state.players.filter(p => p.score === top).map(p => p.playerNumber);
+      state.winner = state.winners.length === 1 ? `player${state.winners[0]}` : null;
     }
 
-    state.player1SelectedCard = null;
-    state.player2SelectedCard = null;
-  state.player1Answered = false;
-  state.player2Answered = false;
-    // clear submitted answers between rounds
-    state.submittedAnswers = { 1: null, 2: null };
+    // clear selections and submitted answers between rounds
+    for (const p of state.players) {
+      p.selectedCard = null;
+      p.answered = false;
+      p.answer = null;
+    }
     state.currentProblem = null;
+    state.problemSeats = [];
+    state.roundPoints = seatMap(state, () => null);
+    state.revealedAt = null;
+    state.roundDeadline = null;
     state.answerOptions = [];
     state.correctAnswer = 0;
     state.problemSolved = false;
@@ -387,16 +1081,28 @@ class RoomManager {
     // authoritative state and clients may safely advance their local views.
     try { state.advanceClients = true; } catch (e) {}
     try {
-      const room = this.rooms.get(roomId);
-      state.playersConnected = room ? room.players.size : 0;
+      state.playersConnected = this.countConnected(room);
     } catch (e) {}
 
-    console.log(`nextRound for room ${roomId}: p1=${state.player1Hand.length} p2=${state.player2Hand.length} gameOver=${state.gameOver}`);
+    this.logEvent(roomId, 'nextRound', { gameOver: state.gameOver, winner: state.winner, winners: state.winners });
+    if (state.gameOver && !wasGameOver) {
+      this.archiveGame(roomId);
+      for (const listener of this.gameOverListeners) {
+        try {
+          listener(roomId, state);
+        } catch (err) {
+          console.error(`gameOver listener failed for room ${roomId}`, err);
+        }
+      }
+    }
+    this.persistRoom(roomId);
+    console.log(`nextRound for room ${roomId}: ${state.players.map(p => `p${p.playerNumber}=${p.hand.length}`).join(' ')} gameOver=${state.gameOver}`);
     return state;
   }
 
   resetGameState(roomId) {
     // Reset authoritative state and ensure control flags are explicit
+    this.logEvent(roomId, 'reset');
     this.gameStates.delete(roomId);
     const s = this.initGameState(roomId);
     try {
@@ -408,6 +1114,28 @@ class RoomManager {
     return s;
   }
 
+  // Remove a seat on a host's request. Returns { roomId, player, remaining, seatDropped } or { error }.
+  kickPlayer(roomId, playerNumber) {
+    const room = this.rooms.get(roomId);
+    if (!room) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 'roomId');
+    const player = this.findPlayerByNumber(room, playerNumber);
+    if (!player) return actionError(ErrorCodes.NOT_FOUND, 'Player not found', 'playerNumber');
+    this.logEvent(roomId, 'kick', { playerNumber });
+    const left = this.leaveRoomBySocket(player.socketId);
+    return { roomId, player, remaining: left ? left.remaining : room.players.size, seatDropped: left ? left.seatDropped : null };
+  }
+
+  // Shut a room down right away (host action), game and all. Returns the
+  // players and spectator socket ids that were in it, or null.
+  closeRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    const players = Array.from(room.players.values());
+    const spectators = Array.from(this.getSpectators(room).keys());
+    this.deleteRoom(roomId, 'closed');
+    return { roomId, players, spectators };
+  }
+
   leaveRoomBySocket(socketId) {
     for (const [roomId, room] of this.rooms.entries()) {
       if (room.players.has(socketId)) {
@@ -415,34 +1143,138 @@ class RoomManager {
         const player = room.players.get(socketId);
         if (player) player.status = 'left';
         room.players.delete(socketId);
+        this.logEvent(roomId, 'leave', { playerNumber: player && player.playerNumber });
+        // a seat leaving a game of three or more is taken out of it (see dropSeat)
+        const seatDropped = player && this.countHumans(room) > 0 ? this.dropSeat(roomId, player.playerNumber) : null;
+        // bots never stay behind on their own
+        if (this.countHumans(room) === 0) {
+          for (const [botSocketId, p] of Array.from(room.players.entries())) {
+            room.players.delete(botSocketId);
+            this.logEvent(roomId, 'leave', { playerNumber: p.playerNumber, bot: p.bot });
+          }
+        }
         const remaining = room.players.size;
         if (remaining === 0) {
-          // No players remain — immediately remove the room so it doesn't linger.
-          // Also remove any authoritative game state for this room.
-          try {
-            this.rooms.delete(roomId);
-          } catch (e) { /* ignore deletion errors */ }
-          try { this.gameStates.delete(roomId); } catch (e) { /* ignore */ }
-          return { roomId, deleted: true, remaining };
+          // No players remain — keep the room around and let garbageCollectRooms
+          // remove it (and its authoritative game state) once roomTTLMs elapses.
+          room.lastEmptyAt = Date.now();
+          this.persistRoom(roomId);
+          return { roomId, deleted: false, remaining, playerNumber: player && player.playerNumber };
         }
         // When there are remaining players, ensure lastEmptyAt is cleared
         if (room.lastEmptyAt) delete room.lastEmptyAt;
-        return { roomId, deleted: false, remaining };
+        this.persistRoom(roomId);
+        return { roomId, deleted: false, remaining, playerNumber: player && player.playerNumber, seatDropped };
       }
     }
     return null;
   }
 
-  // Allow updating a player's status inside a room (e.g., 'lobby' | 'in-game' | 'left')
+  // Socket dropped without an explicit leave: hold the seat (hand, score, playerNumber)
+  // with status 'disconnected' so the client can resumeSession within reconnectGraceMs.
+  disconnectSocket(socketId) {
+    const found = this.findRoomBySocket(socketId);
+    if (!found) return null;
+    const { roomId, room, player } = found;
+    if (player.status !== 'disconnected') player.statusBeforeDisconnect = player.status || 'lobby';
+    player.status = 'disconnected';
+    player.disconnectedAt = Date.now();
+    this.logEvent(roomId, 'disconnect', { playerNumber: player.playerNumber });
+    this.persistRoom(roomId);
+    const state = this.gameStates.get(roomId);
+    if (state) state.playersConnected = this.countConnected(room);
+    return {
+      roomId,
+      playerNumber: player.playerNumber,
+      resumeToken: player.resumeToken,
+      connected: this.countConnected(room),
+      humansConnected: this.countHumans(room, { connectedOnly: true }),
+      graceMs: this.reconnectGraceMs,
+    };
+  }
+
+  // Rebind the seat identified by resumeToken to a new socket. Returns the same
+  // shape as createRoom/joinRoom plus the authoritative game state (if any).
+  resumeSession(resumeToken, socketId) {
+    if (!resumeToken) return actionError(ErrorCodes.INVALID_PAYLOAD, 'resumeToken is required', 'resumeToken');
+    for (const [roomId, room] of this.rooms.entries()) {
+      for (const [oldSocketId, player] of room.players.entries()) {
+        if (player.resumeToken !== resumeToken) continue;
+        // only a held seat can be resumed: a leaked token must not take the
+        // seat of a player who is still connected
+        if (oldSocketId !== socketId && player.status !== 'disconnected') {
+          return actionError(ErrorCodes.INVALID_STATE, 'Seat is still connected', 'resumeToken');
+        }
+
+        // a spectator taking its seat back stops spectating
+        const stoppedSpectating = this.stopSpectating(socketId);
+        // Re-key the player under the new socket id
+        room.players.delete(oldSocketId);
+        player.socketId = socketId;
+        player.status = player.status === 'disconnected'
+          ? (player.statusBeforeDisconnect || 'lobby')
+          : player.status;
+        delete player.statusBeforeDisconnect;
+        delete player.disconnectedAt;
+        room.players.set(socketId, player);
+        room.lastActivity = Date.now();
+        if (room.lastEmptyAt) delete room.lastEmptyAt;
+
+        const state = this.gameStates.get(roomId) || null;
+        if (state) state.playersConnected = this.countConnected(room);
+        this.logEvent(roomId, 'resume', { playerNumber: player.playerNumber });
+        this.persistRoom(roomId);
+
+        const response = {
+          roomId,
+          roomName: room.name,
+          playerId: player.playerId,
+          playerNumber: player.playerNumber,
+          otherPlayerConnected: this.countConnected(room) > 1,
+          resumeToken,
+          profileId: player.profileId,
+          resumed: true,
+        };
+        return { room, player, previousSocketId: oldSocketId, response, state, stoppedSpectating };
+      }
+    }
+    return actionError(ErrorCodes.NOT_FOUND, 'Session not found', 'resumeToken');
+  }
+
+  // Remove seats whose grace period has run out. Returns [{ roomId, playerNumber, remaining, seatDropped }].
+  expireDisconnectedPlayers(now = Date.now()) {
+    const expired = [];
+    for (const [roomId, room] of this.rooms.entries()) {
+      for (const [socketId, player] of Array.from(room.players.entries())) {
+        if (player.status !== 'disconnected') continue;
+        if (now - (player.disconnectedAt || 0) < this.reconnectGraceMs) continue;
+        const left = this.leaveRoomBySocket(socketId);
+        if (left) expired.push({ roomId, playerNumber: player.playerNumber, remaining: left.remaining, seatDropped: left.seatDropped });
+      }
+    }
+    return expired;
+  }
+
+  // Allow updating a player's status inside a room (e.g., 'lobby' | 'in-game' | 'disconnected' | 'left')
   setPlayerStatus(roomId, socketId, status) {
     const room = this.rooms.get(roomId);
     if (!room) return false;
     const p = room.players.get(socketId);
     if (!p) return false;
     p.status = status;
+    this.persistRoom(roomId);
     return true;
   }
 
+  // Rooms the socket holds a seat in
+  countRoomsBySocket(socketId) {
+    let count = 0;
+    for (const room of this.rooms.values()) {
+      if (room.players.has(socketId)) count++;
+    }
+    return count;
+  }
+
   findRoomBySocket(socketId) {
     for (const [roomId, room] of this.rooms.entries()) {
       if (room.players.has(socketId)) {
@@ -452,6 +1284,43 @@ class RoomManager {
     return null;
   }
 
+  // Resolve the authoritative seat for a game action sent by socketId.
+  // Clients must not be trusted with their own playerNumber: if the payload
+  // claims one it has to match the seat bound to the socket, and the socket
+  // has to be seated in the room the action targets.
+  authorizeAction(socketId, roomId, claimedPlayerNumber) {
+    const found = this.findRoomBySocket(socketId);
+    if (!found || (roomId && found.roomId !== roomId)) {
+      if (roomId && !this.rooms.has(roomId)) return actionError(ErrorCodes.ROOM_NOT_FOUND, 'Room not found', 'roomId');
+      if (roomId && this.isSpectator(roomId, socketId)) return actionError(ErrorCodes.SPECTATOR, 'Spectators cannot send game actions', 'roomId');
+      return actionError(ErrorCodes.NOT_IN_ROOM, 'Not a player in this room', 'roomId');
+    }
+    const { player } = found;
+    if (claimedPlayerNumber !== undefined && claimedPlayerNumber !== null && claimedPlayerNumber !== player.playerNumber) {
+      return actionError(ErrorCodes.PLAYER_MISMATCH, 'playerNumber does not match your seat', 'playerNumber');
+    }
+    return { roomId: found.roomId, room: found.room, player, playerNumber: player.playerNumber };
+  }
+
+  // Reject a game action made against a round the room has left (a retried or
+  // late nextRound must not skip the round everyone is on). The action's
+  // `roundSeq` and `round` are optional unless options.required is set.
+  // Returns null, an INVALID_PAYLOAD error (required but missing) or a STALE_ACTION error.
+  checkActionRound(roomId, { round, roundSeq } = {}, options = {}) {
+    const state = this.gameStates.get(roomId);
+    if (!state) return null;
+    if (options.required && typeof roundSeq !== 'number' && typeof round !== 'number') {
+      return actionError(ErrorCodes.INVALID_PAYLOAD, 'roundSeq (or round) is required', 'roundSeq');
+    }
+    if (typeof roundSeq === 'number' && typeof state.roundSeq === 'number' && roundSeq !== state.roundSeq) {
+      return actionError(ErrorCodes.STALE_ACTION, `Action was made against roundSeq ${roundSeq}, the room is on ${state.roundSeq}`, 'roundSeq');
+    }
+    if (typeof round === 'number' && typeof state.round === 'number' && round !== state.round) {
+      return actionError(ErrorCodes.STALE_ACTION, `Action was made against round ${round}, the game is on round ${state.round}`, 'round');
+    }
+    return null;
+  }
+
   getRoom(roomId) {
     return this.rooms.get(roomId) || null;
   }
@@ -470,17 +1339,126 @@ class RoomManager {
         roomId,
         name: room.name || null,
         players: room.players.size,
+        spectators: room.spectators ? room.spectators.size : 0,
+        maxPlayers: room.maxPlayers || DEFAULT_MAX_PLAYERS,
         playersPresent: present,
         playersStatus: statuses,
         lastEmptyAt: room.lastEmptyAt || null,
         difficulty: room.difficulty || 'easy',
         initialCards: room.initialCards || null,
-        options: room.options || { difficulty: room.difficulty || 'easy', initialCards: room.initialCards || null }
+        operation: room.operation || operations.DEFAULT_OPERATION,
+        roundTimeLimitMs: room.roundTimeLimitMs || null,
+        scoring: room.scoring || scoring.normalizeScoring(),
+        problemCards: room.problemCards || 'all',
+        seed: room.seed || null,
+        options: room.options || this.roomOptions(room),
       });
     }
     return out;
   }
 
+  // Serializable snapshot of everything needed to bring a room back after a restart
+  snapshotRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return null;
+    const meta = Object.assign({}, room);
+    delete meta.players;
+    // transient: spectator sockets, pending auto-next timers and the outbound
+    // message counter (clients renumber on their new connection) do not survive a restart
+    delete meta.spectators;
+    delete meta.transitioning;
+    delete meta.messageSeq;
+    return {
+      roomId,
+      savedAt: Date.now(),
+      room: meta,
+      players: Array.from(room.players.values()).map(p => Object.assign({}, p)),
+      state: this.gameStates.get(roomId) || null,
+      events: this.eventLogs.get(roomId) || [],
+    };
+  }
+
+  // Push the room's current snapshot to the store (or remove it if the room is gone)
+  persistRoom(roomId) {
+    try {
+      const snapshot = this.snapshotRoom(roomId);
+      if (snapshot) this.store.saveRoom(snapshot);
+      else this.store.deleteRoom(roomId);
+    } catch (err) {
+      console.error(`persistRoom failed for room ${roomId}`, err);
+    }
+  }
+
+  // Record a finished game with the store
+  archiveGame(roomId) {
+    const room = this.rooms.get(roomId);
+    const state = this.gameStates.get(roomId);
+    if (!room || !state) return;
+    try {
+      this.store.archiveGame({
+        roomId,
+        roomName: room.name || null,
+        seed: state.seed,
+        difficulty: state.difficulty,
+        initialCards: state.initialCards,
+        operation: state.operation,
+        scoring: state.scoring || null,
+        finishedAt: Date.now(),
+        players: Array.from(room.players.values()).map(p => ({ playerNumber: p.playerNumber, playerId: p.playerId })),
+        scores: seatMap(state, p => p.score),
+        winner: state.winner,
+        winners: state.winners || [],
+        history: state.history.slice(),
+      });
+    } catch (err) {
+      console.error(`archiveGame failed for room ${roomId}`, err);
+    }
+  }
+
+  // Load room snapshots from the store (call once on boot). All sockets are
+  // gone after a restart, so every seat (except bots) comes back 'disconnected'
+  // and can be reclaimed with resumeSession within reconnectGraceMs.
+  restoreRooms(now = Date.now()) {
+    const restored = [];
+    for (const stored of this.store.loadRooms()) {
+      if (!stored || !stored.room || this.rooms.has(stored.roomId)) continue;
+      // never share objects with the store's own copy
+      const snap = JSON.parse(JSON.stringify(stored));
+      const room = Object.assign({}, snap.room, { players: new Map(), spectators: new Map() });
+      for (const p of snap.players || []) {
+        const player = Object.assign({}, p);
+        // bots have no socket to lose; the server re-attaches them on startup
+        if (player.bot) {
+          room.players.set(player.socketId, player);
+          continue;
+        }
+        if (player.status !== 'disconnected') player.statusBeforeDisconnect = player.status || 'lobby';
+        player.status = 'disconnected';
+        player.disconnectedAt = now;
+        room.players.set(player.socketId, player);
+      }
+      if (room.players.size === 0 && !room.lastEmptyAt) room.lastEmptyAt = now;
+      this.rooms.set(snap.roomId, room);
+      if (snap.state) {
+        snap.state.playersConnected = this.countConnected(room);
+        this.gameStates.set(snap.roomId, defineSeatAliases(upgradeLegacyState(snap.state)));
+      }
+      this.eventLogs.set(snap.roomId, (snap.events || []).slice());
+      restored.push(snap.roomId);
+    }
+    return restored;
+  }
+
+  // Forget a room with its game state, RNG, event log and stored snapshot
+  deleteRoom(roomId, reason) {
+    this.rooms.delete(roomId);
+    this.gameStates.delete(roomId);
+    this.gameRngs.delete(roomId);
+    this.eventLogs.delete(roomId);
+    this.store.deleteRoom(roomId);
+    this.notifyRoomEvent(roomId, { type: 'removed', at: Date.now(), reason });
+  }
+
   // Garbage-collect rooms that have been empty longer than roomTTLMs
   garbageCollectRooms() {
     const now = Date.now();
@@ -488,8 +1466,7 @@ class RoomManager {
     for (const [roomId, room] of this.rooms.entries()) {
       if (room.players.size === 0 && room.lastEmptyAt) {
         if (now - room.lastEmptyAt > this.roomTTLMs) {
-          this.rooms.delete(roomId);
-          this.gameStates.delete(roomId);
+          this.deleteRoom(roomId, 'collected');
           removed.push(roomId);
         }
       }
@@ -498,4 +1475,9 @@ class RoomManager {
   }
 }
 
+RoomManager.DIFFICULTIES = Object.keys(DIFFICULTY_CARDS);
+RoomManager.MIN_PLAYERS = MIN_PLAYERS;
+RoomManager.MAX_PLAYERS = MAX_PLAYERS;
+RoomManager.PROBLEM_CARDS = PROBLEM_CARDS;
+
 module.exports = RoomManager;
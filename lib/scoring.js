@@ -0,0 +1,104 @@
+// Room scoring policies.
+//
+// A policy is a plain object stored on the room (room.scoring) and copied into
+// the game state (state.scoring):
+//   mode          'flat' (fixed points) or 'speed' (points decay with time since the reveal)
+//   points        points for a correct answer ('flat'), or the maximum at the reveal ('speed')
+//   minPoints     'speed' only: points once decayMs has passed
+//   decayMs       'speed' only: how long the points take to fall from points to minPoints
+//   streakStep    extra multiplier per consecutive correct answer (0 = no streak bonus)
+//   streakMax     cap for the streak multiplier
+//   wrongPenalty  points taken off for a wrong answer (scores never go below 0)
+// The default policy is the original behaviour: +1 for a correct answer, nothing else.
+
+const MODES = ['flat', 'speed'];
+
+const DEFAULTS = {
+  flat: { mode: 'flat', points: 1, minPoints: 1, decayMs: 10000, streakStep: 0, streakMax: 1, wrongPenalty: 0 },
+  speed: { mode: 'speed', points: 10, minPoints: 1, decayMs: 10000, streakStep: 0, streakMax: 1, wrongPenalty: 0 },
+};
+
+function isNonNegative(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n >= 0;
+}
+
+// Fill a (partial) policy from its mode's defaults.
+// Accepts undefined/null (default policy), a mode name or an object.
+// Returns null when the input is not a valid policy.
+function normalizeScoring(input) {
+  if (input === undefined || input === null) return Object.assign({}, DEFAULTS.flat);
+  const raw = typeof input === 'string' ? { mode: input } : input;
+  if (typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const mode = raw.mode === undefined ? 'flat' : raw.mode;
+  if (!MODES.includes(mode)) return null;
+
+  const policy = Object.assign({}, DEFAULTS[mode]);
+  for (const key of ['points', 'minPoints', 'decayMs', 'streakStep', 'wrongPenalty']) {
+    if (raw[key] === undefined) continue;
+    if (!isNonNegative(raw[key])) return null;
+    policy[key] = raw[key];
+  }
+  if (raw.streakMax !== undefined) {
+    if (!isNonNegative(raw.streakMax) || raw.streakMax < 1) return null;
+    policy.streakMax = raw.streakMax;
+  } else if (policy.streakStep > 0) {
+    // a streak bonus without an explicit cap tops out at 3x
+    policy.streakMax = 3;
+  }
+  if (policy.minPoints > policy.points) policy.minPoints = policy.points;
+  if (policy.decayMs === 0) policy.decayMs = DEFAULTS.speed.decayMs;
+  return policy;
+}
+
+// Multiplier for the streak-th consecutive correct answer (streak >= 1)
+function streakMultiplier(policy, streak) {
+  const m = 1 + policy.streakStep * Math.max(0, streak - 1);
+  return Math.min(policy.streakMax, m);
+}
+
+// Points before the streak multiplier; elapsedMs is the time since the reveal
+function basePoints(policy, elapsedMs) {
+  if (policy.mode !== 'speed') return policy.points;
+  const t = Math.min(1, Math.max(0, (elapsedMs || 0) / policy.decayMs));
+  return Math.round(policy.points - (policy.points - policy.minPoints) * t);
+}
+
+// Breakdown for a correct answer: { correct, elapsedMs, base, streak, multiplier, penalty, total }.
+// `streak` counts this answer (1 = first in a row).
+function scoreCorrect(policy, { elapsedMs = null, streak = 1 } = {}) {
+  const base = basePoints(policy, elapsedMs);
+  const multiplier = streakMultiplier(policy, streak);
+  return {
+    correct: true,
+    elapsedMs,
+    base,
+    streak,
+    multiplier,
+    penalty: 0,
+    total: Math.round(base * multiplier),
+  };
+}
+
+// Breakdown for a wrong answer. `currentScore` caps the penalty so scores stay >= 0.
+function scoreWrong(policy, { elapsedMs = null, currentScore = 0 } = {}) {
+  const penalty = Math.min(policy.wrongPenalty, Math.max(0, currentScore));
+  return {
+    correct: false,
+    elapsedMs,
+    base: 0,
+    streak: 0,
+    multiplier: 1,
+    penalty,
+    total: -penalty,
+  };
+}
+
+module.exports = {
+  MODES,
+  DEFAULTS,
+  normalizeScoring,
+  streakMultiplier,
+  basePoints,
+  scoreCorrect,
+  scoreWrong,
+};
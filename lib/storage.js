@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage adapters behind RoomManager. Both implement:
+//
+//   saveRoom(snapshot)   snapshot of an active room (see RoomManager.snapshotRoom)
+//   deleteRoom(roomId)
+//   loadRooms()          -> Array<snapshot>, used once on boot to restore rooms
+//   archiveGame(record)  a finished game (scores, winner, history)
+//   listGames()          -> Array<record>
+//   saveStats(profile)   per-player answer statistics (see lib/playerStats.js)
+//   loadStats()          -> Array<profile>
+//   deleteStats(profileId)  a profile PlayerStats evicted
+//   flush()              write anything pending (call before exiting)
+//
+// Calls are synchronous so RoomManager stays synchronous; FileStore batches
+// the actual disk writes.
+
+// Default: keep everything in process memory only (rooms are lost on restart)
+class MemoryStore {
+  constructor(options = {}) {
+    this.maxGames = options.maxGames || 500;
+    this.games = [];
+  }
+
+  // RoomManager's own maps are the source of truth; nothing to copy
+  saveRoom() {}
+
+  deleteRoom() {}
+
+  loadRooms() {
+    return [];
+  }
+
+  archiveGame(record) {
+    this.games.push(record);
+    if (this.games.length > this.maxGames) this.games.shift();
+  }
+
+  listGames() {
+    return this.games.slice();
+  }
+
+  // PlayerStats keeps its own in-memory profiles
+  saveStats() {}
+
+  loadStats() {
+    return [];
+  }
+
+  deleteStats() {}
+
+  flush() {}
+}
+
+// JSON files in `dir`: rooms.json holds snapshots of active rooms and
+// stats.json player statistics (both rewritten at most every flushDelayMs),
+// games.jsonl gets one line per finished game.
+//
+// Rooms are saved on every action, so saveRoom only remembers the latest
+// snapshot; it is serialized once, at the next flush, however many actions
+// came in between. Rooms that did not change keep their serialized form.
+class FileStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'data');
+    this.flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 500;
+    this.roomsFile = path.join(this.dir, 'rooms.json');
+    this.gamesFile = path.join(this.dir, 'games.jsonl');
+    this.statsFile = path.join(this.dir, 'stats.json');
+    // Map<roomId, JSON string> as written to rooms.json
+    this.roomJson = new Map();
+    // Map<roomId, snapshot> saved since the last flush
+    this.pendingRooms = new Map();
+    this.stats = {};
+    this.dirty = { rooms: false, stats: false };
+    this.flushTimer = null;
+    fs.mkdirSync(this.dir, { recursive: true });
+    for (const [roomId, snapshot] of Object.entries(this.readJson(this.roomsFile, 'rooms'))) {
+      this.roomJson.set(roomId, JSON.stringify(snapshot));
+    }
+    this.stats = this.readJson(this.statsFile, 'profiles');
+  }
+
+  readJson(file, key) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return raw && raw[key] ? raw[key] : {};
+    } catch (err) {
+      // missing or unreadable file: start empty
+      if (err.code !== 'ENOENT') console.error(`FileStore: could not read ${file}`, err.message);
+      return {};
+    }
+  }
+
+  writeJson(file, body) {
+    this.writeText(file, JSON.stringify(body));
+  }
+
+  writeText(file, text) {
+    // write then rename so a crash mid-write never leaves a truncated file
+    const tmp = file + '.tmp';
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, file);
+  }
+
+  saveRoom(snapshot) {
+    // the snapshot shares the room's live state and event log: a later save
+    // replaces it and the flush writes whatever is current then
+    this.pendingRooms.set(snapshot.roomId, snapshot);
+    this.dirty.rooms = true;
+    this.scheduleFlush();
+  }
+
+  deleteRoom(roomId) {
+    if (!this.roomJson.has(roomId) && !this.pendingRooms.has(roomId)) return;
+    this.roomJson.delete(roomId);
+    this.pendingRooms.delete(roomId);
+    this.dirty.rooms = true;
+    this.scheduleFlush();
+  }
+
+  loadRooms() {
+    this.serializeRooms();
+    return Array.from(this.roomJson.values()).map(json => JSON.parse(json));
+  }
+
+  // Serialize the rooms saved since the last flush
+  serializeRooms() {
+    for (const [roomId, snapshot] of this.pendingRooms.entries()) this.roomJson.set(roomId, JSON.stringify(snapshot));
+    this.pendingRooms.clear();
+  }
+
+  // rooms.json from the serialized rooms, without parsing them again
+  writeRooms() {
+    this.serializeRooms();
+    const rooms = Array.from(this.roomJson.entries()).map(([roomId, json]) => `${JSON.stringify(roomId)}:${json}`);
+    this.writeText(this.roomsFile, `{"savedAt":${Date.now()},"rooms":{${rooms.join(',')}}}`);
+  }
+
+  archiveGame(record) {
+    try {
+      fs.appendFileSync(this.gamesFile, JSON.stringify(record) + '\n');
+    } catch (err) {
+      console.error('FileStore: archiveGame failed', err.message);
+    }
+  }
+
+  listGames() {
+    try {
+      return fs.readFileSync(this.gamesFile, 'utf8').split('\n').filter(Boolean).map(l => JSON.parse(l));
+    } catch (err) {
+      return [];
+    }
+  }
+
+  saveStats(profile) {
+    this.stats[profile.profileId] = JSON.parse(JSON.stringify(profile));
+    this.dirty.stats = true;
+    this.scheduleFlush();
+  }
+
+  loadStats() {
+    return Object.values(this.stats);
+  }
+
+  deleteStats(profileId) {
+    if (!this.stats[profileId]) return;
+    delete this.stats[profileId];
+    this.dirty.stats = true;
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    // never keep the process alive just to write a snapshot
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    try {
+      if (this.dirty.rooms) this.writeRooms();
+      if (this.dirty.stats) this.writeJson(this.statsFile, { savedAt: Date.now(), profiles: this.stats });
+      this.dirty = { rooms: false, stats: false };
+    } catch (err) {
+      console.error('FileStore: flush failed', err.message);
+    }
+  }
+}
+
+// Pick an adapter from env-style options: { type: 'memory' | 'file', dir }
+function createStore(options = {}) {
+  if (options.type === 'file') return new FileStore(options);
+  return new MemoryStore(options);
+}
+
+module.exports = { MemoryStore, FileStore, createStore };
@@ -0,0 +1,547 @@
+// Classroom tournaments across many rooms.
+//
+// A tournament has a join code, a list of registered entrants and a list of
+// matches. Matches are played in rounds: round-robin schedules every round up
+// front (circle method), single-elimination builds the next round from the
+// winners once a round is complete. Each match is played in its own room;
+// like the matchmaking queue this is a plain data structure and index.js does
+// the room creation, then reports the result with recordResult when the
+// room's game is over. An entrant who stays away while their match is due
+// forfeits it (forfeitNoShows), and finished or abandoned tournaments are
+// dropped after ttlMs (collect).
+
+const crypto = require('crypto');
+const { tokenMatches } = require('./auth');
+const { createRng } = require('./rng');
+const { ErrorCodes, actionError } = require('./errors');
+
+const FORMATS = ['round-robin', 'single-elimination'];
+// join codes are typed by children: no 0/O or 1/I
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+const MAX_ENTRANTS = 64;
+// how long a pending match waits for a disconnected entrant
+const DEFAULT_NO_SHOW_MS = 2 * 60 * 1000;
+// how long a finished tournament, or one nobody is connected to, is kept
+const DEFAULT_TTL_MS = 30 * 60 * 1000;
+
+// Round-robin rounds for a list of entrant ids (circle method). With an odd
+// number of entrants one of them sits out each round.
+function roundRobinRounds(ids) {
+  const slots = ids.slice();
+  if (slots.length % 2) slots.push(null);
+  const rounds = [];
+  for (let r = 0; r < slots.length - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < slots.length / 2; i++) {
+      const a = slots[i];
+      const b = slots[slots.length - 1 - i];
+      if (a && b) pairs.push([a, b]);
+    }
+    rounds.push(pairs);
+    // keep the first slot fixed and rotate the rest
+    slots.splice(1, 0, slots.pop());
+  }
+  return rounds;
+}
+
+// First single-elimination round. The bracket is padded to a power of two and
+// the earliest registrations get the byes.
+function eliminationFirstRound(ids) {
+  let size = 2;
+  while (size < ids.length) size *= 2;
+  const byes = size - ids.length;
+  const pairs = [];
+  for (let i = 0; i < byes; i++) pairs.push([ids[i], null]);
+  for (let i = byes; i < ids.length; i += 2) pairs.push([ids[i], ids[i + 1]]);
+  return pairs;
+}
+
+class TournamentManager {
+  // options.now: clock (ms); options.seed / options.random: join codes and ids;
+  // options.noShowMs: wait for a disconnected entrant; options.ttlMs: keep
+  // finished and abandoned tournaments
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.noShowMs = options.noShowMs || DEFAULT_NO_SHOW_MS;
+    this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    this.random = options.random
+      || (options.seed !== undefined && options.seed !== null ? createRng(options.seed) : Math.random);
+    // Map<tournamentId, tournament>
+    this.tournaments = new Map();
+    // Map<join code, tournamentId>
+    this.byCode = new Map();
+    // rooms of matches being played: Map<roomId, { tournamentId, matchId }>
+    this.byRoom = new Map();
+  }
+
+  randomString(length, alphabet) {
+    let out = '';
+    for (let i = 0; i < length; i++) out += alphabet[Math.floor(this.random() * alphabet.length)];
+    return out;
+  }
+
+  generateCode() {
+    for (;;) {
+      const code = this.randomString(CODE_LENGTH, CODE_ALPHABET);
+      if (!this.byCode.has(code)) return code;
+    }
+  }
+
+  // Returns { tournament } or { error }
+  createTournament({ name, format = 'round-robin', difficulty = 'easy', operation = 'multiply', host = null, hostSocketId = null } = {}) {
+    if (!FORMATS.includes(format)) return actionError(ErrorCodes.INVALID_PAYLOAD, `Unknown format (expected one of ${FORMATS.join(', ')})`, 'format');
+    const code = this.generateCode();
+    const tournamentId = `tour_${this.randomString(8, '0123456789abcdefghijklmnopqrstuvwxyz')}`;
+    const tournament = {
+      tournamentId,
+      code,
+      name: name || `Tournament ${code}`,
+      format,
+      difficulty,
+      operation,
+      // host username (lib/auth.js) and the socket that gets their tournamentUpdates
+      host,
+      hostSocketId,
+      status: 'registration',
+      // [{ entrantId, name, socketId, profileId, connected, disconnectedAt, rejoinToken }] in registration order
+      entrants: [],
+      registered: 0,
+      // [{ matchId, round, players: [entrantId, entrantId|null], roomId, status, scores, winner, draw, forfeit, noShow, replays }]
+      // status: 'pending' | 'playing' | 'finished' | 'bye'
+      matches: [],
+      round: 0,
+      champion: null,
+      createdAt: this.now(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.tournaments.set(tournamentId, tournament);
+    this.byCode.set(code, tournamentId);
+    return { tournament };
+  }
+
+  getTournament(tournamentId) {
+    return this.tournaments.get(tournamentId) || null;
+  }
+
+  findByCode(code) {
+    const id = this.byCode.get(String(code || '').trim().toUpperCase());
+    return id ? this.getTournament(id) : null;
+  }
+
+  // Register a player by join code. Passing entrantId with the entrant's
+  // rejoinToken rebinds it to a new socket (after a reconnect), which also works
+  // once the tournament is running. Entrant ids are public (standings, bracket),
+  // so the secret token handed out at registration is what proves the entry is
+  // yours. Returns { tournament, entrant, rejoined? } or { error }.
+  register(code, { socketId, name, profileId = null, entrantId, rejoinToken } = {}) {
+    const tournament = this.findByCode(code);
+    if (!tournament) return actionError(ErrorCodes.NOT_FOUND, 'Tournament not found', 'code');
+    if (entrantId) {
+      const entrant = tournament.entrants.find(e => e.entrantId === entrantId);
+      // a wrong token looks the same as an unknown entrant
+      if (!entrant || !tokenMatches(entrant.rejoinToken, rejoinToken)) return actionError(ErrorCodes.NOT_FOUND, 'Entrant not found', 'entrantId');
+      entrant.socketId = socketId;
+      entrant.connected = true;
+      entrant.disconnectedAt = null;
+      return { tournament, entrant, rejoined: true };
+    }
+    const existing = tournament.entrants.find(e => e.socketId === socketId);
+    if (existing) return { tournament, entrant: existing };
+    if (tournament.status !== 'registration') return actionError(ErrorCodes.INVALID_STATE, 'Registration is closed');
+    if (tournament.entrants.length >= MAX_ENTRANTS) return actionError(ErrorCodes.TOURNAMENT_FULL, 'Tournament is full');
+    // ids are never reused, even after someone unregistered
+    const n = ++tournament.registered;
+    const entrant = {
+      entrantId: `e${n}`,
+      name: (typeof name === 'string' && name.trim()) ? name.trim().slice(0, 32) : `Player ${n}`,
+      socketId,
+      profileId,
+      connected: true,
+      disconnectedAt: null,
+      rejoinToken: crypto.randomBytes(16).toString('hex'),
+    };
+    tournament.entrants.push(entrant);
+    return { tournament, entrant };
+  }
+
+  // Drop out before the tournament starts. Returns the removed entrant or null.
+  unregister(tournamentId, socketId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament || tournament.status !== 'registration') return null;
+    const idx = tournament.entrants.findIndex(e => e.socketId === socketId);
+    if (idx < 0) return null;
+    return tournament.entrants.splice(idx, 1)[0];
+  }
+
+  // A socket went away: its entrants are skipped when matches start until they
+  // come back (register with entrantId, or rebindSocket). Returns the tournaments touched.
+  disconnect(socketId) {
+    const touched = [];
+    for (const tournament of this.tournaments.values()) {
+      for (const entrant of tournament.entrants) {
+        if (entrant.socketId !== socketId) continue;
+        entrant.connected = false;
+        entrant.disconnectedAt = this.now();
+        touched.push(tournament);
+      }
+    }
+    return touched;
+  }
+
+  // A player resumed their room seat on a new socket
+  rebindSocket(oldSocketId, socketId) {
+    const touched = [];
+    for (const tournament of this.tournaments.values()) {
+      for (const entrant of tournament.entrants) {
+        if (entrant.socketId !== oldSocketId) continue;
+        entrant.socketId = socketId;
+        entrant.connected = true;
+        entrant.disconnectedAt = null;
+        touched.push(tournament);
+      }
+    }
+    return touched;
+  }
+
+  findEntrant(tournament, entrantId) {
+    return tournament.entrants.find(e => e.entrantId === entrantId) || null;
+  }
+
+  addMatch(tournament, round, [a, b]) {
+    const match = {
+      matchId: `${tournament.tournamentId}-m${tournament.matches.length + 1}`,
+      round,
+      players: [a, b],
+      roomId: null,
+      status: b ? 'pending' : 'bye',
+      scores: null,
+      winner: b ? null : a,
+      draw: false,
+      forfeit: null,
+      noShow: null,
+      replays: 0,
+    };
+    tournament.matches.push(match);
+    return match;
+  }
+
+  // Close registration and generate the pairings. Returns { tournament } or { error }.
+  start(tournamentId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) return actionError(ErrorCodes.NOT_FOUND, 'Tournament not found', 'tournamentId');
+    if (tournament.status !== 'registration') return actionError(ErrorCodes.INVALID_STATE, 'Tournament already started');
+    if (tournament.entrants.length < 2) return actionError(ErrorCodes.INVALID_STATE, 'Need at least two players');
+    const ids = tournament.entrants.map(e => e.entrantId);
+    if (tournament.format === 'round-robin') {
+      roundRobinRounds(ids).forEach((pairs, i) => {
+        for (const pair of pairs) this.addMatch(tournament, i + 1, pair);
+      });
+    } else {
+      for (const pair of eliminationFirstRound(ids)) this.addMatch(tournament, 1, pair);
+    }
+    tournament.status = 'running';
+    tournament.startedAt = this.now();
+    tournament.round = 1;
+    return { tournament };
+  }
+
+  // Lowest round that still has matches to play, or null
+  currentRound(tournament) {
+    const open = tournament.matches.filter(m => m.status === 'pending' || m.status === 'playing');
+    if (!open.length) return null;
+    return Math.min(...open.map(m => m.round));
+  }
+
+  // Matches of the current round that can start now (both entrants connected)
+  readyMatches(tournamentId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament || tournament.status !== 'running') return [];
+    const round = this.currentRound(tournament);
+    return tournament.matches.filter(m => {
+      if (m.round !== round || m.status !== 'pending') return false;
+      return m.players.every(id => {
+        const entrant = this.findEntrant(tournament, id);
+        return entrant && entrant.connected;
+      });
+    });
+  }
+
+  // The match is being played in roomId (entrant players[0] is seat 1)
+  attachRoom(tournamentId, matchId, roomId) {
+    const tournament = this.getTournament(tournamentId);
+    const match = tournament && tournament.matches.find(m => m.matchId === matchId);
+    if (!match || match.status !== 'pending') return null;
+    match.status = 'playing';
+    match.roomId = roomId;
+    this.byRoom.set(roomId, { tournamentId, matchId });
+    return match;
+  }
+
+  // Tournament and match being played in roomId, or null
+  findByRoom(roomId) {
+    const link = this.byRoom.get(roomId);
+    if (!link) return null;
+    const tournament = this.getTournament(link.tournamentId);
+    const match = tournament && tournament.matches.find(m => m.matchId === link.matchId);
+    if (!match || match.status !== 'playing') return null;
+    return { tournament, match };
+  }
+
+  // A match room's game is over. scores: { [playerNumber]: score }, winners: [playerNumber].
+  // A tie is a draw in round-robin and is replayed in single-elimination.
+  // Returns { tournament, match, replay } or null when roomId is not a tournament match.
+  recordResult(roomId, { scores = {}, winners = [] } = {}) {
+    const found = this.findByRoom(roomId);
+    if (!found) return null;
+    const { tournament, match } = found;
+    this.byRoom.delete(roomId);
+    const [a, b] = match.players;
+    match.scores = { [a]: scores[1] || 0, [b]: scores[2] || 0 };
+    const winner = winners.length === 1 ? match.players[winners[0] - 1] || null : null;
+    if (!winner && tournament.format === 'single-elimination') {
+      match.status = 'pending';
+      match.roomId = null;
+      match.replays++;
+      return { tournament, match, replay: true };
+    }
+    match.winner = winner;
+    match.draw = !winner;
+    match.status = 'finished';
+    this.advance(tournament);
+    return { tournament, match, replay: false };
+  }
+
+  // A player left their match room for good: the opponent wins.
+  // Returns { tournament, match } or null.
+  forfeit(roomId, playerNumber) {
+    const found = this.findByRoom(roomId);
+    if (!found) return null;
+    const { tournament, match } = found;
+    const loser = match.players[playerNumber - 1];
+    if (!loser) return null;
+    this.byRoom.delete(roomId);
+    match.forfeit = loser;
+    match.winner = match.players.find(id => id !== loser);
+    match.draw = false;
+    match.status = 'finished';
+    this.advance(tournament);
+    return { tournament, match };
+  }
+
+  // Pending matches of the current round whose entrants have been disconnected
+  // for noShowMs are decided without them: the one who is there wins. When
+  // neither shows up, round-robin counts it as a loss for both and
+  // single-elimination sends on whoever left last. Returns [{ tournament, match }].
+  forfeitNoShows(now = this.now()) {
+    const decided = [];
+    for (const tournament of this.tournaments.values()) {
+      if (tournament.status !== 'running') continue;
+      // deciding the last match of a round can open the next one
+      for (;;) {
+        const round = this.currentRound(tournament);
+        let found = null;
+        for (const match of tournament.matches) {
+          if (match.round !== round || match.status !== 'pending') continue;
+          const entrants = match.players.map(id => this.findEntrant(tournament, id));
+          // someone who left only recently still gets their full wait
+          if (entrants.some(e => e && !e.connected && now - (e.disconnectedAt || 0) < this.noShowMs)) continue;
+          const absent = match.players.filter((id, i) => !entrants[i] || !entrants[i].connected);
+          if (absent.length) {
+            found = { match, absent };
+            break;
+          }
+        }
+        if (!found) break;
+        const { match, absent } = found;
+        const present = match.players.filter(id => !absent.includes(id));
+        let winner = present[0] || null;
+        if (!winner && tournament.format === 'single-elimination') {
+          const leftAt = id => (this.findEntrant(tournament, id) || {}).disconnectedAt || 0;
+          winner = absent.slice().sort((x, y) => leftAt(y) - leftAt(x))[0];
+        }
+        match.noShow = absent;
+        match.forfeit = absent.find(id => id !== winner) || null;
+        match.winner = winner;
+        match.draw = false;
+        match.status = 'finished';
+        this.advance(tournament);
+        decided.push({ tournament, match });
+      }
+    }
+    return decided;
+  }
+
+  // Forget a tournament, its join code and its match rooms. Returns it or null.
+  removeTournament(tournamentId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) return null;
+    this.tournaments.delete(tournamentId);
+    this.byCode.delete(tournament.code);
+    for (const [roomId, link] of this.byRoom.entries()) {
+      if (link.tournamentId === tournamentId) this.byRoom.delete(roomId);
+    }
+    return tournament;
+  }
+
+  // Remove tournaments finished more than ttlMs ago, and unfinished ones nobody
+  // has been connected to for ttlMs. Returns the removed tournaments.
+  collect(now = this.now()) {
+    const removed = [];
+    for (const tournament of Array.from(this.tournaments.values())) {
+      let since;
+      if (tournament.status === 'finished') {
+        since = tournament.finishedAt;
+      } else {
+        if (tournament.entrants.some(e => e.connected)) continue;
+        since = Math.max(tournament.createdAt, ...tournament.entrants.map(e => e.disconnectedAt || 0));
+      }
+      if (now - since < this.ttlMs) continue;
+      removed.push(this.removeTournament(tournament.tournamentId));
+    }
+    return removed;
+  }
+
+  // The match room was closed before its game ended: the match goes back to
+  // pending and is played again in a new room. Returns { tournament, match } or null.
+  detachRoom(roomId) {
+    const found = this.findByRoom(roomId);
+    if (!found) return null;
+    this.byRoom.delete(roomId);
+    found.match.status = 'pending';
+    found.match.roomId = null;
+    return found;
+  }
+
+  // Move on once the current round is complete: build the next elimination
+  // round, or finish the tournament.
+  advance(tournament) {
+    const round = this.currentRound(tournament);
+    if (round !== null) {
+      tournament.round = round;
+      return;
+    }
+    if (tournament.format === 'single-elimination') {
+      const last = Math.max(...tournament.matches.map(m => m.round));
+      const winners = tournament.matches.filter(m => m.round === last).map(m => m.winner);
+      if (winners.length > 1) {
+        for (let i = 0; i < winners.length; i += 2) this.addMatch(tournament, last + 1, [winners[i], winners[i + 1]]);
+        tournament.round = last + 1;
+        return;
+      }
+      tournament.champion = winners[0];
+    } else {
+      tournament.champion = this.standings(tournament.tournamentId)[0].entrantId;
+    }
+    tournament.status = 'finished';
+    tournament.finishedAt = this.now();
+  }
+
+  // One row per entrant, best first: points (2 per win, 1 per draw), then
+  // score difference, then total score. Byes are not counted.
+  standings(tournamentId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) return null;
+    const rows = new Map(tournament.entrants.map((e, i) => [e.entrantId, {
+      entrantId: e.entrantId,
+      name: e.name,
+      seed: i + 1,
+      played: 0,
+      wins: 0,
+      draws: 0,
+      losses: 0,
+      points: 0,
+      scoreFor: 0,
+      scoreAgainst: 0,
+      eliminated: false,
+    }]));
+    for (const match of tournament.matches) {
+      if (match.status !== 'finished') continue;
+      for (const id of match.players) {
+        const row = rows.get(id);
+        if (!row) continue;
+        const opponent = match.players.find(other => other !== id);
+        row.played++;
+        if (match.scores) {
+          row.scoreFor += match.scores[id] || 0;
+          row.scoreAgainst += match.scores[opponent] || 0;
+        }
+        if (match.draw) row.draws++;
+        else if (match.winner === id) row.wins++;
+        else {
+          row.losses++;
+          if (tournament.format === 'single-elimination') row.eliminated = true;
+        }
+      }
+    }
+    const list = Array.from(rows.values());
+    for (const row of list) row.points = row.wins * 2 + row.draws;
+    list.sort((x, y) => (y.points - x.points)
+      || ((y.scoreFor - y.scoreAgainst) - (x.scoreFor - x.scoreAgainst))
+      || (y.scoreFor - x.scoreFor)
+      || (x.seed - y.seed));
+    list.forEach((row, i) => { row.rank = i + 1; });
+    return list;
+  }
+
+  // Matches grouped by round with entrant names, for the dashboard
+  bracket(tournamentId) {
+    const tournament = this.getTournament(tournamentId);
+    if (!tournament) return null;
+    const name = id => {
+      const entrant = id && this.findEntrant(tournament, id);
+      return entrant ? { entrantId: entrant.entrantId, name: entrant.name } : null;
+    };
+    const rounds = [];
+    for (const match of tournament.matches) {
+      let entry = rounds.find(r => r.round === match.round);
+      if (!entry) {
+        entry = { round: match.round, matches: [] };
+        rounds.push(entry);
+      }
+      entry.matches.push({
+        matchId: match.matchId,
+        players: match.players.map(name),
+        status: match.status,
+        roomId: match.roomId,
+        scores: match.scores,
+        winner: match.winner,
+        draw: match.draw,
+        forfeit: match.forfeit,
+        noShow: match.noShow,
+        replays: match.replays,
+      });
+    }
+    rounds.sort((x, y) => x.round - y.round);
+    return { tournamentId, format: tournament.format, status: tournament.status, round: tournament.round, champion: tournament.champion, rounds };
+  }
+
+  // Public summary (no socket ids)
+  view(tournament) {
+    return {
+      tournamentId: tournament.tournamentId,
+      code: tournament.code,
+      name: tournament.name,
+      format: tournament.format,
+      difficulty: tournament.difficulty,
+      operation: tournament.operation,
+      status: tournament.status,
+      round: tournament.round,
+      champion: tournament.champion,
+      entrants: tournament.entrants.map(e => ({ entrantId: e.entrantId, name: e.name, connected: e.connected })),
+      matches: tournament.matches.length,
+      createdAt: tournament.createdAt,
+      startedAt: tournament.startedAt,
+      finishedAt: tournament.finishedAt,
+    };
+  }
+
+  list() {
+    return Array.from(this.tournaments.values()).map(t => this.view(t));
+  }
+}
+
+TournamentManager.FORMATS = FORMATS;
+
+module.exports = { TournamentManager, FORMATS, DEFAULT_NO_SHOW_MS, DEFAULT_TTL_MS, roundRobinRounds, eliminationFirstRound };
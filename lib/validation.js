@@ -0,0 +1,328 @@
+// Declarative payload schemas for inbound socket events and REST bodies.
+//
+// A schema is a plain object:
+//   { type, required, nullable, enum, min, max, maxLength, properties, items, oneOfFields, anyOf, variants, description }
+// `type` is a type name or a list of them ('string', 'number', 'integer',
+// 'boolean', 'object', 'array'); without one any value passes. Properties are
+// optional unless marked `required`, and unknown properties are allowed
+// (clients send extra fields we ignore). `items` is the schema of every array element.
+// `oneOfFields` lists properties of which at least one must be present.
+// `anyOf` lists schemas of which the value must match at least one (e.g. a
+// mode name or a policy object); the problem reported is the one from the
+// first alternative of the value's type.
+// `variants: { key, schemas }` picks an extra schema by the value of `key`
+// (e.g. gameSync messages by `type`); other values only get the base schema.
+//
+// validate() reports the first problem as { field, message }; validateEvent()
+// wraps it in the structured error acks use (see lib/errors.js). toJsonSchema()
+// turns a schema into JSON Schema for the published protocol (lib/protocol.js).
+
+const RoomManager = require('./roomManager');
+const operations = require('./operations');
+const { PROFILES: BOT_PROFILES } = require('./bot');
+const { FORMATS: TOURNAMENT_FORMATS } = require('./tournament');
+const scoring = require('./scoring');
+const { ErrorCodes, actionError } = require('./errors');
+
+// What a client may announce with setPresence ('disconnected' is server-side only)
+const PRESENCE_STATUSES = ['lobby', 'in-game', 'left'];
+
+const ID = { type: 'string', maxLength: 64 };
+const ROOM_ID = { type: 'string', required: true, maxLength: 32 };
+const PLAYER_NUMBER = { type: 'integer', min: 1, max: RoomManager.MAX_PLAYERS };
+const SEED = { type: ['string', 'number'], nullable: true };
+const NON_NEGATIVE = { type: 'number', min: 0 };
+
+// setRoomOptions/startGame accept every option top-level or under `options`,
+// and the hand size under several historical names
+const HAND_SIZE = { type: 'integer', min: 1, max: 44 };
+const ROOM_OPTIONS = {
+  difficulty: { type: 'string', enum: RoomManager.DIFFICULTIES },
+  operation: { type: 'string', enum: operations.MODES },
+  roundTimeLimitMs: { type: 'number', nullable: true, min: 0 },
+  // mode name or policy object (lib/scoring.js fills in the rest)
+  scoring: {
+    anyOf: [
+      { type: 'string', enum: scoring.MODES },
+      {
+        type: 'object',
+        properties: {
+          mode: { type: 'string', enum: scoring.MODES },
+          points: NON_NEGATIVE,
+          minPoints: NON_NEGATIVE,
+          decayMs: NON_NEGATIVE,
+          streakStep: NON_NEGATIVE,
+          streakMax: { type: 'number', min: 1 },
+          wrongPenalty: NON_NEGATIVE,
+        },
+      },
+    ],
+  },
+  maxPlayers: { type: 'integer', min: RoomManager.MIN_PLAYERS, max: RoomManager.MAX_PLAYERS },
+  problemCards: { type: 'string', enum: RoomManager.PROBLEM_CARDS },
+};
+for (const name of ['initialCards', 'cardsPerPlayer', 'cardCount', 'initialHandSize', 'startingHandSize', 'startingCards', 'initialDealCount']) {
+  ROOM_OPTIONS[name] = HAND_SIZE;
+}
+const WITH_ROOM_OPTIONS = Object.assign({}, ROOM_OPTIONS, { options: { type: 'object', properties: ROOM_OPTIONS } });
+
+const GAME_SYNC_SCHEMAS = {
+  cardSelected: {
+    properties: {
+      data: {
+        type: 'object',
+        required: true,
+        oneOfFields: ['cardId', 'card'],
+        properties: {
+          cardId: { type: 'string', maxLength: 64 },
+          card: { type: 'object', properties: { id: { type: 'string', required: true, maxLength: 64 } } },
+        },
+      },
+    },
+  },
+  answerSubmitted: {
+    properties: {
+      data: { type: 'object', required: true, properties: { answer: { type: 'number', required: true } } },
+    },
+  },
+};
+
+const EVENT_SCHEMAS = {
+  createRoom: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      profileId: ID,
+      maxPlayers: ROOM_OPTIONS.maxPlayers,
+      seed: SEED,
+      options: { type: 'object', properties: { maxPlayers: ROOM_OPTIONS.maxPlayers } },
+    },
+  },
+  joinRoom: { type: 'object', required: true, properties: { roomId: ROOM_ID, profileId: ID } },
+  resumeSession: { type: 'object', required: true, properties: { resumeToken: { type: 'string', required: true, maxLength: 128 } } },
+  findMatch: {
+    type: 'object',
+    nullable: true,
+    properties: { difficulty: ROOM_OPTIONS.difficulty, operation: ROOM_OPTIONS.operation, profileId: ID },
+  },
+  spectateRoom: { type: 'object', required: true, properties: { roomId: ROOM_ID } },
+  addBot: {
+    type: 'object',
+    required: true,
+    properties: { roomId: ROOM_ID, profile: { type: 'string', enum: Object.keys(BOT_PROFILES) } },
+  },
+  hostLogin: {
+    type: 'object',
+    required: true,
+    oneOfFields: ['username', 'token'],
+    properties: { username: { type: 'string', maxLength: 64 }, password: { type: 'string', maxLength: 256 }, token: { type: 'string', maxLength: 1024 } },
+  },
+  adminKickPlayer: {
+    type: 'object',
+    required: true,
+    properties: { roomId: ROOM_ID, playerNumber: Object.assign({ required: true }, PLAYER_NUMBER) },
+  },
+  adminCloseRoom: { type: 'object', required: true, properties: { roomId: ROOM_ID } },
+  adminNextRound: { type: 'object', required: true, properties: { roomId: ROOM_ID } },
+  adminResetGame: { type: 'object', required: true, properties: { roomId: ROOM_ID } },
+  createTournament: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      name: { type: 'string', maxLength: 200 },
+      format: { type: 'string', enum: TOURNAMENT_FORMATS },
+      difficulty: ROOM_OPTIONS.difficulty,
+      operation: ROOM_OPTIONS.operation,
+    },
+  },
+  joinTournament: {
+    type: 'object',
+    required: true,
+    properties: { code: { type: 'string', required: true, maxLength: 16 }, name: { type: 'string', maxLength: 200 }, profileId: ID, entrantId: ID, rejoinToken: { type: 'string', maxLength: 64 } },
+  },
+  leaveTournament: { type: 'object', required: true, properties: { tournamentId: { type: 'string', required: true, maxLength: 64 } } },
+  startTournament: { type: 'object', required: true, properties: { tournamentId: { type: 'string', required: true, maxLength: 64 } } },
+  gameSync: {
+    type: 'object',
+    required: true,
+    properties: {
+      roomId: ROOM_ID,
+      type: { type: 'string', required: true, maxLength: 64 },
+      playerNumber: PLAYER_NUMBER,
+      // retries and stale actions, see lib/actionLog.js and RoomManager.checkActionRound
+      requestId: { type: ['string', 'integer'], maxLength: 64 },
+      round: { type: 'integer', min: 1 },
+      roundSeq: { type: 'integer', min: 1 },
+    },
+    variants: { key: 'type', schemas: GAME_SYNC_SCHEMAS },
+  },
+  requestRematch: { type: 'object', required: true, properties: { roomId: ROOM_ID, playerNumber: PLAYER_NUMBER } },
+  setPresence: {
+    type: 'object',
+    required: true,
+    properties: { roomId: ROOM_ID, status: { type: 'string', required: true, enum: PRESENCE_STATUSES } },
+  },
+  setRoomOptions: {
+    type: 'object',
+    required: true,
+    properties: Object.assign({ roomId: ROOM_ID }, WITH_ROOM_OPTIONS),
+  },
+  startGame: {
+    type: 'object',
+    required: true,
+    properties: Object.assign({ roomId: ROOM_ID, seed: SEED }, WITH_ROOM_OPTIONS),
+  },
+  leaveRoom: { type: 'object', nullable: true, properties: { roomId: { type: 'string', maxLength: 32 } } },
+};
+
+const BODY_SCHEMAS = {
+  login: {
+    type: 'object',
+    required: true,
+    properties: { username: { type: 'string', required: true, maxLength: 64 }, password: { type: 'string', required: true, maxLength: 256 } },
+  },
+  kick: { type: 'object', required: true, properties: { playerNumber: Object.assign({ required: true }, PLAYER_NUMBER) } },
+};
+
+const TYPE_NAMES = { string: 'a string', number: 'a number', integer: 'an integer', boolean: 'a boolean', object: 'an object', array: 'an array' };
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : (Number.isFinite(value) ? 'number' : 'nan');
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  // integers are numbers too
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function joinField(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+// First problem with value against schema as { field, message }, or null.
+// `path` is the dotted field name reported for nested properties.
+function validate(schema, value, path = '') {
+  const label = path || 'payload';
+  if (value === undefined) {
+    return schema.required ? { field: path || undefined, message: `${label} is required` } : null;
+  }
+  if (value === null) {
+    return schema.nullable ? null : { field: path || undefined, message: `${label} must not be null` };
+  }
+  if (schema.anyOf) {
+    const problem = validateAnyOf(schema.anyOf, value, path);
+    if (problem) return problem;
+  }
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(t => matchesType(value, t))) {
+    return { field: path || undefined, message: `${label} must be ${types.map(t => TYPE_NAMES[t]).join(' or ')}` };
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return { field: path || undefined, message: `${label} must be one of ${schema.enum.join(', ')}` };
+  }
+  if (typeof value === 'number') {
+    if (schema.min !== undefined && value < schema.min) return { field: path || undefined, message: `${label} must be at least ${schema.min}` };
+    if (schema.max !== undefined && value > schema.max) return { field: path || undefined, message: `${label} must be at most ${schema.max}` };
+  }
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return { field: path || undefined, message: `${label} must be at most ${schema.maxLength} characters` };
+  }
+  if (Array.isArray(value) && schema.items) {
+    for (let i = 0; i < value.length; i++) {
+      const problem = validate(schema.items, value[i], joinField(path, i));
+      if (problem) return problem;
+    }
+  }
+  if (typeOf(value) !== 'object') return null;
+
+  for (const [name, propSchema] of Object.entries(schema.properties || {})) {
+    const problem = validate(propSchema, value[name], joinField(path, name));
+    if (problem) return problem;
+  }
+  if (schema.oneOfFields && !schema.oneOfFields.some(name => value[name] !== undefined)) {
+    return {
+      field: joinField(path, schema.oneOfFields[0]),
+      message: `${label} needs ${schema.oneOfFields.map(name => joinField(path, name)).join(' or ')}`,
+    };
+  }
+  if (schema.variants) {
+    const variant = schema.variants.schemas[value[schema.variants.key]];
+    if (variant) return validate(Object.assign({ type: 'object' }, variant), value, path);
+  }
+  return null;
+}
+
+function validateAnyOf(alternatives, value, path) {
+  const problems = alternatives.map(alternative => validate(alternative, value, path));
+  if (problems.some(problem => !problem)) return null;
+  const sameType = alternatives.findIndex(a => !a.type || [].concat(a.type).some(t => matchesType(value, t)));
+  if (sameType >= 0) return problems[sameType];
+  const types = [].concat(...alternatives.map(a => [].concat(a.type || [])));
+  return { field: path || undefined, message: `${path || 'payload'} must be ${types.map(t => TYPE_NAMES[t]).join(' or ')}` };
+}
+
+// JSON Schema (draft-07) equivalent of a schema. A property's `required` moves
+// to its parent's `required` list; whether the payload itself is required has
+// no JSON Schema counterpart.
+function toJsonSchema(schema) {
+  const out = {};
+  if (schema.description) out.description = schema.description;
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (schema.nullable) types.push('null');
+    out.type = types.length === 1 ? types[0] : types;
+  }
+  if (schema.enum) out.enum = schema.nullable ? schema.enum.concat(null) : schema.enum.slice();
+  if (schema.min !== undefined) out.minimum = schema.min;
+  if (schema.max !== undefined) out.maximum = schema.max;
+  if (schema.maxLength !== undefined) out.maxLength = schema.maxLength;
+  if (schema.items) out.items = toJsonSchema(schema.items);
+  if (schema.properties) {
+    out.properties = {};
+    const required = [];
+    for (const [name, propSchema] of Object.entries(schema.properties)) {
+      out.properties[name] = toJsonSchema(propSchema);
+      if (propSchema.required) required.push(name);
+    }
+    if (required.length) out.required = required;
+  }
+  if (schema.anyOf) out.anyOf = schema.anyOf.map(toJsonSchema);
+  if (schema.oneOfFields) out.anyOf = schema.oneOfFields.map(name => ({ required: [name] }));
+  if (schema.variants) {
+    const { key, schemas } = schema.variants;
+    out.allOf = Object.entries(schemas).map(([value, variant]) => ({
+      if: { properties: { [key]: { const: value } }, required: [key] },
+      then: toJsonSchema(Object.assign({ type: 'object' }, variant)),
+    }));
+  }
+  return out;
+}
+
+// Structured error for a socket event payload, or null when it is valid (or
+// the event takes no payload we check)
+function validateEvent(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) return null;
+  const problem = validate(schema, payload);
+  return problem ? actionError(ErrorCodes.INVALID_PAYLOAD, problem.message, problem.field) : null;
+}
+
+// Express middleware checking req.body against BODY_SCHEMAS[name]; answers
+// 400 with the structured error
+function validateBody(name) {
+  const schema = BODY_SCHEMAS[name];
+  return (req, res, next) => {
+    const problem = validate(schema, req.body);
+    if (!problem) {
+      next();
+      return;
+    }
+    res.status(400).json(actionError(ErrorCodes.INVALID_PAYLOAD, problem.message, problem.field));
+  };
+}
+
+module.exports = { validate, validateEvent, validateBody, toJsonSchema, EVENT_SCHEMAS, BODY_SCHEMAS, PRESENCE_STATUSES };
@@ -0,0 +1,42 @@
+const { expect } = require('chai');
+const { ActionLog } = require('../lib/actionLog');
+
+describe('action log', () => {
+  let now;
+  let log;
+
+  beforeEach(() => {
+    now = 0;
+    log = new ActionLog({ ttlMs: 1000, limit: 2, now: () => now });
+  });
+
+  it('returns the recorded ack for a repeated request id of the same seat', () => {
+    expect(log.lookup('r1', 1, 'a')).to.be.null;
+    log.record('r1', 1, 'a', { ok: true });
+    expect(log.lookup('r1', 1, 'a')).to.deep.equal({ ok: true });
+    // ids are per seat and compared as strings
+    expect(log.lookup('r1', 2, 'a')).to.be.null;
+    log.record('r1', 2, 7, { ok: true });
+    expect(log.lookup('r1', 2, '7')).to.deep.equal({ ok: true });
+  });
+
+  it('keeps the newest ids of a seat for ttlMs', () => {
+    log.record('r1', 1, 'a', { ok: true });
+    log.record('r1', 1, 'b', { ok: true });
+    log.record('r1', 1, 'c', { ok: true });
+    expect(log.lookup('r1', 1, 'a')).to.be.null;
+    expect(log.lookup('r1', 1, 'b')).to.deep.equal({ ok: true });
+    now = 1001;
+    expect(log.lookup('r1', 1, 'c')).to.be.null;
+    expect(log.prune()).to.equal(2);
+    expect(log.seats.size).to.equal(0);
+  });
+
+  it('forgets a removed room', () => {
+    log.record('r1', 1, 'a', { ok: true });
+    log.record('r10', 1, 'a', { ok: true });
+    log.forgetRoom('r1');
+    expect(log.lookup('r1', 1, 'a')).to.be.null;
+    expect(log.lookup('r10', 1, 'a')).to.deep.equal({ ok: true });
+  });
+});
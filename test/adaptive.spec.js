@@ -0,0 +1,93 @@
+const { expect } = require('chai');
+const RoomManager = require('../lib/roomManager');
+const adaptive = require('../lib/adaptive');
+const { PlayerStats } = require('../lib/playerStats');
+const { createRng } = require('../lib/rng');
+
+function attempts(n, { correct, responseMs = 2000, a = 3, b = 4 }) {
+  return Array.from({ length: n }, (_, i) => ({ a, b, cards: [a, b], correct: typeof correct === 'function' ? correct(i) : correct, responseMs }));
+}
+
+describe('adaptive difficulty', () => {
+  it('starts beginners on 2..5 and moves one level at a time', () => {
+    expect(adaptive.chooseLevel(undefined, [])).to.equal(0);
+    expect(adaptive.LEVELS[0]).to.deep.equal({ minValue: 2, maxValue: 5 });
+    expect(adaptive.chooseLevel(0, attempts(10, { correct: true }))).to.equal(1);
+    expect(adaptive.chooseLevel(2, attempts(10, { correct: false, a: 2, b: 3 }))).to.equal(1);
+    // accurate but slow: stay
+    expect(adaptive.chooseLevel(1, attempts(10, { correct: true, responseMs: 9000 }))).to.equal(1);
+    // not enough evidence yet
+    expect(adaptive.chooseLevel(1, attempts(3, { correct: true }))).to.equal(1);
+    // attempts outside the current range are ignored
+    expect(adaptive.chooseLevel(0, attempts(10, { correct: true, a: 9, b: 11 }))).to.equal(0);
+  });
+
+  it('weights values from missed and slow facts', () => {
+    const facts = [
+      { a: 3, b: 4, attempts: 4, accuracy: 0.25, avgResponseMs: 3000 },
+      { a: 2, b: 5, attempts: 4, accuracy: 1, avgResponseMs: 10000 },
+      { a: 2, b: 2, attempts: 4, accuracy: 1, avgResponseMs: 1000 },
+    ];
+    const w = adaptive.valueWeights(facts, 0);
+    expect(Object.keys(w).map(Number)).to.deep.equal([2, 3, 4, 5]);
+    expect(w[3]).to.be.above(w[5]);
+    expect(w[5]).to.be.above(w[2]);
+  });
+
+  it('weights the dealt cards of subtract and divide facts, not the displayed operands', () => {
+    const stats = new PlayerStats();
+    const answer = (a, b, op, cards, correct) => stats.recordAttempt('p1', { a, b, op, cards, correct, responseMs: 2000 });
+    // 84÷7 is dealt as 7 and 12; 12−5 as 12 and 5
+    for (let i = 0; i < 4; i++) answer(84, 7, 'divide', [12, 7], false);
+    for (let i = 0; i < 4; i++) answer(10, 2, 'divide', [5, 2], true);
+    for (let i = 0; i < 4; i++) answer(11, 9, 'subtract', [9, 11], false);
+    const facts = stats.getFacts('p1');
+    expect(facts.find(f => f.op === 'divide' && f.a === 84).cards).to.deep.equal([7, 12]);
+
+    const w = adaptive.valueWeights(facts, 3);
+    expect(w).to.not.have.property(84);
+    expect(w[12]).to.equal(5);
+    expect(w[7]).to.equal(5);
+    expect(w[9]).to.equal(5);
+    expect(w[11]).to.equal(5);
+    expect(w[5]).to.equal(1);
+    expect(w[2]).to.equal(1);
+    expect(w[3]).to.equal(1);
+
+    // facts saved before cards were tracked work them out from the fact
+    const saved = { profileId: 'p2', attempts: [], totals: {}, facts: { 'divide:84:7': { fact: '84÷7', a: 84, b: 7, op: 'divide', attempts: 2, correct: 0 } } };
+    const loaded = new PlayerStats({ store: { loadStats: () => [saved] } });
+    expect(loaded.getFacts('p2')[0].cards).to.deep.equal([7, 12]);
+  });
+
+  it('draws heavily weighted values more often', () => {
+    const random = createRng('draw');
+    let threes = 0;
+    for (let i = 0; i < 200; i++) {
+      const deck = [];
+      for (let v = 2; v <= 5; v++) for (let s = 0; s < 4; s++) deck.push({ id: `${v}-${s}`, value: v });
+      threes += adaptive.weightedDraw(deck, { 2: 1, 3: 10, 4: 1, 5: 1 }, 2, random).filter(c => c.value === 3).length;
+    }
+    // uniform would give ~100 of 400 draws
+    expect(threes).to.be.above(200);
+  });
+
+  it('deals adaptive games from the players\' range and leaves other difficulties alone', () => {
+    const rm = new RoomManager({ seed: 'adaptive' });
+    const created = rm.createRoom('s1').response;
+    const roomId = created.roomId;
+    rm.joinRoom(roomId, 's2');
+
+    let state = rm.initGameState(roomId, { difficulty: 'adaptive' });
+    expect(state.adaptive).to.deep.equal({ level: 0, minValue: 2, maxValue: 5 });
+    for (const c of state.player1Hand.concat(state.player2Hand)) expect(c.value).to.be.within(2, 5);
+
+    for (const a of attempts(10, { correct: true, responseMs: 1500 })) rm.stats.recordAttempt(created.profileId, a);
+    state = rm.initGameState(roomId);
+    expect(state.adaptive.maxValue).to.equal(7);
+
+    const easy = rm.initGameState(roomId, { difficulty: 'easy' });
+    expect(easy.adaptive).to.be.null;
+    expect(easy.player1Hand).to.have.length(6);
+  });
+});
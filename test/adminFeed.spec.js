@@ -0,0 +1,78 @@
+const { expect } = require('chai');
+const RoomManager = require('../lib/roomManager');
+const { AdminFeed } = require('../lib/adminFeed');
+
+describe('admin feed', () => {
+  let rm;
+  let feed;
+  let entries;
+
+  beforeEach(() => {
+    rm = new RoomManager({ seed: 'dashboard' });
+    feed = new AdminFeed({ roomManager: rm, limit: 5 });
+    entries = [];
+    rm.onRoomEvent((roomId, event) => {
+      const entry = feed.record(roomId, event);
+      if (entry) entries.push(entry);
+    });
+  });
+
+  it('turns room lifecycle events into feed entries', () => {
+    const roomId = rm.createRoom('s1').response.roomId;
+    rm.joinRoom(roomId, 's2');
+    const state = rm.initGameState(roomId, { difficulty: 'test' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    rm.playerSubmitAnswer(roomId, 1, rm.getGameState(roomId).correctAnswer);
+    rm.nextRound(roomId);
+    rm.closeRoom(roomId);
+
+    // card picks, answers and the join seed never reach the feed
+    expect(entries.map(e => e.type)).to.deep.equal([
+      'roomCreated', 'playerJoined', 'playerJoined', 'gameStarted', 'roundSolved', 'gameOver', 'roomRemoved',
+    ]);
+    expect(entries[3]).to.include({ roomId, difficulty: 'test', initialCards: 1 });
+    expect(entries[3]).to.not.have.property('hands');
+    expect(entries[4]).to.include({ solvedBy: 1 });
+    expect(entries[5].winners).to.deep.equal([1]);
+    expect(entries[6].reason).to.equal('closed');
+    // only the most recent `limit` entries are kept
+    expect(feed.recent().map(e => e.id)).to.deep.equal([3, 4, 5, 6, 7]);
+  });
+
+  it('summarizes scores, round, statuses and the transitioning flag', () => {
+    const roomId = rm.createRoom('s1', { maxPlayers: 3 }).response.roomId;
+    rm.joinRoom(roomId, 's2');
+    expect(feed.summarizeRoom(roomId)).to.include({ roomId, maxPlayers: 3, difficulty: 'easy', game: null });
+
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    expect(feed.summarizeRoom(roomId).game).to.include({ round: 1, initialCards: 6, gameOver: false });
+    rm.playerSubmitAnswer(roomId, 2, rm.getGameState(roomId).correctAnswer);
+    rm.getRoom(roomId).transitioning = true;
+    rm.disconnectSocket('s1');
+
+    const summary = feed.summarizeRoom(roomId);
+    expect(summary.transitioning).to.be.true;
+    expect(summary.game).to.include({ round: 1, problemSolved: true });
+    expect(summary.players).to.deep.equal([
+      { playerNumber: 1, status: 'disconnected', bot: null, score: 0, handCount: 6 },
+      { playerNumber: 2, status: 'in-game', bot: null, score: 1, handCount: 6 },
+    ]);
+
+    rm.nextRound(roomId);
+    expect(feed.summarizeRoom(roomId).game.round).to.equal(2);
+    expect(feed.snapshot().rooms.map(r => r.roomId)).to.deep.equal([roomId]);
+    expect(feed.summarizeRoom('gone')).to.be.null;
+  });
+
+  it('reports rooms removed by garbage collection', () => {
+    const roomId = rm.createRoom('s1').response.roomId;
+    rm.leaveRoomBySocket('s1');
+    rm.getRoom(roomId).lastEmptyAt = Date.now() - rm.roomTTLMs - 1;
+    expect(rm.garbageCollectRooms()).to.deep.equal([roomId]);
+    expect(entries.map(e => e.type).slice(-2)).to.deep.equal(['playerLeft', 'roomRemoved']);
+    expect(entries[entries.length - 1].reason).to.equal('collected');
+  });
+});
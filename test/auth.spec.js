@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+const { HostAuth, hashPassword, checkPassword, tokenMatches, parseAccounts, parseCookies, COOKIE_NAME } = require('../lib/auth');
+
+describe('host auth', () => {
+  let now;
+  let auth;
+
+  beforeEach(() => {
+    now = 1000;
+    auth = new HostAuth({
+      accounts: `ms-lee:apples, mr-park:${hashPassword('pears', 'fixed-salt')}`,
+      secret: 'test-secret',
+      ttlMs: 60000,
+      now: () => now,
+    });
+  });
+
+  it('reads accounts and checks clear-text or scrypt passwords', () => {
+    const accounts = parseAccounts('a:1,broken, b : x:y ');
+    expect(Array.from(accounts.entries())).to.deep.equal([['a', '1'], ['b', 'x:y']]);
+    expect(parseAccounts(undefined).size).to.equal(0);
+    expect(new HostAuth().enabled).to.be.false;
+
+    const stored = hashPassword('pears');
+    expect(stored).to.match(/^scrypt:[0-9a-f]+:[0-9a-f]{64}$/);
+    expect(checkPassword(stored, 'pears')).to.be.true;
+    expect(checkPassword(stored, 'apples')).to.be.false;
+    expect(checkPassword('apples', 'apples')).to.be.true;
+    expect(checkPassword('apples', undefined)).to.be.false;
+  });
+
+  it('issues signed tokens that expire', () => {
+    expect(auth.login('ms-lee', 'wrong')).to.be.null;
+    expect(auth.login('nobody', 'apples')).to.be.null;
+    const session = auth.login('mr-park', 'pears');
+    expect(session).to.include({ username: 'mr-park', expiresAt: 61000 });
+    expect(auth.verify(session.token)).to.include({ sub: 'mr-park', role: 'host' });
+
+    // a forged payload or a token signed with another secret is rejected
+    const [body, sig] = session.token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'ms-lee', role: 'host', exp: 99999 })).toString('base64url');
+    expect(auth.verify(`${forged}.${sig}`)).to.be.null;
+    expect(new HostAuth({ accounts: 'mr-park:pears', secret: 'other' }).verify(session.token)).to.be.null;
+    expect(auth.verify(`${body}`)).to.be.null;
+    expect(auth.verify(undefined)).to.be.null;
+
+    now += 60000;
+    expect(auth.verify(session.token)).to.be.null;
+  });
+
+  it('compares shared secrets', () => {
+    expect(tokenMatches('Bearer s3cret', 'Bearer s3cret')).to.be.true;
+    expect(tokenMatches('Bearer s3cret', 'Bearer s3cre')).to.be.false;
+    expect(tokenMatches('Bearer s3cret', undefined)).to.be.false;
+    expect(tokenMatches(undefined, undefined)).to.be.false;
+  });
+
+  it('guards routes with the bearer token or the session cookie', () => {
+    const { token, expiresAt } = auth.login('ms-lee', 'apples');
+    const run = (headers, options) => {
+      const req = { headers };
+      const res = {
+        status(code) { this.code = code; return this; },
+        json(body) { this.body = body; },
+        redirect(to) { this.redirectedTo = to; },
+      };
+      let passed = false;
+      auth.middleware(options)(req, res, () => { passed = true; });
+      return { req, res, passed };
+    };
+
+    expect(run({ authorization: `Bearer ${token}` }).req.hostAccount.sub).to.equal('ms-lee');
+    const cookie = auth.cookie(token, expiresAt).split(';')[0];
+    expect(run({ cookie: `theme=dark; ${cookie}` }).passed).to.be.true;
+    expect(parseCookies(`a=1; ${COOKIE_NAME}=${token}`)[COOKIE_NAME]).to.equal(token);
+
+    const denied = run({});
+    expect(denied.passed).to.be.false;
+    expect(denied.res.code).to.equal(401);
+    expect(denied.res.body).to.deep.equal({ error: { code: 'HOST_REQUIRED', message: 'Host login required' } });
+    expect(run({ authorization: 'Bearer nope' }, { redirect: '/login' }).res.redirectedTo).to.equal('/login');
+    expect(auth.cookie(null)).to.include('Max-Age=0');
+  });
+});
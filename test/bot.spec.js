@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const RoomManager = require('../lib/roomManager');
+const { Bot, PROFILES } = require('../lib/bot');
+
+// Manual clock: timers only fire when the test calls tick()
+function fakeTimers() {
+  let now = 0;
+  const pending = [];
+  return {
+    setTimeout(fn, ms) {
+      const t = { at: now + ms, fn };
+      pending.push(t);
+      return t;
+    },
+    clearTimeout(t) {
+      const idx = pending.indexOf(t);
+      if (idx >= 0) pending.splice(idx, 1);
+    },
+    tick(ms) {
+      now += ms;
+      for (;;) {
+        const due = pending.filter(t => t.at <= now).sort((a, b) => a.at - b.at)[0];
+        if (!due) return;
+        pending.splice(pending.indexOf(due), 1);
+        due.fn();
+      }
+    },
+    get size() { return pending.length; },
+  };
+}
+
+describe('bot opponent', () => {
+  let rm;
+  let roomId;
+  let timers;
+  let actions;
+
+  function makeBot(options = {}) {
+    const { player } = rm.addBot(roomId, options.profile || 'medium');
+    return new Bot(Object.assign({
+      roomManager: rm,
+      roomId,
+      socketId: player.socketId,
+      playerNumber: player.playerNumber,
+      profile: player.bot,
+      seed: 'practice',
+      timers,
+      onAction: (kind, result) => actions.push([kind, result]),
+    }, options));
+  }
+
+  beforeEach(() => {
+    rm = new RoomManager({ seed: 'solo' });
+    roomId = rm.createRoom('kid').response.roomId;
+    timers = fakeTimers();
+    actions = [];
+  });
+
+  it('takes seat 2 and selects a card after its reaction time', () => {
+    const bot = makeBot({ profile: 'hard' });
+    expect(bot.playerNumber).to.equal(2);
+    rm.initGameState(roomId, { difficulty: 'easy' });
+
+    bot.notify();
+    bot.notify(); // already scheduled: no second timer
+    expect(timers.size).to.equal(1);
+    timers.tick(PROFILES.hard.selectMs[0] - 1);
+    expect(actions).to.have.length(0);
+    timers.tick(PROFILES.hard.selectMs[1]);
+    expect(actions.map(a => a[0])).to.deep.equal(['cardSelected']);
+    expect(rm.getGameState(roomId).player2SelectedCard).to.exist;
+  });
+
+  it('answers through playerSubmitAnswer once the problem is revealed', () => {
+    const bot = makeBot({ random: () => 0 });
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    bot.notify();
+    timers.tick(PROFILES.medium.selectMs[1]);
+    expect(rm.getGameState(roomId).revealEquation).to.be.true;
+
+    bot.notify();
+    timers.tick(PROFILES.medium.answerMs[1]);
+    const [kind, result] = actions[1];
+    expect(kind).to.equal('answerSubmitted');
+    expect(result.isCorrect).to.be.true;
+    expect(result.state.solvedBy).to.equal(2);
+    // nothing more to do until the next round
+    bot.notify();
+    expect(timers.size).to.equal(0);
+  });
+
+  it('misses as often as its profile says', () => {
+    const bot = makeBot({ profile: 'easy', random: () => 0.99 });
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    bot.notify();
+    timers.tick(PROFILES.easy.selectMs[1]);
+    bot.notify();
+    timers.tick(PROFILES.easy.answerMs[1]);
+    const result = actions[1][1];
+    expect(result.isCorrect).to.be.false;
+    expect(result.state.answerOptions).to.include(result.state.players[1].answer);
+  });
+
+  it('plays the same way for the same seed', () => {
+    const play = () => {
+      rm = new RoomManager({ seed: 'solo' });
+      roomId = rm.createRoom('kid').response.roomId;
+      timers = fakeTimers();
+      const bot = makeBot();
+      rm.initGameState(roomId, { difficulty: 'easy' });
+      bot.notify();
+      timers.tick(PROFILES.medium.selectMs[1]);
+      return rm.getGameState(roomId).player2SelectedCard;
+    };
+    expect(play()).to.deep.equal(play());
+  });
+
+  it('waits while no person is connected and stops on request', () => {
+    const bot = makeBot();
+    rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.disconnectSocket('kid');
+    bot.notify();
+    expect(timers.size).to.equal(0);
+
+    rm.resumeSession(rm.getRoom(roomId).players.get('kid').resumeToken, 'kid-2');
+    bot.notify();
+    expect(timers.size).to.equal(1);
+    bot.stop();
+    expect(timers.size).to.equal(0);
+    bot.notify();
+    expect(timers.size).to.equal(0);
+  });
+
+  it('is left out of stats and leaves with the last person', () => {
+    const bot = makeBot({ random: () => 0 });
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    bot.notify();
+    timers.tick(PROFILES.medium.selectMs[1]);
+    bot.notify();
+    timers.tick(PROFILES.medium.answerMs[1]);
+    expect(rm.getGameState(roomId).solvedBy).to.equal(2);
+    const botProfileId = rm.getRoom(roomId).players.get(bot.socketId).profileId;
+    expect(rm.stats.getRecentAttempts(botProfileId)).to.have.length(0);
+
+    const left = rm.leaveRoomBySocket('kid');
+    expect(left.remaining).to.equal(0);
+    expect(rm.getRoom(roomId).lastEmptyAt).to.be.a('number');
+  });
+});
@@ -0,0 +1,52 @@
+const { expect } = require('chai');
+const { buildAnswerOptions, mistakeCandidates, swapDigits, smallerFromLarger } = require('../lib/distractors');
+const { createRng } = require('../lib/rng');
+const { buildProblem } = require('../lib/operations');
+
+describe('distractors', () => {
+  it('offers common mistakes for 3×4 instead of random offsets', () => {
+    const candidates = mistakeCandidates({ a: 3, b: 4, op: 'multiply' }, 12);
+    expect(candidates).to.include.members([9, 15, 8, 16, 7, 21, 22, 2]);
+    const opts = buildAnswerOptions({ a: 3, b: 4, op: 'multiply' }, 12, { random: createRng(1) });
+    for (const o of opts) expect([12, 9, 15, 8, 16, 7, 21, 22, 2]).to.include(o);
+  });
+
+  it('swaps digits only when that changes the number', () => {
+    expect(swapDigits(12)).to.equal(21);
+    expect(swapDigits(7)).to.be.null;
+    expect(swapDigits(44)).to.be.null;
+    expect(swapDigits(10)).to.be.null;
+  });
+
+  it('offers the no-borrowing slip for subtraction', () => {
+    expect(smallerFromLarger(42, 17)).to.equal(35);
+    expect(smallerFromLarger(12, 7)).to.equal(15);
+    expect(mistakeCandidates({ a: 12, b: 7, op: 'subtract' }, 5)).to.include.members([4, 6, 19, 15]);
+  });
+
+  it('is deterministic under a seed', () => {
+    const p = { a: 7, b: 8, op: 'multiply' };
+    const first = buildAnswerOptions(p, 56, { random: createRng('seed-42') });
+    const second = buildAnswerOptions(p, 56, { random: createRng('seed-42') });
+    expect(first).to.deep.equal(second);
+  });
+
+  it('always returns unique positive options including the correct answer', () => {
+    const random = createRng(2024);
+    for (const op of ['multiply', 'add', 'subtract', 'divide']) {
+      for (let x = 2; x <= 12; x++) {
+        for (let y = 2; y <= 12; y++) {
+          const { problem, correctAnswer } = buildProblem(x, y, op);
+          const opts = buildAnswerOptions(problem, correctAnswer, { random });
+          expect(opts).to.have.length(4);
+          expect(new Set(opts).size).to.equal(4);
+          expect(opts).to.include(correctAnswer);
+          for (const o of opts) {
+            expect(Number.isInteger(o)).to.be.true;
+            if (o !== correctAnswer) expect(o).to.be.above(0);
+          }
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,49 @@
+const { expect } = require('chai');
+const { MatchQueue } = require('../lib/matchmaking');
+
+describe('matchmaking queue', () => {
+  let now;
+  let queue;
+
+  beforeEach(() => {
+    now = 1000;
+    queue = new MatchQueue({ now: () => now });
+  });
+
+  it('pairs the next compatible player', () => {
+    const first = queue.enqueue({ socketId: 'a', difficulty: 'easy', operation: 'multiply' });
+    expect(first.queued).to.include({ socketId: 'a' });
+    expect(first.position).to.equal(1);
+    expect(first.etaMs).to.be.null;
+    // different difficulty or operation: separate queues
+    expect(queue.enqueue({ socketId: 'b', difficulty: 'hard', operation: 'multiply' }).queued).to.exist;
+    expect(queue.enqueue({ socketId: 'c', difficulty: 'easy', operation: 'add' }).queued).to.exist;
+    expect(queue.size()).to.equal(3);
+
+    now += 4000;
+    const { matched } = queue.enqueue({ socketId: 'd', difficulty: 'easy', operation: 'multiply' });
+    expect(matched.map(e => e.socketId)).to.deep.equal(['a', 'd']);
+    expect(queue.status('a')).to.be.null;
+    expect(queue.size()).to.equal(2);
+  });
+
+  it('cancels and estimates the wait from recent matches', () => {
+    queue.enqueue({ socketId: 'a', difficulty: 'easy', operation: 'multiply' });
+    expect(queue.cancel('a').socketId).to.equal('a');
+    expect(queue.cancel('a')).to.be.null;
+
+    queue.enqueue({ socketId: 'b', difficulty: 'easy', operation: 'multiply' });
+    now += 6000;
+    queue.enqueue({ socketId: 'c', difficulty: 'easy', operation: 'multiply' });
+    queue.enqueue({ socketId: 'e', difficulty: 'easy', operation: 'multiply' });
+    now += 2000;
+    expect(queue.status('e')).to.include({ position: 1, waiting: 1, waitedMs: 2000, etaMs: 4000 });
+  });
+
+  it('never pairs a player with themselves', () => {
+    queue.enqueue({ socketId: 'a', difficulty: 'easy', operation: 'multiply' });
+    const again = queue.enqueue({ socketId: 'a', difficulty: 'easy', operation: 'multiply' });
+    expect(again.matched).to.be.undefined;
+    expect(queue.size()).to.equal(1);
+  });
+});
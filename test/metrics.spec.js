@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const { Registry } = require('../lib/metrics');
+
+describe('metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  it('renders counters and gauges in the Prometheus text format', () => {
+    const created = registry.counter('rooms_created_total', 'Rooms created');
+    const removed = registry.counter('rooms_removed_total', 'Rooms removed', { labelNames: ['reason'] });
+    registry.gauge('pending', 'Pending timers', { collect: () => [[{ map: 'nextRoundTimers' }, 2], [{ map: 'presenceTimers' }, 0]] });
+    registry.gauge('rooms', 'Rooms', { collect: () => 3 });
+    created.inc();
+    created.inc();
+    removed.inc({ reason: 'collected' });
+    removed.inc({ reason: 'closed' }, 2);
+
+    expect(registry.render()).to.equal([
+      '# HELP rooms_created_total Rooms created',
+      '# TYPE rooms_created_total counter',
+      'rooms_created_total 2',
+      '# HELP rooms_removed_total Rooms removed',
+      '# TYPE rooms_removed_total counter',
+      'rooms_removed_total{reason="collected"} 1',
+      'rooms_removed_total{reason="closed"} 2',
+      '# HELP pending Pending timers',
+      '# TYPE pending gauge',
+      'pending{map="nextRoundTimers"} 2',
+      'pending{map="presenceTimers"} 0',
+      '# HELP rooms Rooms',
+      '# TYPE rooms gauge',
+      'rooms 3',
+      '',
+    ].join('\n'));
+  });
+
+  it('starts unlabelled counters at 0 and leaves labelled ones out until used', () => {
+    registry.counter('connects_total', 'Connects');
+    registry.counter('errors_total', 'Errors', { labelNames: ['event'] });
+    const text = registry.render();
+    expect(text).to.include('connects_total 0\n');
+    expect(text).to.not.match(/^errors_total/m);
+    expect(() => registry.counter('connects_total', 'again')).to.throw(/already registered/);
+  });
+
+  it('buckets histogram observations cumulatively', () => {
+    const latency = registry.histogram('answer_seconds', 'Answer latency', { buckets: [1, 5], labelNames: ['correct'] });
+    latency.observe({ correct: 'true' }, 0.5);
+    latency.observe({ correct: 'true' }, 3);
+    latency.observe({ correct: 'true' }, 9);
+    expect(registry.render().split('\n').slice(2, 7)).to.deep.equal([
+      'answer_seconds_bucket{correct="true",le="1"} 1',
+      'answer_seconds_bucket{correct="true",le="5"} 2',
+      'answer_seconds_bucket{correct="true",le="+Inf"} 3',
+      'answer_seconds_sum{correct="true"} 12.5',
+      'answer_seconds_count{correct="true"} 3',
+    ]);
+  });
+
+  it('escapes label values', () => {
+    registry.counter('errors_total', 'Errors', { labelNames: ['event'] }).inc({ event: 'say "hi"\\now' });
+    expect(registry.render()).to.include('errors_total{event="say \\"hi\\"\\\\now"} 1');
+  });
+});
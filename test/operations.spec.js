@@ -0,0 +1,45 @@
+const { expect } = require('chai');
+const operations = require('../lib/operations');
+
+describe('operations', () => {
+  it('builds problems for each operation', () => {
+    expect(operations.buildProblem(3, 4, 'multiply')).to.deep.equal({ problem: { a: 3, b: 4, op: 'multiply' }, correctAnswer: 12 });
+    expect(operations.buildProblem(3, 4, 'add')).to.deep.equal({ problem: { a: 3, b: 4, op: 'add' }, correctAnswer: 7 });
+  });
+
+  it('never produces negative subtraction results', () => {
+    expect(operations.buildProblem(3, 9, 'subtract')).to.deep.equal({ problem: { a: 9, b: 3, op: 'subtract' }, correctAnswer: 6 });
+    expect(operations.buildProblem(5, 5, 'subtract').correctAnswer).to.equal(0);
+  });
+
+  it('only produces exact divisions', () => {
+    for (let x = 2; x <= 12; x++) {
+      for (let y = 2; y <= 12; y++) {
+        const { problem, correctAnswer } = operations.buildProblem(x, y, 'divide');
+        expect(problem.a % problem.b).to.equal(0);
+        expect(problem.a / problem.b).to.equal(correctAnswer);
+        expect(correctAnswer).to.equal(Math.max(x, y));
+      }
+    }
+  });
+
+  it('picks a concrete operation per round in mixed mode', () => {
+    expect(operations.pickOperation('mixed', () => 0)).to.equal('multiply');
+    expect(operations.pickOperation('mixed', () => 0.99)).to.equal('divide');
+    expect(operations.pickOperation('add')).to.equal('add');
+    expect(operations.pickOperation('bogus')).to.equal('multiply');
+    expect(operations.isValidOperation('mixed')).to.be.true;
+    expect(operations.isValidOperation('modulo')).to.be.false;
+  });
+
+  it('chains multiply/add over more than two cards', () => {
+    expect(operations.buildChainProblem([2, 3, 4], 'multiply')).to.deep.equal({
+      problem: { a: 2, b: 3, op: 'multiply', operands: [2, 3, 4] },
+      correctAnswer: 24,
+    });
+    expect(operations.buildChainProblem([2, 3, 4, 5], 'add').correctAnswer).to.equal(14);
+    // two cards and subtract/divide are ordinary two-card problems
+    expect(operations.buildChainProblem([3, 4], 'multiply')).to.deep.equal(operations.buildProblem(3, 4, 'multiply'));
+    expect(operations.buildChainProblem([3, 9, 4], 'subtract').problem).to.deep.equal({ a: 9, b: 3, op: 'subtract' });
+  });
+});
@@ -0,0 +1,81 @@
+const { expect } = require('chai');
+const RoomManager = require('../lib/roomManager');
+const { PlayerStats, factKey, factLabel } = require('../lib/playerStats');
+
+describe('PlayerStats', () => {
+  it('treats 3×4 and 4×3 as the same fact but not 9−3 and 3−9', () => {
+    expect(factKey(3, 4, 'multiply')).to.equal(factKey(4, 3, 'multiply'));
+    expect(factLabel(4, 3, 'multiply')).to.equal('3×4');
+    expect(factKey(9, 3, 'subtract')).to.not.equal(factKey(3, 9, 'subtract'));
+  });
+
+  it('aggregates accuracy and response time per fact and lists the weakest', () => {
+    const stats = new PlayerStats();
+    stats.recordAttempt('kid', { a: 3, b: 4, op: 'multiply', answer: 12, correctAnswer: 12, correct: true, responseMs: 1000 });
+    stats.recordAttempt('kid', { a: 4, b: 3, op: 'multiply', answer: 7, correctAnswer: 12, correct: false, responseMs: 3000 });
+    stats.recordAttempt('kid', { a: 7, b: 8, op: 'multiply', answer: 54, correctAnswer: 56, correct: false, responseMs: 5000 });
+    stats.recordAttempt('kid', { a: 2, b: 2, op: 'multiply', answer: 4, correctAnswer: 4, correct: true, responseMs: 500 });
+
+    const s = stats.getStats('kid');
+    expect(s.attempts).to.equal(4);
+    expect(s.accuracy).to.equal(0.5);
+    expect(s.avgResponseMs).to.equal(2375);
+    const threeFour = s.facts.find(f => f.fact === '3×4');
+    expect(threeFour).to.include({ attempts: 2, correct: 1, accuracy: 0.5, avgResponseMs: 2000 });
+    expect(s.weakestFacts.map(f => f.fact)).to.deep.equal(['7×8', '3×4']);
+    expect(stats.getStats('nobody')).to.be.null;
+  });
+
+  it('records attempts from RoomManager under the stable profile id', () => {
+    const rm = new RoomManager();
+    const first = rm.createRoom('s0');
+    // generated when the client has none yet, and accepted when it comes back
+    const aliceId = first.response.profileId;
+    expect(aliceId).to.match(/^profile_[0-9a-f]{16}\.[A-Za-z0-9_-]{22}$/);
+    const created = rm.createRoom('s1', { profileId: aliceId });
+    expect(created.response.profileId).to.equal(aliceId);
+    const joined = rm.joinRoom(created.response.roomId, 's2');
+
+    const roomId = created.response.roomId;
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    rm.playerSubmitAnswer(roomId, 1, state.correctAnswer + 1);
+    rm.playerSubmitAnswer(roomId, 2, state.correctAnswer);
+
+    const alice = rm.stats.getStats(aliceId);
+    expect(alice.attempts).to.equal(1);
+    expect(alice.correct).to.equal(0);
+    expect(alice.recentAttempts[0]).to.include({ answer: state.correctAnswer + 1, correct: false, roomId });
+    expect(alice.recentAttempts[0].responseMs).to.be.a('number');
+    expect(rm.stats.getStats(joined.response.profileId).correct).to.equal(1);
+  });
+
+  it('only accepts profile ids the server signed', () => {
+    const rm = new RoomManager({ profileSecret: 'one' });
+    const issued = rm.resolveProfileId();
+    expect(rm.resolveProfileId(issued)).to.equal(issued);
+    // someone else's guessable or made-up id
+    expect(rm.resolveProfileId('alice-123')).to.not.equal('alice-123');
+    const [id, signature] = issued.split('.');
+    const forged = `${id.slice(0, -1)}${id.endsWith('0') ? '1' : '0'}.${signature}`;
+    expect(rm.resolveProfileId(forged)).to.not.equal(forged);
+    // signed with another secret
+    expect(new RoomManager({ profileSecret: 'two' }).resolveProfileId(issued)).to.not.equal(issued);
+  });
+
+  it('drops the least recently answered profile beyond maxProfiles', () => {
+    const deleted = [];
+    const store = { loadStats: () => [], saveStats() {}, deleteStats: id => deleted.push(id) };
+    const stats = new PlayerStats({ store, maxProfiles: 2 });
+    const attempt = { a: 2, b: 3, op: 'multiply', answer: 6, correctAnswer: 6, correct: true };
+    stats.recordAttempt('a', attempt);
+    stats.recordAttempt('b', attempt);
+    stats.recordAttempt('a', attempt);
+    stats.recordAttempt('c', attempt);
+    expect(stats.hasProfile('a')).to.be.true;
+    expect(stats.hasProfile('b')).to.be.false;
+    expect(stats.hasProfile('c')).to.be.true;
+    expect(deleted).to.deep.equal(['b']);
+  });
+});
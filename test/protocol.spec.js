@@ -0,0 +1,54 @@
+const { expect } = require('chai');
+const protocol = require('../lib/protocol');
+const { validate } = require('../lib/validation');
+
+describe('protocol', () => {
+  it('negotiates the version from the handshake', () => {
+    expect(protocol.negotiateVersion({ auth: {}, query: {} })).to.equal(1);
+    expect(protocol.negotiateVersion({ auth: { protocolVersion: 2 } })).to.equal(2);
+    // query strings carry strings
+    expect(protocol.negotiateVersion({ auth: {}, query: { protocolVersion: '2' } })).to.equal(2);
+    expect(protocol.negotiateVersion({ auth: { protocolVersion: 7 } })).to.equal(protocol.PROTOCOL_VERSION);
+    expect(protocol.negotiateVersion({ auth: { protocolVersion: 'latest' } })).to.equal(1);
+    expect(protocol.negotiateVersion()).to.equal(1);
+  });
+
+  it('wraps messages in an envelope', () => {
+    const env = protocol.envelope('kicked', { roomId: 'r1', playerNumber: 2 }, { roomId: 'r1', seq: 4, serverTime: 1000 });
+    expect(env).to.deep.equal({ v: 2, type: 'kicked', roomId: 'r1', seq: 4, serverTime: 1000, data: { roomId: 'r1', playerNumber: 2 } });
+    const outside = protocol.envelope('matchQueueUpdate', undefined);
+    expect(outside).to.include({ roomId: null, seq: null, data: null });
+    expect(outside.serverTime).to.be.a('number');
+  });
+
+  it('puts every stateUpdate flag in one place', () => {
+    const state = { advanceClients: false, dealComplete: true, players: [] };
+    const resolved = protocol.stateUpdateData({ transitioning: true, nextRoundAt: 5000, nextRoundInMs: 800, data: state }, state);
+    expect(resolved.state).to.equal(state);
+    expect(resolved.flags).to.deep.equal({
+      advanceClients: false, dealComplete: true, transitioning: true, nextRoundAt: 5000, nextRoundInMs: 800, resumed: false,
+    });
+    // a resend during the transition takes the room's flag; missing values are explicit
+    const resent = protocol.stateUpdateData({ resumed: true, data: {} }, {}, true);
+    expect(resent.flags).to.deep.equal({
+      advanceClients: false, dealComplete: false, transitioning: true, nextRoundAt: null, nextRoundInMs: null, resumed: true,
+    });
+    const problem = validate(Object.assign({ type: 'object' }, protocol.OUTBOUND_SCHEMAS.stateUpdate), resent);
+    expect(problem).to.be.null;
+  });
+
+  it('publishes a JSON Schema for the envelope and every message', () => {
+    const schema = protocol.protocolSchema();
+    expect(schema.envelope.properties.type.enum).to.deep.equal(Object.keys(protocol.OUTBOUND_SCHEMAS));
+    expect(schema.outbound.otherPlayerDisconnected.required).to.deep.equal(['roomId', 'playerNumber', 'resumable']);
+    expect(schema.outbound.stateUpdate.properties.flags.properties.nextRoundAt.type).to.deep.equal(['integer', 'null']);
+    expect(schema.outbound.hello.properties.supportedVersions).to.deep.equal({ type: 'array', items: { type: 'integer' } });
+    // inbound payloads come from lib/validation.js
+    expect(schema.inbound.createRoom.type).to.deep.equal(['object', 'null']);
+    expect(schema.inbound.hostLogin.anyOf).to.deep.equal([{ required: ['username'] }, { required: ['token'] }]);
+    const answer = schema.inbound.gameSync.allOf.find(v => v.if.properties.type.const === 'answerSubmitted');
+    expect(answer.then.properties.data.required).to.deep.equal(['answer']);
+    // plain JSON: nothing is lost when it is served
+    expect(JSON.parse(JSON.stringify(schema))).to.deep.equal(schema);
+  });
+});
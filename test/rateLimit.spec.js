@@ -0,0 +1,69 @@
+const { expect } = require('chai');
+const { RateLimiter, parseLimits } = require('../lib/rateLimit');
+
+describe('rate limiter', () => {
+  let now;
+  let limiter;
+
+  beforeEach(() => {
+    now = 1000;
+    limiter = new RateLimiter({
+      now: () => now,
+      limits: {
+        createRoom: { socket: { burst: 2, perSecond: 0.5 }, ip: { burst: 3, perSecond: 1 } },
+        default: { socket: null },
+      },
+    });
+  });
+
+  it('refills each socket bucket over time', () => {
+    expect(limiter.consume('createRoom', { socketId: 'a' })).to.be.null;
+    expect(limiter.consume('createRoom', { socketId: 'a' })).to.be.null;
+    const limited = limiter.consume('createRoom', { socketId: 'a' });
+    expect(limited).to.deep.equal({ event: 'createRoom', scope: 'socket', retryAfterMs: 2000, first: true });
+    // only the first rejection of a burst is flagged for logging
+    expect(limiter.consume('createRoom', { socketId: 'a' }).first).to.be.false;
+    now += 2000;
+    expect(limiter.consume('createRoom', { socketId: 'a' })).to.be.null;
+    // unlisted events use `default`, where the socket limit is off here
+    for (let i = 0; i < 50; i++) expect(limiter.consume('spectateRoom', { socketId: 'a' })).to.be.null;
+  });
+
+  it('shares the IP bucket between sockets and counts rejections', () => {
+    for (const socketId of ['a', 'b', 'c']) expect(limiter.consume('createRoom', { socketId, ip: '10.0.0.7' })).to.be.null;
+    expect(limiter.consume('createRoom', { socketId: 'd', ip: '10.0.0.7' }).scope).to.equal('ip');
+    expect(limiter.consume('createRoom', { socketId: 'e', ip: '::ffff:10.0.0.8' })).to.be.null;
+    limiter.countRejection('gameSync', 'payloadSize');
+    expect(limiter.stats().rejections).to.deep.equal({ createRoom: { ip: 1 }, gameSync: { payloadSize: 1 } });
+  });
+
+  it('forgets closed sockets and prunes refilled buckets', () => {
+    limiter.consume('createRoom', { socketId: 'a', ip: '::1' });
+    limiter.consume('createRoom', { socketId: 'b', ip: '::1' });
+    limiter.consume('createRoom', { socketId: 'b', ip: '::1' });
+    expect(limiter.stats().buckets).to.equal(3);
+    limiter.forgetSocket('a');
+    expect(limiter.stats().buckets).to.equal(2);
+    now += 3000;
+    // the IP bucket (1/s) is full again, b's socket bucket (0.5/s) is not
+    expect(limiter.prune()).to.equal(1);
+    expect(limiter.stats().buckets).to.equal(1);
+  });
+
+  it('puts every event without its own limit into one default bucket', () => {
+    const shared = new RateLimiter({ now: () => now, limits: { default: { socket: { burst: 5, perSecond: 1 }, ip: null } } });
+    for (let i = 0; i < 5; i++) expect(shared.consume(`made-up-${i}`, { socketId: 'a' })).to.be.null;
+    // a fresh name is no way around the limit
+    for (let i = 5; i < 50; i++) expect(shared.consume(`made-up-${i}`, { socketId: 'a' })).to.include({ scope: 'socket' });
+    expect(shared.consume('spectateRoom', { socketId: 'a' })).to.not.be.null;
+    // listed events keep their own buckets
+    expect(shared.consume('createRoom', { socketId: 'a' })).to.be.null;
+    expect(shared.stats()).to.deep.equal({ rejections: { default: { socket: 46 } }, buckets: 2 });
+  });
+
+  it('reads overrides from RATE_LIMITS', () => {
+    expect(parseLimits('{"joinRoom":{"socket":{"burst":1,"perSecond":1}}}')).to.have.property('joinRoom');
+    expect(parseLimits('')).to.deep.equal({});
+    expect(new RateLimiter({ limits: parseLimits('{"createRoom":{"ip":null}}') }).limitFor('createRoom', 'ip')).to.be.null;
+  });
+});
@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const RoomManager = require('../lib/roomManager');
+const { replayEvents } = require('../lib/replay');
+
+describe('replay', () => {
+  let rm;
+  let roomId;
+
+  beforeEach(() => {
+    rm = new RoomManager();
+    roomId = rm.createRoom('s1').response.roomId;
+    rm.joinRoom(roomId, 's2');
+  });
+
+  function playRound(wrongFirst) {
+    const state = rm.getGameState(roomId);
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    if (wrongFirst) rm.playerSubmitAnswer(roomId, 2, state.correctAnswer + 1);
+    rm.playerSubmitAnswer(roomId, 1, state.correctAnswer);
+    rm.nextRound(roomId);
+  }
+
+  it('logs deals, selections, submissions and round changes in order', () => {
+    rm.initGameState(roomId, { difficulty: 'easy', operation: 'mixed' });
+    playRound(true);
+    const types = rm.getEventLog(roomId).map(e => e.type);
+    expect(types).to.deep.equal(['join', 'join', 'deal', 'select', 'select', 'submit', 'submit', 'solve', 'nextRound']);
+    const seqs = rm.getEventLog(roomId).map(e => e.seq);
+    expect(seqs).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const submits = rm.getEventLog(roomId).filter(e => e.type === 'submit');
+    expect(submits.map(e => e.playerNumber)).to.deep.equal([2, 1]);
+    expect(submits.map(e => e.isCorrect)).to.deep.equal([false, true]);
+  });
+
+  it('rebuilds the final and intermediate states from the log', () => {
+    rm.initGameState(roomId, { difficulty: 'easy', operation: 'mixed' });
+    playRound(true);
+    playRound(false);
+    const live = rm.getGameState(roomId);
+    const events = rm.getEventLog(roomId);
+
+    const { state } = replayEvents(events);
+    for (const key of ['player1Hand', 'player2Hand', 'player1Score', 'player2Score', 'history', 'seed', 'gameOver']) {
+      expect(state[key]).to.deep.equal(live[key]);
+    }
+
+    // right after the first (wrong) submission only player 2 has answered
+    const firstSubmit = events.find(e => e.type === 'submit');
+    const mid = replayEvents(events, { uptoSeq: firstSubmit.seq }).state;
+    expect(mid.player2Answered).to.be.true;
+    expect(mid.player1Answered).to.be.false;
+    expect(mid.problemSolved).to.be.false;
+    expect(mid.currentProblem).to.deep.equal(events.find(e => e.type === 'select' && e.problem).problem);
+  });
+
+  it('returns no state before the first deal and survives resets', () => {
+    expect(replayEvents(rm.getEventLog(roomId)).state).to.be.null;
+    rm.initGameState(roomId);
+    playRound(false);
+    rm.resetGameState(roomId);
+    const { state } = replayEvents(rm.getEventLog(roomId));
+    expect(state.history).to.have.length(0);
+    expect(state.player1Hand).to.deep.equal(rm.getGameState(roomId).player1Hand);
+    expect(state.seed).to.equal(rm.getGameState(roomId).seed);
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require('chai');
 const RoomManager = require('../lib/roomManager');
+const { replayEvents } = require('../lib/replay');
 
 describe('RoomManager', () => {
   let rm;
@@ -61,4 +62,514 @@ describe('RoomManager', () => {
     const gone = rm.getRoom(roomId);
     expect(gone).to.not.be.null;
   });
+
+  it('holds a disconnected seat and resumes it on a new socket', () => {
+    const { response } = rm.createRoom('s1');
+    const roomId = response.roomId;
+    const joined = rm.joinRoom(roomId, 's2');
+    const token = joined.response.resumeToken;
+    expect(token).to.be.a('string').and.not.equal(response.resumeToken);
+
+    rm.initGameState(roomId, { difficulty: 'easy' });
+    const hand = rm.getGameState(roomId).player2Hand.slice();
+
+    const dropped = rm.disconnectSocket('s2');
+    expect(dropped.playerNumber).to.equal(2);
+    expect(rm.getRoom(roomId).players.get('s2').status).to.equal('disconnected');
+    expect(rm.getGameState(roomId).playersConnected).to.equal(1);
+    // seat is still held, so a third socket cannot take it
+    expect(rm.joinRoom(roomId, 's3')).to.have.property('error');
+
+    const resumed = rm.resumeSession(token, 's2b');
+    expect(resumed.response.playerNumber).to.equal(2);
+    expect(resumed.state.player2Hand).to.deep.equal(hand);
+    const room = rm.getRoom(roomId);
+    expect(room.players.has('s2')).to.be.false;
+    expect(room.players.get('s2b').status).to.equal('in-game');
+    expect(rm.findRoomBySocket('s2b').player.playerNumber).to.equal(2);
+  });
+
+  it('resumes only held seats and stops the resuming socket spectating', () => {
+    const { response } = rm.createRoom('s1');
+    const roomId = response.roomId;
+    const joined = rm.joinRoom(roomId, 's2');
+    const token = joined.response.resumeToken;
+    // s2 is still connected: its seat is not up for grabs
+    expect(rm.resumeSession(token, 'thief').error).to.include({ code: 'INVALID_STATE', field: 'resumeToken' });
+    expect(rm.getRoom(roomId).players.get('s2').socketId).to.equal('s2');
+    expect(rm.getRoom(roomId).players.has('thief')).to.be.false;
+
+    const otherRoomId = rm.createRoom('s9').response.roomId;
+    rm.spectateRoom(otherRoomId, 's2b');
+    rm.disconnectSocket('s2');
+    const resumed = rm.resumeSession(token, 's2b');
+    expect(resumed.stoppedSpectating).to.deep.equal({ roomId: otherRoomId, remaining: 0 });
+    expect(rm.isSpectator(otherRoomId, 's2b')).to.be.false;
+    expect(rm.findRoomBySocket('s2b').player.playerNumber).to.equal(2);
+  });
+
+  it('rejects unknown resume tokens and frees seats after the grace period', () => {
+    expect(rm.resumeSession('nope', 'sx')).to.have.property('error');
+
+    const { response } = rm.createRoom('s1');
+    const roomId = response.roomId;
+    const joined = rm.joinRoom(roomId, 's2');
+    rm.disconnectSocket('s2');
+
+    const now = Date.now();
+    expect(rm.expireDisconnectedPlayers(now)).to.have.length(0);
+    const expired = rm.expireDisconnectedPlayers(now + rm.reconnectGraceMs + 1);
+    expect(expired).to.deep.equal([{ roomId, playerNumber: 2, remaining: 1, seatDropped: null }]);
+    expect(rm.resumeSession(joined.response.resumeToken, 's2b')).to.have.property('error');
+    expect(rm.joinRoom(roomId, 's3')).to.have.property('response');
+  });
+
+  it('projects a per-seat view that hides the opponent hand and pending answer', () => {
+    const { response } = rm.createRoom('s1');
+    const roomId = response.roomId;
+    rm.joinRoom(roomId, 's2');
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    let v2 = rm.getPlayerView(roomId, 2);
+    expect(v2.player1Hand).to.be.null;
+    expect(v2.player1HandCount).to.equal(6);
+    expect(v2.player2Hand).to.deep.equal(state.player2Hand);
+    expect(v2.player1HasSelected).to.be.true;
+    expect(v2.player1SelectedCard).to.be.null;
+    // the seed would rebuild player 1's hand
+    expect(v2).to.not.have.property('seed');
+    expect(rm.projectState(state, null, { revealSeed: true }).seed).to.equal(state.seed);
+
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    const correct = state.correctAnswer;
+    rm.playerSubmitAnswer(roomId, 1, correct + 1000);
+    v2 = rm.getPlayerView(roomId, 2);
+    expect(v2.correctAnswer).to.be.null;
+    expect(v2.submittedAnswers[1]).to.be.null;
+    expect(v2.player1Answered).to.be.true;
+    expect(v2.player1SelectedCard).to.deep.equal(state.player1SelectedCard);
+    expect(rm.getPlayerView(roomId, 1).submittedAnswers[1]).to.equal(correct + 1000);
+
+    rm.playerSubmitAnswer(roomId, 2, correct);
+    v2 = rm.getPlayerView(roomId, 2);
+    expect(v2.correctAnswer).to.equal(correct);
+    expect(v2.submittedAnswers).to.deep.equal({ 1: correct + 1000, 2: correct });
+
+    const neutral = rm.getPlayerView(roomId, null);
+    expect(neutral.player1Hand).to.be.null;
+    expect(neutral.player2Hand).to.be.null;
+    // projection never mutates the authoritative state
+    expect(state.player1Hand).to.be.an('array').with.length(6);
+  });
+
+  describe('authorizeAction', () => {
+    let roomId;
+
+    beforeEach(() => {
+      roomId = rm.createRoom('s1').response.roomId;
+      rm.joinRoom(roomId, 's2');
+    });
+
+    it('resolves the seat from the socket, not the payload', () => {
+      const seat = rm.authorizeAction('s2', roomId);
+      expect(seat.playerNumber).to.equal(2);
+      expect(rm.authorizeAction('s1', roomId, 1).playerNumber).to.equal(1);
+    });
+
+    it('rejects a player claiming the other seat', () => {
+      const spoof = rm.authorizeAction('s2', roomId, 1);
+      expect(spoof.error).to.deep.equal({ code: 'PLAYER_MISMATCH', message: 'playerNumber does not match your seat', field: 'playerNumber' });
+    });
+
+    it('rejects sockets that are not seated in the target room', () => {
+      const otherRoomId = rm.createRoom('s3').response.roomId;
+      expect(rm.authorizeAction('s3', roomId).error.code).to.equal('NOT_IN_ROOM');
+      expect(rm.authorizeAction('stranger', roomId).error.code).to.equal('NOT_IN_ROOM');
+      expect(rm.authorizeAction('s1', otherRoomId).error.code).to.equal('NOT_IN_ROOM');
+      expect(rm.authorizeAction('s1', 'NOPE').error.code).to.equal('ROOM_NOT_FOUND');
+    });
+
+    it('ignores selections and answers for seats that do not exist', () => {
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      expect(rm.playerSelectCard(roomId, 3, { id: state.player2Hand[0].id })).to.be.null;
+      expect(state.player2SelectedCard).to.be.null;
+      expect(rm.playerSubmitAnswer(roomId, '1', 4)).to.be.null;
+    });
+  });
+
+  it('uses the room operation for problems and history', () => {
+    const { response } = rm.createRoom('s1');
+    const roomId = response.roomId;
+    rm.joinRoom(roomId, 's2');
+    const state = rm.initGameState(roomId, { difficulty: 'easy', operation: 'add' });
+    expect(rm.getRoom(roomId).options.operation).to.equal('add');
+
+    const c1 = state.player1Hand[0];
+    const c2 = state.player2Hand[0];
+    rm.playerSelectCard(roomId, 1, { id: c1.id });
+    rm.playerSelectCard(roomId, 2, { id: c2.id });
+    expect(state.currentProblem).to.deep.equal({ a: c1.value, b: c2.value, op: 'add' });
+    expect(state.correctAnswer).to.equal(c1.value + c2.value);
+    expect(state.answerOptions).to.include(state.correctAnswer);
+
+    rm.playerSubmitAnswer(roomId, 1, state.correctAnswer);
+    expect(state.history[0]).to.include({ op: 'add', correctAnswer: c1.value + c2.value, solvedBy: 1 });
+    // operation is kept for rematches/resets
+    expect(rm.resetGameState(roomId).operation).to.equal('add');
+  });
+
+  describe('seeded RNG', () => {
+    // Play a full game with a fixed strategy: always the first card, player 1 answers
+    // options[0] and player 2 answers correctly if player 1 was wrong.
+    function playGame(manager, seed) {
+      const created = manager.createRoom('s1', { seed });
+      const roomId = created.response.roomId;
+      manager.joinRoom(roomId, 's2');
+      const state = manager.initGameState(roomId, { difficulty: 'easy', operation: 'mixed' });
+      const dealt = { p1: state.player1Hand.map(c => c.id), p2: state.player2Hand.map(c => c.id) };
+      const rounds = [];
+      while (!state.gameOver) {
+        manager.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+        manager.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+        rounds.push({ problem: state.currentProblem, options: state.answerOptions.slice() });
+        const res = manager.playerSubmitAnswer(roomId, 1, state.answerOptions[0]);
+        if (!res.isCorrect) manager.playerSubmitAnswer(roomId, 2, state.correctAnswer);
+        manager.nextRound(roomId);
+      }
+      return {
+        roomId,
+        name: created.response.roomName,
+        seed: state.seed,
+        dealt,
+        rounds,
+        outcome: state.history.map(h => h.solvedBy),
+        scores: [state.player1Score, state.player2Score],
+      };
+    }
+
+    it('reproduces ids, deals, options and outcomes from the same seeds', () => {
+      const a = playGame(new RoomManager({ seed: 'class-7b' }), 'abc');
+      const b = playGame(new RoomManager({ seed: 'class-7b' }), 'abc');
+      expect(a).to.deep.equal(b);
+      expect(a.seed).to.equal('abc');
+    });
+
+    it('records a generated seed that replays the same deal', () => {
+      const first = playGame(new RoomManager(), undefined);
+      const again = playGame(new RoomManager(), first.seed);
+      expect(again.dealt).to.deep.equal(first.dealt);
+      expect(again.rounds).to.deep.equal(first.rounds);
+      expect(again.outcome).to.deep.equal(first.outcome);
+    });
+
+    it('derives a new seed for each deal in the same room', () => {
+      const { response } = rm.createRoom('s1', { seed: 'xyz' });
+      rm.joinRoom(response.roomId, 's2');
+      expect(rm.initGameState(response.roomId).seed).to.equal('xyz');
+      expect(rm.resetGameState(response.roomId).seed).to.equal('xyz-1');
+      expect(rm.initGameState(response.roomId, { seed: 'again' }).seed).to.equal('again');
+    });
+  });
+
+  describe('round time limit', () => {
+    let roomId;
+    let state;
+
+    beforeEach(() => {
+      roomId = rm.createRoom('s1').response.roomId;
+      rm.joinRoom(roomId, 's2');
+      state = rm.initGameState(roomId, { difficulty: 'easy', roundTimeLimitMs: 10000 });
+      rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+      rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    });
+
+    it('sets a deadline when the problem is revealed', () => {
+      expect(state.roundTimeLimitMs).to.equal(10000);
+      expect(state.roundDeadline).to.equal(state.revealedAt + 10000);
+      expect(rm.getRoom(roomId).options.roundTimeLimitMs).to.equal(10000);
+    });
+
+    it('resolves an expired round as nobody solved and records it', () => {
+      expect(rm.expireRound(roomId, state.roundDeadline - 1)).to.be.null;
+      const deadline = state.roundDeadline;
+      const expired = rm.expireRound(roomId, deadline);
+      expect(expired.problemSolved).to.be.true;
+      expect(expired.solvedBy).to.be.null;
+      expect(expired.roundDeadline).to.be.null;
+      expect(expired.history[0]).to.include({ solvedBy: null, timedOut: true, timestamp: deadline });
+      // a stale timer firing again does nothing
+      expect(rm.expireRound(roomId, deadline + 5000)).to.be.null;
+      expect(rm.nextRound(roomId).player1Hand).to.have.length(5);
+    });
+
+    it('rejects answers that arrive after the deadline', () => {
+      state.roundDeadline = Date.now() - 1;
+      const res = rm.playerSubmitAnswer(roomId, 1, state.correctAnswer);
+      expect(res.timedOut).to.be.true;
+      expect(res.isCorrect).to.be.false;
+      expect(state.player1Score).to.equal(0);
+      expect(state.history[0].timedOut).to.be.true;
+    });
+
+    it('has no deadline without a limit', () => {
+      const s2 = rm.initGameState(roomId, { roundTimeLimitMs: 0 });
+      rm.playerSelectCard(roomId, 1, { id: s2.player1Hand[0].id });
+      rm.playerSelectCard(roomId, 2, { id: s2.player2Hand[0].id });
+      expect(s2.roundDeadline).to.be.null;
+      expect(rm.expireRound(roomId, Date.now() + 1e9)).to.be.null;
+    });
+  });
+
+  describe('spectators', () => {
+    let roomId;
+
+    beforeEach(() => {
+      roomId = rm.createRoom('s1').response.roomId;
+      rm.joinRoom(roomId, 's2');
+    });
+
+    it('follows a room without taking a seat', () => {
+      const res = rm.spectateRoom(roomId, 'watcher-1');
+      expect(res.response).to.include({ roomId, spectating: true, spectators: 1 });
+      rm.spectateRoom(roomId, 'watcher-2');
+      expect(rm.getRoom(roomId).players.size).to.equal(2);
+      expect(rm.listRooms().find(r => r.roomId === roomId).spectators).to.equal(2);
+      expect(rm.spectateRoom(roomId, 's1').error).to.include({ code: 'ALREADY_IN_ROOM', message: 'Already playing in this room' });
+      expect(rm.spectateRoom('NOPE', 'watcher-3').error).to.include({ code: 'ROOM_NOT_FOUND', field: 'roomId' });
+      expect(rm.stopSpectating('watcher-1')).to.deep.equal({ roomId, remaining: 1 });
+      expect(rm.stopSpectating('watcher-1')).to.be.null;
+    });
+
+    it('does not let spectators act or fill seats', () => {
+      const bigRoom = rm.createRoom('h1', { maxPlayers: 3 }).response.roomId;
+      rm.spectateRoom(bigRoom, 'watcher');
+      const denied = rm.authorizeAction('watcher', bigRoom);
+      expect(denied.error.code).to.equal('SPECTATOR');
+      expect(rm.joinRoom(bigRoom, 'h2').response.playerNumber).to.equal(2);
+      // a spectator can still take the last free seat
+      expect(rm.joinRoom(bigRoom, 'watcher').response.playerNumber).to.equal(3);
+      expect(rm.isSpectator(bigRoom, 'watcher')).to.be.false;
+    });
+  });
+
+  describe('rooms with more than two players', () => {
+    let roomId;
+
+    function selectAll(state) {
+      for (const p of state.players) rm.playerSelectCard(roomId, p.playerNumber, { id: p.hand[0].id });
+    }
+
+    beforeEach(() => {
+      rm = new RoomManager({ seed: 'family' });
+      roomId = rm.createRoom('s1', { maxPlayers: 3 }).response.roomId;
+      rm.joinRoom(roomId, 's2');
+    });
+
+    it('seats up to maxPlayers and deals every seat', () => {
+      expect(rm.joinRoom(roomId, 's3').response.playerNumber).to.equal(3);
+      expect(rm.joinRoom(roomId, 's4').error).to.include({ code: 'ROOM_FULL', message: 'Room is full' });
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      expect(state.players.map(p => p.playerNumber)).to.deep.equal([1, 2, 3]);
+      expect(state.players.every(p => p.hand.length === 6)).to.be.true;
+      // two-seat aliases still work
+      expect(state.player3Hand).to.equal(state.players[2].hand);
+      const view = rm.getPlayerView(roomId, 3);
+      expect(view.players[0].hand).to.be.null;
+      expect(view.players[2].hand).to.have.length(6);
+      expect(view.player1HandCount).to.equal(6);
+      expect(view.player3Hand).to.have.length(6);
+    });
+
+    it('builds the problem from every selected card, or a rotating pair', () => {
+      rm.joinRoom(roomId, 's3');
+      let state = rm.initGameState(roomId, { difficulty: 'easy', operation: 'multiply' });
+      rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+      rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+      expect(state.revealEquation).to.be.false;
+      rm.playerSelectCard(roomId, 3, { id: state.player3Hand[0].id });
+      const values = state.players.map(p => p.selectedCard.value);
+      expect(state.currentProblem.operands).to.deep.equal(values);
+      expect(state.correctAnswer).to.equal(values[0] * values[1] * values[2]);
+
+      state = rm.initGameState(roomId, { difficulty: 'easy', problemCards: 'pair' });
+      const pairs = [];
+      for (let i = 0; i < 4; i++) {
+        selectAll(state);
+        pairs.push(state.problemSeats);
+        rm.nextRound(roomId);
+      }
+      expect(pairs).to.deep.equal([[1, 2], [2, 3], [3, 1], [1, 2]]);
+    });
+
+    it('resolves a round once every seat answered and reports ties', () => {
+      rm.joinRoom(roomId, 's3');
+      const state = rm.initGameState(roomId, { difficulty: 'test' });
+      selectAll(state);
+      rm.playerSubmitAnswer(roomId, 1, -1);
+      rm.playerSubmitAnswer(roomId, 2, -1);
+      expect(state.problemSolved).to.be.false;
+      expect(rm.getPlayerView(roomId, 3).submittedAnswers).to.deep.equal({ 1: null, 2: null, 3: null });
+      rm.playerSubmitAnswer(roomId, 3, -1);
+      expect(state.problemSolved).to.be.true;
+      expect(state.solvedBy).to.be.null;
+      rm.nextRound(roomId);
+      expect(state.gameOver).to.be.true;
+      expect(state.winner).to.be.null;
+      expect(state.winners).to.deep.equal([1, 2, 3]);
+    });
+
+    it('plays on without a seat that left mid-game', () => {
+      rm.joinRoom(roomId, 's3');
+      const state = rm.initGameState(roomId, { difficulty: 'easy', operation: 'multiply' });
+      rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+      rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+      // seat 3 leaves before selecting: the problem is revealed from the other two cards
+      expect(rm.leaveRoomBySocket('s3').seatDropped).to.equal('revealed');
+      expect(state.players.map(p => p.playerNumber)).to.deep.equal([1, 2]);
+      expect(state.revealEquation).to.be.true;
+      expect(state.problemSeats).to.deep.equal([1, 2]);
+      expect(state).to.not.have.property('player3Hand');
+
+      rm.playerSubmitAnswer(roomId, 1, -1);
+      rm.playerSubmitAnswer(roomId, 2, -1);
+      expect(state.problemSolved).to.be.true;
+      rm.nextRound(roomId);
+      expect(state.gameOver).to.be.false;
+      selectAll(state);
+      expect(state.revealEquation).to.be.true;
+      rm.playerSubmitAnswer(roomId, 2, state.correctAnswer);
+      expect(state.solvedBy).to.equal(2);
+
+      // the log rebuilds the same game
+      const replayed = replayEvents(rm.getEventLog(roomId)).state;
+      expect(replayed.players.map(p => p.score)).to.deep.equal(state.players.map(p => p.score));
+      expect(replayed.currentProblem).to.deep.equal(state.currentProblem);
+    });
+
+    it('ends the round when the seat that left was the last to answer', () => {
+      rm.joinRoom(roomId, 's3');
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      selectAll(state);
+      rm.playerSubmitAnswer(roomId, 1, -1);
+      rm.playerSubmitAnswer(roomId, 2, -1);
+      expect(rm.leaveRoomBySocket('s3').seatDropped).to.equal('resolved');
+      expect(state.problemSolved).to.be.true;
+      expect(state.solvedBy).to.be.null;
+    });
+
+    it('keeps the seats of a two-player game', () => {
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      expect(rm.leaveRoomBySocket('s2').seatDropped).to.be.null;
+      expect(state.players).to.have.length(2);
+    });
+
+    it('names the single top scorer as winner', () => {
+      const state = rm.initGameState(roomId, { difficulty: 'test' });
+      selectAll(state);
+      rm.playerSubmitAnswer(roomId, 2, state.correctAnswer);
+      rm.nextRound(roomId);
+      expect(state.winner).to.equal('player2');
+      expect(state.winners).to.deep.equal([2]);
+    });
+  });
+
+  describe('moderation', () => {
+    let roomId;
+
+    beforeEach(() => {
+      roomId = rm.createRoom('s1').response.roomId;
+      rm.joinRoom(roomId, 's2');
+      rm.initGameState(roomId, { difficulty: 'easy' });
+    });
+
+    it('kicks a seat and logs it', () => {
+      const res = rm.kickPlayer(roomId, 2);
+      expect(res.player.socketId).to.equal('s2');
+      expect(res.remaining).to.equal(1);
+      expect(rm.getEventLog(roomId).map(e => e.type).slice(-2)).to.deep.equal(['kick', 'leave']);
+      expect(rm.kickPlayer(roomId, 2).error).to.include({ code: 'NOT_FOUND', message: 'Player not found' });
+      expect(rm.kickPlayer('NOPE', 1).error.code).to.equal('ROOM_NOT_FOUND');
+    });
+
+    it('closes a room with its game and log', () => {
+      rm.spectateRoom(roomId, 'watcher');
+      const closed = rm.closeRoom(roomId);
+      expect(closed.players.map(p => p.socketId)).to.deep.equal(['s1', 's2']);
+      expect(closed.spectators).to.deep.equal(['watcher']);
+      expect(rm.getRoom(roomId)).to.not.exist;
+      expect(rm.getGameState(roomId)).to.not.exist;
+      expect(rm.getEventLog(roomId)).to.not.exist;
+      expect(rm.closeRoom(roomId)).to.be.null;
+    });
+  });
+
+  describe('stale actions', () => {
+    let roomId;
+
+    beforeEach(() => {
+      roomId = rm.createRoom('s1').response.roomId;
+      rm.joinRoom(roomId, 's2');
+    });
+
+    it('counts rounds per game and per room', () => {
+      const first = rm.initGameState(roomId, { difficulty: 'easy' });
+      expect(first).to.include({ round: 1, roundSeq: 1 });
+      rm.nextRound(roomId);
+      expect(rm.getGameState(roomId)).to.include({ round: 2, roundSeq: 2 });
+      // a rematch starts at round 1 again, but roundSeq never repeats
+      expect(rm.initGameState(roomId, { difficulty: 'easy' })).to.include({ round: 1, roundSeq: 3 });
+    });
+
+    it('rejects actions made against a round the room has left', () => {
+      rm.initGameState(roomId, { difficulty: 'easy' });
+      expect(rm.checkActionRound(roomId, { round: 1, roundSeq: 1 })).to.be.null;
+      // no round given: nothing to check
+      expect(rm.checkActionRound(roomId, {})).to.be.null;
+      rm.nextRound(roomId);
+      expect(rm.checkActionRound(roomId, { roundSeq: 1 }).error).to.include({ code: 'STALE_ACTION', field: 'roundSeq' });
+      expect(rm.checkActionRound(roomId, { round: 1 }).error).to.include({ code: 'STALE_ACTION', field: 'round' });
+      expect(rm.checkActionRound(roomId, { round: 2, roundSeq: 2 })).to.be.null;
+      expect(rm.checkActionRound('NOPE', { round: 1 })).to.be.null;
+    });
+
+    it('requires a round when asked to', () => {
+      rm.initGameState(roomId, { difficulty: 'easy' });
+      expect(rm.checkActionRound(roomId, {}, { required: true }).error).to.include({ code: 'INVALID_PAYLOAD', field: 'roundSeq' });
+      expect(rm.checkActionRound(roomId, { roundSeq: 1 }, { required: true })).to.be.null;
+      expect(rm.checkActionRound(roomId, { round: 1 }, { required: true })).to.be.null;
+    });
+
+    it('takes one answer per seat and round', () => {
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+      rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+      expect(rm.playerSubmitAnswer(roomId, 1, state.correctAnswer + 1).isCorrect).to.be.false;
+      const scoreAfterWrong = rm.getGameState(roomId).player1Score;
+      // retrying with the right answer changes nothing
+      expect(rm.playerSubmitAnswer(roomId, 1, state.correctAnswer)).to.be.null;
+      const after = rm.getGameState(roomId);
+      expect(after.problemSolved).to.be.false;
+      expect(after.player1Score).to.equal(scoreAfterWrong);
+      expect(after.submittedAnswers[1]).to.equal(state.correctAnswer + 1);
+      expect(rm.getEventLog(roomId).filter(e => e.type === 'submit')).to.have.length(1);
+      expect(rm.submitAnswer(roomId, 1, state.correctAnswer).error).to.include({ code: 'INVALID_STATE' });
+    });
+
+    it('says why a selection or answer was not applied', () => {
+      expect(rm.selectCard(roomId, 1, { id: 'x' }).error.code).to.equal('INVALID_STATE');
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      // nothing to answer before the problem is revealed
+      expect(rm.submitAnswer(roomId, 1, 4).error.code).to.equal('INVALID_STATE');
+      expect(rm.selectCard(roomId, 1, { id: state.player2Hand[0].id }).error).to.include({ code: 'INVALID_PAYLOAD', field: 'data.cardId' });
+      expect(state.player1SelectedCard).to.be.null;
+      expect(rm.getEventLog(roomId).filter(e => e.type === 'select')).to.have.length(0);
+
+      rm.getRoom(roomId).transitioning = true;
+      expect(rm.selectCard(roomId, 1, { id: state.player1Hand[0].id }).error.message).to.match(/next round/);
+      rm.getRoom(roomId).transitioning = false;
+      expect(rm.selectCard(roomId, 1, { id: state.player1Hand[0].id }).state).to.equal(state);
+      expect(state.player1SelectedCard.id).to.equal(state.player1Hand[0].id);
+    });
+  });
 });
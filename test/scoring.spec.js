@@ -0,0 +1,83 @@
+const { expect } = require('chai');
+const RoomManager = require('../lib/roomManager');
+const scoring = require('../lib/scoring');
+
+describe('scoring', () => {
+  it('normalizes policies and rejects invalid ones', () => {
+    expect(scoring.normalizeScoring()).to.deep.equal(scoring.DEFAULTS.flat);
+    expect(scoring.normalizeScoring('speed')).to.include({ mode: 'speed', points: 10, minPoints: 1 });
+    expect(scoring.normalizeScoring({ streakStep: 0.5 })).to.include({ mode: 'flat', streakStep: 0.5, streakMax: 3 });
+    expect(scoring.normalizeScoring('bonus')).to.be.null;
+    expect(scoring.normalizeScoring({ wrongPenalty: -1 })).to.be.null;
+    expect(scoring.normalizeScoring({ streakMax: 0.5 })).to.be.null;
+  });
+
+  it('decays speed points and applies the streak multiplier', () => {
+    const policy = scoring.normalizeScoring({ mode: 'speed', points: 10, minPoints: 2, decayMs: 8000, streakStep: 0.5, streakMax: 2 });
+    expect(scoring.scoreCorrect(policy, { elapsedMs: 0 }).total).to.equal(10);
+    expect(scoring.scoreCorrect(policy, { elapsedMs: 4000 }).base).to.equal(6);
+    expect(scoring.scoreCorrect(policy, { elapsedMs: 60000 }).base).to.equal(2);
+    const third = scoring.scoreCorrect(policy, { elapsedMs: 0, streak: 3 });
+    expect(third).to.include({ multiplier: 2, total: 20 });
+    expect(scoring.scoreCorrect(policy, { elapsedMs: 0, streak: 9 }).multiplier).to.equal(2);
+  });
+
+  it('never takes a score below zero', () => {
+    const policy = scoring.normalizeScoring({ wrongPenalty: 2 });
+    expect(scoring.scoreWrong(policy, { currentScore: 5 })).to.include({ penalty: 2, total: -2 });
+    expect(scoring.scoreWrong(policy, { currentScore: 1 })).to.include({ penalty: 1, total: -1 });
+  });
+
+  describe('in a room', () => {
+    let rm;
+    let roomId;
+
+    function playRound(state, answers) {
+      rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+      rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+      for (const [seat, correct] of answers) {
+        rm.playerSubmitAnswer(roomId, seat, correct ? state.correctAnswer : -1, state.revealedAt + 1000);
+      }
+      const entry = state.history[state.history.length - 1];
+      rm.nextRound(roomId);
+      return entry;
+    }
+
+    beforeEach(() => {
+      rm = new RoomManager({ seed: 'scoring' });
+      roomId = rm.createRoom('s1').response.roomId;
+      rm.joinRoom(roomId, 's2');
+    });
+
+    it('keeps the flat +1 by default', () => {
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      const entry = playRound(state, [[1, true]]);
+      expect(state.player1Score).to.equal(1);
+      expect(entry.points[1]).to.include({ correct: true, total: 1 });
+      expect(entry.points[2]).to.be.null;
+    });
+
+    it('records streaks, penalties and the breakdown in history', () => {
+      const state = rm.initGameState(roomId, { difficulty: 'easy', scoring: { streakStep: 1, wrongPenalty: 1 } });
+      expect(rm.getRoom(roomId).options.scoring).to.include({ streakStep: 1, wrongPenalty: 1 });
+      playRound(state, [[1, true]]);
+      const second = playRound(state, [[2, false], [1, true]]);
+      expect(second.points[1]).to.include({ streak: 2, multiplier: 2, total: 2 });
+      // no points to lose yet
+      expect(second.points[2]).to.include({ correct: false, penalty: 0 });
+      expect(state.player1Score).to.equal(3);
+      playRound(state, [[1, false], [2, true]]);
+      expect(state.player1Score).to.equal(2);
+      expect(state.streaks).to.deep.equal({ 1: 0, 2: 1 });
+    });
+
+    it('hides the opponent breakdown until the round resolves', () => {
+      const state = rm.initGameState(roomId, { difficulty: 'easy' });
+      rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+      rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+      rm.playerSubmitAnswer(roomId, 1, -1);
+      expect(rm.getPlayerView(roomId, 2).roundPoints[1]).to.be.null;
+      expect(rm.getPlayerView(roomId, 1).roundPoints[1]).to.include({ correct: false });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoomManager = require('../lib/roomManager');
+const { MemoryStore, FileStore } = require('../lib/storage');
+
+describe('storage', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cardmath-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('defaults to the in-memory store', () => {
+    const rm = new RoomManager();
+    expect(rm.store).to.be.instanceOf(MemoryStore);
+    expect(rm.restoreRooms()).to.deep.equal([]);
+  });
+
+  it('restores rooms and game state from a file store after a restart', () => {
+    const store = new FileStore({ dir });
+    const rm = new RoomManager({ store });
+    const created = rm.createRoom('s1');
+    const roomId = created.response.roomId;
+    const joined = rm.joinRoom(roomId, 's2');
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    rm.playerSubmitAnswer(roomId, 2, state.correctAnswer);
+    store.flush();
+
+    // new process: fresh store reads the file, fresh manager restores from it
+    const rm2 = new RoomManager({ store: new FileStore({ dir }) });
+    expect(rm2.restoreRooms()).to.deep.equal([roomId]);
+    const restored = rm2.getGameState(roomId);
+    expect(restored.player2Score).to.equal(1);
+    expect(restored.player1Hand).to.deep.equal(state.player1Hand);
+    expect(restored.currentProblem).to.deep.equal(state.currentProblem);
+    expect(rm2.getEventLog(roomId)).to.have.length(rm.getEventLog(roomId).length);
+
+    const room = rm2.getRoom(roomId);
+    for (const [, p] of room.players.entries()) expect(p.status).to.equal('disconnected');
+
+    // clients reclaim their seats with the resume tokens they already hold
+    const resumed = rm2.resumeSession(joined.response.resumeToken, 'new-s2');
+    expect(resumed.response.playerNumber).to.equal(2);
+    expect(resumed.state.player2Hand).to.deep.equal(state.player2Hand);
+    expect(rm2.resumeSession(created.response.resumeToken, 'new-s1').response.playerNumber).to.equal(1);
+  });
+
+  it('archives each finished game once and drops collected rooms', () => {
+    const store = new FileStore({ dir });
+    const rm = new RoomManager({ store });
+    const roomId = rm.createRoom('s1').response.roomId;
+    rm.joinRoom(roomId, 's2');
+    const state = rm.initGameState(roomId, { difficulty: 'test' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    rm.playerSubmitAnswer(roomId, 1, state.correctAnswer);
+    rm.nextRound(roomId);
+    rm.nextRound(roomId);
+
+    const games = store.listGames();
+    expect(games).to.have.length(1);
+    expect(games[0]).to.include({ roomId, winner: 'player1', seed: state.seed });
+    expect(games[0].scores).to.deep.equal({ 1: 1, 2: 0 });
+    expect(games[0].history).to.have.length(1);
+
+    rm.leaveRoomBySocket('s1');
+    rm.leaveRoomBySocket('s2');
+    rm.getRoom(roomId).lastEmptyAt = Date.now() - rm.roomTTLMs - 1;
+    rm.garbageCollectRooms();
+    store.flush();
+    expect(new FileStore({ dir }).loadRooms()).to.deep.equal([]);
+  });
+
+  it('serializes a room once per flush, however often it was saved', () => {
+    const store = new FileStore({ dir });
+    const rm = new RoomManager({ store });
+    const quiet = rm.createRoom('s3').response.roomId;
+    const roomId = rm.createRoom('s1').response.roomId;
+    rm.joinRoom(roomId, 's2');
+    store.flush();
+    const quietJson = store.roomJson.get(quiet);
+
+    const joinedJson = store.roomJson.get(roomId);
+    const state = rm.initGameState(roomId, { difficulty: 'easy' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    rm.playerSubmitAnswer(roomId, 1, state.correctAnswer);
+    // every action saved the room, but only its latest snapshot is kept, unserialized
+    expect(Array.from(store.pendingRooms.keys())).to.deep.equal([roomId]);
+    expect(store.roomJson.get(roomId)).to.equal(joinedJson);
+    store.flush();
+    expect(store.pendingRooms.size).to.equal(0);
+    expect(store.roomJson.get(roomId)).to.not.equal(joinedJson);
+    expect(store.roomJson.get(quiet)).to.equal(quietJson);
+
+    const reloaded = new FileStore({ dir }).loadRooms();
+    expect(reloaded.map(r => r.roomId).sort()).to.deep.equal([quiet, roomId].sort());
+    const saved = reloaded.find(r => r.roomId === roomId);
+    expect(saved.state.players.find(p => p.playerNumber === 1).score).to.equal(1);
+    expect(saved.events).to.have.length(rm.getEventLog(roomId).length);
+  });
+});
@@ -0,0 +1,233 @@
+const { expect } = require('chai');
+const RoomManager = require('../lib/roomManager');
+const { TournamentManager, roundRobinRounds, eliminationFirstRound } = require('../lib/tournament');
+
+describe('tournaments', () => {
+  let now;
+  let tm;
+
+  function createWith(format, names) {
+    const { tournament } = tm.createTournament({ name: 'Class 3B', format, hostSocketId: 'teacher' });
+    for (const name of names) tm.register(tournament.code, { socketId: `s-${name}`, name });
+    return tournament;
+  }
+
+  // Attach a room to every ready match and return them
+  function openMatches(tournament) {
+    return tm.readyMatches(tournament.tournamentId).map(m => {
+      tm.attachRoom(tournament.tournamentId, m.matchId, `room-${m.matchId}`);
+      return m;
+    });
+  }
+
+  beforeEach(() => {
+    now = 1000;
+    tm = new TournamentManager({ seed: 'class', now: () => now });
+  });
+
+  it('pairs everyone once in round-robin and pads elimination brackets with byes', () => {
+    const rounds = roundRobinRounds(['a', 'b', 'c', 'd']);
+    expect(rounds).to.have.length(3);
+    const pairs = rounds.flat().map(p => p.slice().sort().join(''));
+    expect(pairs.sort()).to.deep.equal(['ab', 'ac', 'ad', 'bc', 'bd', 'cd']);
+    // odd number: one player sits out each round
+    const odd = roundRobinRounds(['a', 'b', 'c', 'd', 'e']);
+    expect(odd).to.have.length(5);
+    expect(odd.flat()).to.have.length(10);
+
+    expect(eliminationFirstRound(['a', 'b', 'c', 'd', 'e'])).to.deep.equal([
+      ['a', null], ['b', null], ['c', null], ['d', 'e'],
+    ]);
+  });
+
+  it('registers players by join code until the tournament starts', () => {
+    const { tournament } = tm.createTournament({ format: 'round-robin' });
+    expect(tournament.code).to.match(/^[A-Z2-9]{5}$/);
+    expect(tm.createTournament({ format: 'swiss' }).error).to.include({ code: 'INVALID_PAYLOAD', field: 'format' });
+    expect(tm.register('NOPE1', { socketId: 'x' }).error).to.include({ code: 'NOT_FOUND', message: 'Tournament not found' });
+
+    const ada = tm.register(tournament.code.toLowerCase(), { socketId: 's1', name: ' Ada ' }).entrant;
+    expect(ada).to.include({ entrantId: 'e1', name: 'Ada' });
+    expect(tm.register(tournament.code, { socketId: 's1' }).entrant).to.equal(ada);
+    tm.register(tournament.code, { socketId: 's2' });
+    expect(tm.unregister(tournament.tournamentId, 's2').name).to.equal('Player 2');
+    expect(tm.start(tournament.tournamentId).error).to.include({ code: 'INVALID_STATE', message: 'Need at least two players' });
+    expect(tm.register(tournament.code, { socketId: 's3' }).entrant.entrantId).to.equal('e3');
+
+    expect(tm.start(tournament.tournamentId).tournament.status).to.equal('running');
+    expect(tm.start(tournament.tournamentId).error).to.include({ code: 'INVALID_STATE', message: 'Tournament already started' });
+    expect(tm.register(tournament.code, { socketId: 's4' }).error).to.include({ code: 'INVALID_STATE', message: 'Registration is closed' });
+    // a returning player gets their entry back on a new socket
+    tm.disconnect('s1');
+    expect(tm.readyMatches(tournament.tournamentId)).to.have.length(0);
+    // the public entrant id alone is not enough
+    expect(tm.register(tournament.code, { socketId: 'x', entrantId: 'e1' }).error).to.include({ code: 'NOT_FOUND', message: 'Entrant not found' });
+    expect(tm.register(tournament.code, { socketId: 'x', entrantId: 'e1', rejoinToken: 'guess' }).error.code).to.equal('NOT_FOUND');
+    expect(ada.rejoinToken).to.match(/^[0-9a-f]{32}$/);
+    const back = tm.register(tournament.code, { socketId: 's1b', entrantId: 'e1', rejoinToken: ada.rejoinToken });
+    expect(back.rejoined).to.be.true;
+    expect(back.entrant.socketId).to.equal('s1b');
+    expect(tm.readyMatches(tournament.tournamentId)).to.have.length(1);
+  });
+
+  it('advances a single-elimination bracket and replays ties', () => {
+    const t = createWith('single-elimination', ['Ada', 'Ben', 'Cy']);
+    tm.start(t.tournamentId);
+    // Ada has a bye, Ben plays Cy
+    const [first] = openMatches(t);
+    expect(first.players).to.deep.equal(['e2', 'e3']);
+
+    const tie = tm.recordResult(first.roomId, { scores: { 1: 2, 2: 2 }, winners: [1, 2] });
+    expect(tie.replay).to.be.true;
+    expect(tm.findByRoom(first.roomId)).to.be.null;
+    const [replay] = openMatches(t);
+    expect(replay.matchId).to.equal(first.matchId);
+    expect(replay.replays).to.equal(1);
+
+    tm.recordResult(replay.roomId, { scores: { 1: 1, 2: 4 }, winners: [2] });
+    expect(t.round).to.equal(2);
+    const [final] = openMatches(t);
+    expect(final.players).to.deep.equal(['e1', 'e3']);
+    expect(tm.recordResult('unknown-room', { winners: [1] })).to.be.null;
+    tm.recordResult(final.roomId, { scores: { 1: 5, 2: 3 }, winners: [1] });
+
+    expect(t.status).to.equal('finished');
+    expect(t.champion).to.equal('e1');
+    const standings = tm.standings(t.tournamentId);
+    expect(standings.map(s => s.entrantId)).to.deep.equal(['e1', 'e3', 'e2']);
+    expect(standings[2]).to.include({ losses: 1, eliminated: true });
+    const bracket = tm.bracket(t.tournamentId);
+    expect(bracket.rounds.map(r => r.matches.length)).to.deep.equal([2, 1]);
+    expect(bracket.rounds[0].matches[0].players[1]).to.be.null;
+  });
+
+  it('ranks round-robin standings by points, then score difference', () => {
+    const t = createWith('round-robin', ['Ada', 'Ben', 'Cy']);
+    tm.start(t.tournamentId);
+    expect(t.matches).to.have.length(3);
+
+    const results = {
+      'e1-e2': { scores: { 1: 3, 2: 3 }, winners: [1, 2] },
+      'e1-e3': { scores: { 1: 4, 2: 1 }, winners: [1] },
+      'e2-e3': { scores: { 1: 6, 2: 0 }, winners: [1] },
+    };
+    while (t.status === 'running') {
+      const open = openMatches(t);
+      expect(open).to.have.length(1);
+      const key = open[0].players.slice().sort().join('-');
+      // seats follow the match's player order; flip the result when needed
+      const result = results[key];
+      const flipped = open[0].players[0] !== key.split('-')[0];
+      const scores = flipped ? { 1: result.scores[2], 2: result.scores[1] } : result.scores;
+      const winners = result.winners.length === 1 && flipped ? [3 - result.winners[0]] : result.winners;
+      tm.recordResult(open[0].roomId, { scores, winners });
+      now += 60000;
+    }
+    const standings = tm.standings(t.tournamentId);
+    // Ada and Ben both have 3 points; Ben's +6 beats Ada's +3
+    expect(standings.map(s => [s.name, s.points])).to.deep.equal([['Ben', 3], ['Ada', 3], ['Cy', 0]]);
+    expect(t.champion).to.equal('e2');
+    expect(t.finishedAt).to.equal(now - 60000);
+  });
+
+  it('gives the match to the opponent when a player forfeits', () => {
+    const t = createWith('single-elimination', ['Ada', 'Ben']);
+    tm.start(t.tournamentId);
+    const [match] = openMatches(t);
+    const { match: done } = tm.forfeit(match.roomId, 1);
+    expect(done).to.include({ winner: 'e2', forfeit: 'e1', status: 'finished' });
+    expect(t.champion).to.equal('e2');
+    expect(tm.forfeit(match.roomId, 2)).to.be.null;
+  });
+
+  it('decides matches an entrant does not come back for', () => {
+    const t = createWith('single-elimination', ['Ada', 'Ben', 'Cy', 'Dee']);
+    tm.start(t.tournamentId);
+    tm.disconnect('s-Ada');
+    tm.disconnect('s-Cy');
+    now += 1000;
+    tm.disconnect('s-Dee');
+    // Ben's match waits for Ada until the no-show time is up
+    expect(tm.readyMatches(t.tournamentId)).to.have.length(0);
+    now += tm.noShowMs - 1000;
+    const first = tm.forfeitNoShows();
+    // Dee has not been gone that long yet, so Cy and Dee's match still waits
+    expect(first.map(r => r.match.matchId)).to.deep.equal([`${t.tournamentId}-m1`]);
+    expect(first[0].match).to.include({ winner: 'e2', forfeit: 'e1', status: 'finished' });
+    expect(first[0].match.noShow).to.deep.equal(['e1']);
+    now += 1000;
+    const [second, final] = tm.forfeitNoShows();
+    // neither showed up: the one who left last goes on
+    expect(second.match).to.include({ round: 1, winner: 'e4', forfeit: 'e3' });
+    expect(second.match.noShow).to.deep.equal(['e3', 'e4']);
+    // which opens the final, where Ben (connected) beats Dee (gone) right away
+    expect(final.match).to.include({ round: 2, winner: 'e2', forfeit: 'e4' });
+    expect(t).to.include({ status: 'finished', champion: 'e2' });
+    expect(tm.forfeitNoShows()).to.deep.equal([]);
+  });
+
+  it('counts a round-robin match nobody showed up for as a loss for both', () => {
+    const t = createWith('round-robin', ['Ada', 'Ben']);
+    tm.start(t.tournamentId);
+    tm.disconnect('s-Ada');
+    tm.disconnect('s-Ben');
+    now += tm.noShowMs;
+    const [{ match }] = tm.forfeitNoShows();
+    expect(match).to.include({ winner: null, draw: false, status: 'finished' });
+    expect(tm.standings(t.tournamentId).map(r => [r.losses, r.points])).to.deep.equal([[1, 0], [1, 0]]);
+  });
+
+  it('drops finished and abandoned tournaments after ttlMs', () => {
+    const finished = createWith('single-elimination', ['Ada', 'Ben']);
+    tm.start(finished.tournamentId);
+    const [match] = openMatches(finished);
+    tm.recordResult(match.roomId, { scores: { 1: 3, 2: 1 }, winners: [1] });
+    const abandoned = createWith('round-robin', ['Cy']);
+    tm.disconnect('s-Cy');
+    const active = createWith('round-robin', ['Dee']);
+
+    now += tm.ttlMs - 1;
+    expect(tm.collect()).to.deep.equal([]);
+    now += 1;
+    expect(tm.collect().map(t => t.tournamentId)).to.deep.equal([finished.tournamentId, abandoned.tournamentId]);
+    expect(tm.getTournament(finished.tournamentId)).to.be.null;
+    expect(tm.findByCode(abandoned.code)).to.be.null;
+    expect(tm.getTournament(active.tournamentId)).to.equal(active);
+    expect(tm.removeTournament(active.tournamentId)).to.equal(active);
+    expect(tm.list()).to.deep.equal([]);
+  });
+
+  it('replays a match whose room was closed', () => {
+    const t = createWith('round-robin', ['Ada', 'Ben']);
+    tm.start(t.tournamentId);
+    const [match] = openMatches(t);
+    const { match: detached } = tm.detachRoom(match.roomId);
+    expect(detached).to.include({ status: 'pending', roomId: null });
+    expect(tm.readyMatches(t.tournamentId)).to.deep.equal([match]);
+    expect(tm.detachRoom('room-gone')).to.be.null;
+  });
+
+  it('collects the winner from a room when its game ends', () => {
+    const rm = new RoomManager({ seed: 'bracket' });
+    rm.onGameOver((roomId, state) => {
+      const scores = {};
+      for (const p of state.players) scores[p.playerNumber] = p.score;
+      tm.recordResult(roomId, { scores, winners: state.winners });
+    });
+    const t = createWith('single-elimination', ['Ada', 'Ben']);
+    tm.start(t.tournamentId);
+    const [match] = tm.readyMatches(t.tournamentId);
+    const roomId = rm.createRoom('s-Ada').response.roomId;
+    rm.joinRoom(roomId, 's-Ben');
+    tm.attachRoom(t.tournamentId, match.matchId, roomId);
+
+    const state = rm.initGameState(roomId, { difficulty: 'test' });
+    rm.playerSelectCard(roomId, 1, { id: state.player1Hand[0].id });
+    rm.playerSelectCard(roomId, 2, { id: state.player2Hand[0].id });
+    rm.playerSubmitAnswer(roomId, 2, rm.getGameState(roomId).correctAnswer);
+    rm.nextRound(roomId);
+
+    expect(match.scores).to.deep.equal({ e1: 0, e2: 1 });
+    expect(t.champion).to.equal('e2');
+  });
+});
@@ -0,0 +1,67 @@
+const { expect } = require('chai');
+const { validate, validateEvent, validateBody } = require('../lib/validation');
+
+describe('payload validation', () => {
+  it('reports the first problem with its field', () => {
+    const schema = {
+      type: 'object',
+      required: true,
+      properties: {
+        roomId: { type: 'string', required: true },
+        options: { type: 'object', properties: { seats: { type: 'integer', min: 2, max: 4 } } },
+        limit: { type: 'number', nullable: true },
+      },
+    };
+    expect(validate(schema, { roomId: 'ABC', options: { seats: 3 }, limit: null, extra: true })).to.be.null;
+    expect(validate(schema, undefined)).to.deep.equal({ field: undefined, message: 'payload is required' });
+    expect(validate(schema, 'ABC').message).to.equal('payload must be an object');
+    expect(validate(schema, {})).to.deep.equal({ field: 'roomId', message: 'roomId is required' });
+    expect(validate(schema, { roomId: 'ABC', options: { seats: 2.5 } })).to.deep.equal({ field: 'options.seats', message: 'options.seats must be an integer' });
+    expect(validate(schema, { roomId: 'ABC', options: { seats: 5 } }).message).to.equal('options.seats must be at most 4');
+  });
+
+  it('checks gameSync messages by type', () => {
+    expect(validateEvent('gameSync', { roomId: 'ABC123', type: 'cardSelected', data: { cardId: 'hearts-3-1' } })).to.be.null;
+    expect(validateEvent('gameSync', { roomId: 'ABC123', type: 'cardSelected', data: { card: { id: 'hearts-3-1' } } })).to.be.null;
+    expect(validateEvent('gameSync', { roomId: 'ABC123', type: 'cardSelected', data: {} }).error).to.deep.equal({
+      code: 'INVALID_PAYLOAD', message: 'data needs data.cardId or data.card', field: 'data.cardId',
+    });
+    expect(validateEvent('gameSync', { roomId: 'ABC123', type: 'answerSubmitted' }).error.field).to.equal('data');
+    expect(validateEvent('gameSync', { roomId: 'ABC123', type: 'answerSubmitted', data: { answer: '12' } }).error.field).to.equal('data.answer');
+    // other types are relayed as they are
+    expect(validateEvent('gameSync', { roomId: 'ABC123', type: 'emote', data: 'wave' })).to.be.null;
+    expect(validateEvent('gameSync', { type: 'nextRound' }).error.field).to.equal('roomId');
+  });
+
+  it('rejects unknown presence statuses and room options', () => {
+    expect(validateEvent('setPresence', { roomId: 'ABC123', status: 'in-game' })).to.be.null;
+    expect(validateEvent('setPresence', { roomId: 'ABC123', status: 'away' }).error).to.include({ field: 'status' });
+    expect(validateEvent('setRoomOptions', { roomId: 'ABC123', difficulty: 'hard', options: { initialCards: 8 } })).to.be.null;
+    expect(validateEvent('setRoomOptions', { roomId: 'ABC123', difficulty: 'impossible' }).error.field).to.equal('difficulty');
+    expect(validateEvent('startGame', { roomId: 'ABC123', options: { operation: 'modulo' } }).error.field).to.equal('options.operation');
+    expect(validateEvent('startGame', { roomId: 'ABC123', roundTimeLimitMs: null, scoring: 'speed' })).to.be.null;
+    expect(validateEvent('setRoomOptions', { roomId: 'ABC123', scoring: { mode: 'speed', points: 20, streakStep: 0.5 } })).to.be.null;
+    expect(validateEvent('setRoomOptions', { roomId: 'ABC123', scoring: 'slow' }).error.message).to.equal('scoring must be one of flat, speed');
+    expect(validateEvent('startGame', { roomId: 'ABC123', options: { scoring: { wrongPenalty: -1 } } }).error.field).to.equal('options.scoring.wrongPenalty');
+    expect(validateEvent('startGame', { roomId: 'ABC123', scoring: 3 }).error.message).to.equal('scoring must be a string or an object');
+    // payload-free calls stay valid where the payload is optional
+    expect(validateEvent('createRoom', undefined)).to.be.null;
+    expect(validateEvent('leaveRoom', null)).to.be.null;
+    expect(validateEvent('joinRoom', 'ABC123').error.message).to.equal('payload must be an object');
+    expect(validateEvent('cancelMatch', 'anything')).to.be.null;
+  });
+
+  it('answers 400 for invalid REST bodies', () => {
+    const run = (body) => {
+      const res = { status(code) { this.code = code; return this; }, json(b) { this.body = b; } };
+      let passed = false;
+      validateBody('kick')({ body }, res, () => { passed = true; });
+      return { res, passed };
+    };
+    expect(run({ playerNumber: 2 }).passed).to.be.true;
+    const { res, passed } = run({ playerNumber: '2' });
+    expect(passed).to.be.false;
+    expect(res.code).to.equal(400);
+    expect(res.body.error).to.include({ code: 'INVALID_PAYLOAD', field: 'playerNumber' });
+  });
+});